@@ -0,0 +1,418 @@
+#!/usr/bin/env node
+const { parseArgs } = require('node:util');
+const CSVFileParser = require('../lib');
+const { CSVFileWriter, CSVValidationError } = CSVFileParser;
+const { ColumnStatistics } = require('../lib/statistics');
+
+// Exit codes, from sysexits.h
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 64;
+const EXIT_DATA_ERROR = 65;
+const EXIT_NO_INPUT = 66;
+
+const USAGE = `Usage: node-csv <command> [arguments] [file] [options]
+
+Reads the CSV file, or the standard input if no file is given.
+
+Commands:
+  index <file>                 Builds the index of the file, and saves it to '<file>.csvidx'
+  count [file]                 Prints the number of lines (without the header)
+  head [file]                  Prints the first lines (-n, default 10)
+  tail [file]                  Prints the last lines (-n, default 10)
+  slice <start> <end> [file]   Prints the lines from 'start' to 'end' (inclusive, starting at 1)
+  get <n> [file]               Prints line 'n' as JSON
+  stats [file]                 Prints the statistics of each column as JSON (--columns)
+  select <columns> [file]      Prints only some columns (a comma-separated list)
+  grep <column> <pattern> [file]
+                               Prints the lines where the column matches a regular expression
+  convert [file] --to <format> Converts the lines to 'json', 'ndjson' or 'tsv'
+
+Options:
+  -d, --delimiter <string>     The string separating cells (default: ',')
+  -q, --quote <char>           The char enclosing fields (default: '"')
+  -e, --escape <char>          The char escaping quotes (default: the quote char)
+      --encoding <name>        'utf-8', 'latin1' or 'utf16le' (default: 'utf-8')
+      --no-header              Reads the first line as data, and names columns by position
+      --skip-lines <count>     The number of lines before the header, that are skipped (default: 0)
+      --normalize-header <mode>
+                               Normalizes the column names: 'trim', 'lowercase', 'uppercase' or 'snake_case'
+      --dedupe <strategy>      What to do with repeated column names: 'array' (join their values)
+                               or 'suffix' (rename them 'name_1', 'name_2', ...). Default: 'array'
+      --validation <mode>      What to do with malformed lines: 'strict' (stop), 'skip' (leave them out)
+                               or 'collect' (keep them, and report them at the end). Default: 'collect'
+  -n, --lines <count>          The number of lines of 'head' and 'tail' (default: 10)
+  -i, --ignore-case            Matches 'grep' patterns ignoring case
+  -v, --invert-match           Prints the lines that do not match the 'grep' pattern
+      --columns <columns>      The columns of 'stats' (a comma-separated list)
+      --to <format>            The format of 'convert'
+      --workers <count>        The number of worker threads of 'index' (default: 1)
+  -h, --help                   Prints this help
+
+Exit codes: 0 on success, 64 on invalid arguments, 65 on malformed CSV input
+(lines with a wrong number of cells, in 'strict' or 'collect' mode),
+66 if the file cannot be read, and 1 on other errors.`;
+
+const OPTIONS = {
+    delimiter: { type: 'string', short: 'd', default: ',' },
+    quote: { type: 'string', short: 'q', default: '"' },
+    escape: { type: 'string', short: 'e' },
+    encoding: { type: 'string', default: 'utf-8' },
+    'no-header': { type: 'boolean', default: false },
+    'skip-lines': { type: 'string', default: '0' },
+    'normalize-header': { type: 'string' },
+    dedupe: { type: 'string', default: 'array' },
+    validation: { type: 'string', default: 'collect' },
+    lines: { type: 'string', short: 'n', default: '10' },
+    'ignore-case': { type: 'boolean', short: 'i', default: false },
+    'invert-match': { type: 'boolean', short: 'v', default: false },
+    columns: { type: 'string' },
+    to: { type: 'string' },
+    workers: { type: 'string', default: '1' },
+    help: { type: 'boolean', short: 'h', default: false },
+};
+
+const CONVERT_FORMATS = ['json', 'ndjson', 'tsv'];
+
+/**
+ * An error in the command line arguments
+ */
+class UsageError extends Error {}
+
+/**
+ * Parses a command line argument as a positive integer
+ * @param {string} value
+ * @param {string} name - The name of the argument, for error messages
+ * @returns {number}
+ */
+function parsePositiveInteger(value, name) {
+    const number = Number(value);
+    if (!/^\d+$/.test(String(value)) || number < 1)
+        throw new UsageError(
+            `Invalid ${name} '${value}': expected an integer of 1 or more.`
+        );
+    return number;
+}
+
+/**
+ * Opens the input of a command: the CSV file, or the standard input
+ * @param {string|undefined} file
+ * @param {Object} options - The options for the CSVFileParser
+ * @returns {Promise<{ csv: CSVFileParser, lines: function(Object=): AsyncIterable<CSVObjectLine> }>}
+ * The parser (for the error report), and a function returning the lines in a range
+ */
+async function openInput(file, options) {
+    if (file) {
+        const csv = new CSVFileParser(file, { ...options, open: true });
+        // Use the saved index to seek, if there is an up-to-date one
+        await csv.loadIndex();
+        return { csv, lines: (range) => csv.iterator(range) };
+    }
+
+    const csv = new CSVFileParser(null, options);
+    const stream = process.stdin.pipe(csv.createParseStream());
+    return {
+        csv,
+        lines: async function* ({ start = 1, end = Infinity } = {}) {
+            for await (const line of stream) {
+                if (line.index < start) continue;
+                if (line.index > end) break;
+                yield line;
+            }
+        },
+    };
+}
+
+/**
+ * Converts a line to a plain object, for JSON output
+ * @param {CSVObjectLine} line
+ * @returns {Object}
+ */
+function toObject(line) {
+    const { _unnamed, ...fields } = line.fields;
+    return _unnamed.length ? { ...fields, _unnamed } : fields;
+}
+
+/**
+ * Writes lines to the standard output, as CSV
+ * @param {AsyncIterable<CSVObjectLine>|Iterable<CSVObjectLine>} lines
+ * @param {Object} dialect - The options for the CSVFileWriter
+ * @returns {Promise<void>}
+ */
+async function writeLines(lines, { delimiter, quote, escape, header }) {
+    const writer = new CSVFileWriter(process.stdout, {
+        delimiter,
+        quote,
+        escape,
+        header,
+    });
+    await writer.writeRows(lines);
+    await writer.end();
+}
+
+/**
+ * Writes text to the standard output, waiting for it to be flushed
+ * @param {string} text
+ * @returns {Promise<void>}
+ */
+function print(text) {
+    return new Promise((resolve) => process.stdout.write(text, resolve));
+}
+
+const COMMANDS = {
+    async index([file], options, { workers }) {
+        if (!file) throw new UsageError(`'index' requires a file.`);
+        const csv = new CSVFileParser(file, { ...options, open: true });
+        await csv.buildIndex({
+            printProgress: { stream: process.stderr },
+            workers: parsePositiveInteger(workers, 'number of workers'),
+        });
+        await csv.saveIndex();
+        await print(
+            `Indexed ${csv.lines} lines and ${csv.columns} columns ` +
+                `(${csv.size} bytes) into '${file}.csvidx'\n`
+        );
+        return csv;
+    },
+
+    async count([file], options) {
+        // Lines are parsed (not only counted from the index), so malformed lines are reported
+        const { csv, lines } = await openInput(file, options);
+        let count = 0;
+        for await (const line of lines()) count++;
+        await print(`${count}\n`);
+        return csv;
+    },
+
+    async head([file], options, flags) {
+        const count = parsePositiveInteger(flags.lines, 'number of lines');
+        const { csv, lines } = await openInput(file, options);
+        await writeLines(lines({ end: count }), options);
+        return csv;
+    },
+
+    async tail([file], options, flags) {
+        const count = parsePositiveInteger(flags.lines, 'number of lines');
+        const { csv, lines } = await openInput(file, options);
+
+        // Seek to the last lines, if the file is indexed
+        const start = csv.isIndexed ? Math.max(1, csv.lines - count + 1) : 1;
+        const last = [];
+        for await (const line of lines({ start })) {
+            last.push(line);
+            if (last.length > count) last.shift();
+        }
+        await writeLines(last, options);
+        return csv;
+    },
+
+    async slice([start, end, file], options) {
+        if (start === undefined || end === undefined)
+            throw new UsageError(`'slice' requires a start and an end line.`);
+        const range = {
+            start: parsePositiveInteger(start, 'start line'),
+            end: parsePositiveInteger(end, 'end line'),
+        };
+        if (range.end < range.start)
+            throw new UsageError(
+                `Invalid line range [${start}, ${end}]: the end is before the start.`
+            );
+        const { csv, lines } = await openInput(file, options);
+        await writeLines(lines(range), options);
+        return csv;
+    },
+
+    async get([n, file], options) {
+        if (n === undefined)
+            throw new UsageError(`'get' requires a line number.`);
+        const index = parsePositiveInteger(n, 'line number');
+        const { csv, lines } = await openInput(file, options);
+        let found = null;
+        for await (const line of lines({ start: index, end: index }))
+            found = line;
+        if (!found)
+            throw new Error(
+                `Line ${index} not found: the input has fewer lines.`
+            );
+        await print(JSON.stringify(toObject(found), null, 2) + '\n');
+        return csv;
+    },
+
+    async stats([file], options, flags) {
+        const { csv, lines } = await openInput(file, options);
+        const selected = flags.columns ? flags.columns.split(',') : null;
+        let statistics = null;
+        for await (const line of lines()) {
+            statistics ??= new Map(
+                (
+                    selected ||
+                    Object.keys(line.fields).filter((key) => key !== '_unnamed')
+                ).map((column) => [column, new ColumnStatistics()])
+            );
+            for (const [column, stats] of statistics)
+                stats.add(line.fields[column] ?? null);
+        }
+        const result = Object.fromEntries(
+            [...(statistics || [])].map(([column, stats]) => [
+                column,
+                stats.toJSON(),
+            ])
+        );
+        await print(JSON.stringify(result, null, 2) + '\n');
+        return csv;
+    },
+
+    async select([columns, file], options) {
+        if (!columns)
+            throw new UsageError(`'select' requires a list of columns.`);
+        const names = columns.split(',');
+        const { csv, lines } = await openInput(file, options);
+        await writeLines(
+            (async function* () {
+                for await (const line of lines())
+                    yield names.map((column) => line.fields[column] ?? null);
+            })(),
+            { ...options, header: names }
+        );
+        return csv;
+    },
+
+    async grep([column, pattern, file], options, flags) {
+        if (column === undefined || pattern === undefined)
+            throw new UsageError(`'grep' requires a column and a pattern.`);
+        let regex;
+        try {
+            regex = new RegExp(pattern, flags['ignore-case'] ? 'i' : '');
+        } catch (err) {
+            throw new UsageError(
+                `Invalid pattern '${pattern}': ${err.message}`
+            );
+        }
+        const isInverted = flags['invert-match'];
+        const { csv, lines } = await openInput(file, options);
+        await writeLines(
+            (async function* () {
+                for await (const line of lines()) {
+                    const value = line.fields[column];
+                    const values = Array.isArray(value) ? value : [value];
+                    const matches = values.some(
+                        (item) => item !== null && regex.test(String(item))
+                    );
+                    if (matches !== isInverted) yield line;
+                }
+            })(),
+            options
+        );
+        return csv;
+    },
+
+    async convert([file], options, flags) {
+        if (!CONVERT_FORMATS.includes(flags.to))
+            throw new UsageError(
+                `'convert' requires a format (--to): ` +
+                    `${CONVERT_FORMATS.map((f) => `'${f}'`).join(', ')}.`
+            );
+        const { csv, lines } = await openInput(file, options);
+
+        if (flags.to === 'tsv') {
+            await writeLines(lines(), {
+                ...options,
+                delimiter: '\t',
+                quote: '"',
+                escape: '"',
+            });
+            return csv;
+        }
+
+        const isArray = flags.to === 'json';
+        let isFirst = true;
+        if (isArray) await print('[');
+        for await (const line of lines()) {
+            const text = JSON.stringify(toObject(line));
+            await print(
+                isArray ? (isFirst ? '\n  ' : ',\n  ') + text : text + '\n'
+            );
+            isFirst = false;
+        }
+        if (isArray) await print(isFirst ? ']\n' : '\n]\n');
+        return csv;
+    },
+};
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            options: OPTIONS,
+            allowPositionals: true,
+        });
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+
+    const { values: flags, positionals } = parsed;
+    const [name, ...args] = positionals;
+
+    if (flags.help || !name) {
+        await print(USAGE + '\n');
+        return flags.help ? EXIT_OK : EXIT_USAGE;
+    }
+    if (!Object.hasOwn(COMMANDS, name))
+        throw new UsageError(`Unknown command '${name}'.`);
+
+    let options;
+    try {
+        options = {
+            delimiter: flags.delimiter,
+            quote: flags.quote,
+            escape: flags.escape ?? flags.quote,
+            encoding: flags.encoding,
+            header: !flags['no-header'],
+            skipLines: Number(flags['skip-lines']),
+            normalizeHeader: flags['normalize-header'] ?? null,
+            dedupe: flags.dedupe,
+            validation: flags.validation,
+        };
+        // Validates the options, before reading the input
+        new CSVFileParser(null, options);
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+
+    const csv = await COMMANDS[name](args, options, flags);
+
+    if (csv && csv.errorCount > 0 && options.validation === 'collect') {
+        for (const error of csv.errors.slice(0, 10))
+            process.stderr.write(`node-csv: ${error.message}\n`);
+        process.stderr.write(
+            `node-csv: found ${csv.errorCount} malformed line(s).\n`
+        );
+        return EXIT_DATA_ERROR;
+    }
+
+    return EXIT_OK;
+}
+
+// Stop quietly when the output is closed (as in 'node-csv head big.csv | head -1')
+process.stdout.on('error', (err) => {
+    if (err.code === 'EPIPE') process.exit(EXIT_OK);
+    throw err;
+});
+
+main(process.argv.slice(2)).then(
+    (code) => {
+        process.exitCode = code;
+    },
+    (err) => {
+        process.stderr.write(`node-csv: ${err.message}\n`);
+        if (err instanceof UsageError) {
+            process.stderr.write(`Run 'node-csv --help' for usage.\n`);
+            process.exitCode = EXIT_USAGE;
+        } else if (err instanceof CSVValidationError)
+            process.exitCode = EXIT_DATA_ERROR;
+        else if (err.code === 'ENOENT' || err.code === 'EACCES')
+            process.exitCode = EXIT_NO_INPUT;
+        else process.exitCode = EXIT_FAILURE;
+    }
+);
@@ -6,7 +6,7 @@ const FILE = '../Dataset/dataset.csv';
     // const iterator = csv.iterator();
 
     const s1s = Date.now();
-    await csv.buildIndex({ printProgress: true });
+    await csv.buildIndex({ printProgress: true, sidecar: true });
     const s1e = Date.now();
     console.log('Elapsed time (build index):', s1e - s1s, 'ms');
     console.log(
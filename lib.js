@@ -1,118 +1,745 @@
 const fs = require('node:fs');
-const readline = require('node:readline');
+const os = require('node:os');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { EventEmitter } = require('node:events');
+const { Transform, addAbortSignal } = require('node:stream');
+const { Worker } = require('node:worker_threads');
+const { StringDecoder } = require('node:string_decoder');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { compileSchema, inferColumnRule } = require('./lib/schema');
+const { CSVFileWriter, formatCSVRecord } = require('./lib/writer');
+const { ColumnIndex, toIndexKey } = require('./lib/columnIndex');
+const { CSVQuery } = require('./lib/query');
+const { ColumnStatistics, CSVGroupBy } = require('./lib/statistics');
+const { normalize, noise } = require('./lib/transforms');
+const { ProgressBar, ProgressTracker } = require('./lib/progress');
+const {
+    DEDUPE_STRATEGIES,
+    HEADER_NORMALIZATIONS,
+    processHeader,
+} = require('./lib/header');
+const {
+    CSVLineEdits,
+    createJournal,
+    appendJournalEntry,
+    readJournal,
+} = require('./lib/edits');
+const {
+    flattenObject,
+    unflattenObject,
+    readNDJSON,
+    readJSONArray,
+    writeText,
+    endStream,
+    toStream,
+} = require('./lib/convert');
+const {
+    COMPRESSION_FORMATS,
+    detectCompression,
+    decompressHead,
+    findCheckpoint,
+    createDecompressedStream,
+} = require('./lib/compression');
+
+const SUPPORTED_ENCODINGS = ['utf-8', 'utf8', 'latin1', 'utf16le'];
+const LINE_TERMINATORS = ['\n', '\r\n', '\r'];
+const SNIFFED_DELIMITERS = [',', ';', '\t', '|'];
+const INDEX_FILE_MAGIC = 'CSVIDX';
+const INDEX_FILE_VERSION = 1;
+const INDEX_FILE_PREAMBLE_SIZE = 12;
+const COLUMN_INDEX_FILE_MAGIC = 'CSVCOLIDX';
+const COLUMN_INDEX_FILE_VERSION = 1;
+const FINGERPRINT_SAMPLE_SIZE = 1024 * 64;
+const FINGERPRINT_CHUNK_SIZE = 1024 * 1024;
+const VALIDATION_MODES = ['strict', 'skip', 'collect'];
+const WORKER_FILENAME = path.join(__dirname, 'lib', 'worker.js');
+const PARALLEL_MIN_CHUNK_SIZE = 1024 * 1024;
+const DEFAULT_WORKERS = os.availableParallelism?.() ?? os.cpus().length;
+const DEFAULT_CHECKPOINT_INTERVAL = 1024 * 1024;
+const FOLLOW_READ_SIZE = 1024 * 1024;
+const COMMIT_CHUNK_SIZE = 1024 * 1024;
+const PREAMBLE_READ_SIZE = 1024 * 8;
+const MATCH_BATCH_SIZE = 1000;
+const JOIN_TYPES = ['inner', 'left', 'outer'];
+
+/**
+ * Splits a CSV record into its cells, following RFC 4180 quoting rules.
+ * Fields may be enclosed in the quote char, in which case delimiters and
+ * line breaks inside them are literal, and a doubled quote char is read
+ * as a single one. Quote chars in the middle of an unquoted field are kept
+ * as they are.
+ * Empty unquoted cells are returned as 'null', empty quoted cells as ''.
+ * @param {string} record - The record string, without the line terminator
+ * @param {Object} [param1={}]
+ * @param {string} [param1.delimiter=','] - The string separating cells
+ * @param {string} [param1.quote='"'] - The char used to enclose fields
+ * @param {string} [param1.escape=quote] - The char used to escape quotes inside
+ * quoted fields (a doubled quote char is always read as an escaped one)
+ * @param {boolean} [param1.trim=false] - If set to true, removes the spaces
+ * around quoted fields and the leading and trailing spaces of unquoted cells
+ * @returns {Array<string|null>}
+ * @example
+ *  splitCSVRecord('1,"Doe, John","say ""hi""",');
+ *  // ['1', 'Doe, John', 'say "hi"', null]
+ */
+function splitCSVRecord(
+    record,
+    { delimiter = ',', quote = '"', escape = quote, trim = false } = {}
+) {
+    const cells = [];
+
+    let cell = '';
+    let isQuoted = false;
+    let isInsideQuotes = false;
+    let closingOffset = 0;
+
+    const pushCell = () => {
+        if (!isQuoted) cell = trim ? cell.trim() : cell;
+        else if (trim)
+            cell =
+                cell.slice(0, closingOffset) +
+                cell.slice(closingOffset).trimEnd();
+        cells.push(!isQuoted && cell === '' ? null : cell);
+        cell = '';
+        isQuoted = false;
+    };
+
+    let i = 0;
+    while (i < record.length) {
+        const char = record[i];
+
+        if (isInsideQuotes) {
+            if (
+                char === escape &&
+                escape !== quote &&
+                (record[i + 1] === quote || record[i + 1] === escape)
+            ) {
+                cell += record[i + 1];
+                i += 2;
+                continue;
+            }
+            if (char === quote) {
+                // A doubled quote char is an escaped quote
+                if (record[i + 1] === quote) {
+                    cell += quote;
+                    i += 2;
+                    continue;
+                }
+                isInsideQuotes = false;
+                closingOffset = cell.length;
+                i++;
+                continue;
+            }
+            cell += char;
+            i++;
+            continue;
+        }
+
+        if (record.startsWith(delimiter, i)) {
+            pushCell();
+            i += delimiter.length;
+            continue;
+        }
+
+        // A quote only opens a quoted field at the start of the cell
+        // (or after leading spaces, when trimming)
+        if (
+            char === quote &&
+            !isQuoted &&
+            (cell === '' || (trim && cell.trim() === ''))
+        ) {
+            cell = '';
+            isQuoted = true;
+            isInsideQuotes = true;
+            i++;
+            continue;
+        }
+
+        cell += char;
+        i++;
+    }
+
+    pushCell();
+
+    return cells;
+}
 
 /**
- * Implements a progress bar for the console.
+ * Splits chunks of CSV text into complete records. Line breaks inside quoted
+ * fields are kept as part of the record, so a single record may span
+ * multiple lines of the file.
  *
- * @class ProgressBar
+ * @class CSVRecordSplitter
  *
  * @constructor
- * @param  {number} total The size of the progress bar (the number of times it can be updated before conclusion).
- * @param  {string} str_left The char to use as the left char (each stepped segment - this is usually not changed).
- * @param  {string} str_right The char to use as the right char (each empty segment - this is usually not changed).
+ * @param {Object} [param0={}]
+ * @param {string} [param0.delimiter=','] - The string separating cells
+ * @param {string} [param0.quote='"'] - The char used to enclose fields
+ * @param {string} [param0.escape=quote] - The char used to escape quotes inside quoted fields
+ * @param {string|null} [param0.lineTerminator=null] - The string ending each record.
+ * If not specified, records end at '\n', with an optional preceding '\r'
+ * @param {boolean} [param0.trim=false] - If set to true, quotes preceded by spaces
+ * at the start of a cell still open a quoted field
+ * @param {boolean} [param0.isInsideQuotes=false] - If set to true, the text starts inside
+ * a quoted field (to resume splitting in the middle of a record)
  *
- * @example <caption> A progress bar that updates every second: </caption>
- *  let progress = new ProgressBar(10);
- *  let s = setInterval(()=>{
- *      if (progress.ended) clear();
- *      progress.update();
- *  }, 1000);
- *  const clear = () => clearInterval(s);
+ * @example
+ *  const splitter = new CSVRecordSplitter();
+ *  splitter.push('1,"multi\nline",');  // []
+ *  splitter.push('x\n2,b,c\n');        // [{ record: '1,"multi\nline",x', raw: '1,"multi\nline",x\n' }, ...]
+ *  splitter.flush();                   // []
  */
-class ProgressBar {
-    constructor(
-        total,
-        { unit_posfix = '', str_left = '■', str_right = ' ' } = {}
-    ) {
-        this.str_left = str_left;
-        this.str_right = str_right;
-        this.unit_posfix = unit_posfix;
-        this.total = total;
-        this.current = 0;
-        this.strtotal = 60; //progress bar width.
-        this.ended = false;
-    }
-
-    resize(newsize) {
-        this.reset();
-        this.total = newsize;
-    }
-    /**
-     * Updates the progress bar (moves one step right).
-     * @since 1.2.22
-     * @param  {number} current The position to jump the progress to. Only used if you want a non-linear progress movement.
-     * @return {ProgressBar}
-     */
-    update(current) {
-        this.current++;
-        if (current) this.current = current;
-        let dots = this.str_left.repeat(
-            parseInt(((this.current % this.total) / this.total) * this.strtotal)
-        );
-        let left =
-            this.strtotal -
-            parseInt(
-                ((this.current % this.total) / this.total) * this.strtotal
-            );
-        let empty = this.str_right.repeat(left);
-        process.stdout.write(
-            `\r[${dots}${empty}] ` +
-                `${parseInt((this.current / this.total) * 100)}%  ` +
-                `(${this.current}/${this.total} ${this.unit_posfix})`
+class CSVRecordSplitter {
+    #delimiter;
+    #quote;
+    #escape;
+    #line_terminator;
+    #trim;
+    #buffer;
+    #start;
+    #offset;
+    #is_inside_quotes;
+    #is_first_record;
+
+    constructor({
+        delimiter = ',',
+        quote = '"',
+        escape = quote,
+        lineTerminator = null,
+        trim = false,
+        isInsideQuotes = false,
+    } = {}) {
+        this.#delimiter = delimiter;
+        this.#quote = quote;
+        this.#escape = escape;
+        this.#line_terminator = lineTerminator;
+        this.#trim = trim;
+        this.#buffer = '';
+        this.#start = 0;
+        this.#offset = 0;
+        this.#is_inside_quotes = Boolean(isInsideQuotes);
+        this.#is_first_record = true;
+    }
+
+    /**
+     * If the text pushed so far ends inside a quoted field
+     * @returns {boolean}
+     */
+    get isInsideQuotes() {
+        return this.#is_inside_quotes;
+    }
+
+    /**
+     * Checks if the quote char at the specified position of the buffer is
+     * at the start of a cell (and therefore opens a quoted field)
+     * @param {number} position
+     * @returns {boolean}
+     */
+    #isCellStart(position) {
+        let i = position;
+        if (this.#trim)
+            while (
+                i > this.#start &&
+                (this.#buffer[i - 1] === ' ' || this.#buffer[i - 1] === '\t')
+            )
+                i--;
+        return (
+            i === this.#start ||
+            this.#buffer.startsWith(this.#delimiter, i - this.#delimiter.length)
         );
-        if (this.total <= this.current) {
-            process.stdout.write(
-                `\r[${this.str_left.repeat(this.strtotal)}] 100%  ` +
-                    `(${this.current}/${this.total} ${this.unit_posfix})\n`
+    }
+
+    /**
+     * Wraps the raw text of a record, removing the line terminator
+     * (and the byte order mark, if it is the first record)
+     * @param {string} raw
+     * @returns {{ record: string, raw: string }}
+     */
+    #createRecord(raw) {
+        let record = !this.#line_terminator
+            ? raw.replace(/\r?\n$/, '')
+            : raw.endsWith(this.#line_terminator)
+              ? raw.slice(0, -this.#line_terminator.length)
+              : raw;
+        if (this.#is_first_record && record.charCodeAt(0) === 0xfeff)
+            record = record.slice(1);
+        this.#is_first_record = false;
+        return { record, raw };
+    }
+
+    /**
+     * Appends a chunk of text, and returns the records completed by it
+     * @param {string} chunk
+     * @returns {Array<{ record: string, raw: string }>}
+     */
+    push(chunk) {
+        const records = [];
+
+        this.#buffer += chunk;
+
+        const terminator = this.#line_terminator || '\n';
+
+        let i = this.#offset;
+        while (i < this.#buffer.length) {
+            if (this.#is_inside_quotes) {
+                const quote = this.#buffer.indexOf(this.#quote, i);
+                const escape =
+                    this.#escape !== this.#quote
+                        ? this.#buffer.indexOf(this.#escape, i)
+                        : -1;
+                if (escape !== -1 && (quote === -1 || escape < quote)) {
+                    if (escape + 1 >= this.#buffer.length) {
+                        i = escape;
+                        break;
+                    }
+                    i = escape + 2;
+                    continue;
+                }
+                // Wait for the next chunk to tell an escaped quote from a closing one
+                if (quote === -1 || quote + 1 >= this.#buffer.length) {
+                    i = quote === -1 ? this.#buffer.length : quote;
+                    break;
+                }
+                if (this.#buffer[quote + 1] === this.#quote) {
+                    i = quote + 2;
+                    continue;
+                }
+                this.#is_inside_quotes = false;
+                i = quote + 1;
+                continue;
+            }
+
+            const quote = this.#buffer.indexOf(this.#quote, i);
+            const newline = this.#buffer.indexOf(terminator, i);
+
+            if (quote !== -1 && (newline === -1 || quote < newline)) {
+                if (this.#isCellStart(quote)) this.#is_inside_quotes = true;
+                i = quote + 1;
+                continue;
+            }
+
+            if (newline === -1) {
+                // Keep the tail, in case the terminator is split between chunks
+                i = Math.max(i, this.#buffer.length - terminator.length + 1);
+                break;
+            }
+
+            const end = newline + terminator.length;
+            records.push(
+                this.#createRecord(this.#buffer.slice(this.#start, end))
             );
+            this.#start = end;
+            i = end;
         }
-        return this;
+
+        // Keep only the incomplete record in the buffer
+        this.#buffer = this.#buffer.slice(this.#start);
+        this.#offset = i - this.#start;
+        this.#start = 0;
+
+        return records;
     }
 
     /**
-     * Clears the progress bar.
-     * @since 1.2.22
-     * @return {undefined}
+     * Returns the last record, if the text did not end with a line terminator
+     * @returns {Array<{ record: string, raw: string }>}
      */
-    reset() {
-        this.current = 0;
-        this.ended = false;
+    flush() {
+        const records = this.#buffer.length
+            ? [this.#createRecord(this.#buffer)]
+            : [];
+
+        this.#buffer = '';
+        this.#offset = 0;
+        this.#is_inside_quotes = false;
+        this.#is_first_record = true;
+
+        return records;
+    }
+}
+
+/**
+ * Reads a text stream and yields each complete CSV record in it
+ * @param {AsyncIterable<string>} stream
+ * @param {Object} [options={}] - The options for the CSVRecordSplitter
+ * @returns {AsyncGenerator<{ record: string, raw: string }, void, unknown>}
+ */
+async function* readCSVRecords(stream, options = {}) {
+    const splitter = new CSVRecordSplitter(options);
+    for await (const chunk of stream) yield* splitter.push(chunk);
+    yield* splitter.flush();
+}
+
+/**
+ * Tells why an operation was stopped by its signal, for error messages
+ * @param {AbortSignal} signal
+ * @returns {string} 'timed out' (for 'AbortSignal.timeout()') or 'was aborted'
+ */
+function describeAbortReason(signal) {
+    return signal.reason?.name === 'TimeoutError' ? 'timed out' : 'was aborted';
+}
+
+/**
+ * Runs a task of 'lib/worker.js' in a worker thread
+ * @param {Object} workerData - The task name ('scan' or 'map') and its options
+ * @param {Object} [param1={}]
+ * @param {AbortSignal|null} [param1.signal=null] - Terminates the worker when aborted
+ * @returns {Promise<*>} The result of the task
+ */
+function runWorkerTask(workerData, { signal = null } = {}) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(WORKER_FILENAME, { workerData });
+        let result;
+        let isDone = false;
+        const onAbort = () => worker.terminate();
+        signal?.addEventListener('abort', onAbort, { once: true });
+        worker.once('message', (message) => {
+            isDone = true;
+            result = message;
+        });
+        worker.once('error', reject);
+        worker.once('exit', (code) => {
+            signal?.removeEventListener('abort', onAbort);
+            if (isDone) return resolve(result);
+            if (signal?.aborted) return reject(signal.reason);
+            reject(new Error(`worker stopped with exit code ${code}`));
+        });
+    });
+}
+
+/**
+ * Guesses the line terminator used in a piece of CSV text
+ * @param {string} text
+ * @returns {string} One of '\r\n', '\n' or '\r' (defaults to '\n')
+ */
+function detectLineTerminator(text) {
+    if (text.includes('\r\n')) return '\r\n';
+    if (text.includes('\n')) return '\n';
+    if (text.includes('\r')) return '\r';
+    return '\n';
+}
+
+/**
+ * Guesses the encoding of a sample of bytes, from its byte order mark or content
+ * @param {Buffer} buffer
+ * @returns {string} One of 'utf-8', 'utf16le' or 'latin1'
+ */
+function detectEncoding(buffer) {
+    if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf)
+        return 'utf-8';
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) return 'utf16le';
+
+    // ASCII text encoded as UTF-16LE has a zero in every odd byte
+    let zeros = 0;
+    for (let i = 1; i < buffer.length; i += 2) if (buffer[i] === 0) zeros++;
+    if (buffer.length > 1 && zeros / Math.floor(buffer.length / 2) > 0.9)
+        return 'utf16le';
+
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer, {
+            stream: true,
+        });
+        return 'utf-8';
+    } catch {
+        return 'latin1';
+    }
+}
+
+/**
+ * Counts the matches of a regular expression in a string
+ * @param {string} text
+ * @param {RegExp} regex - A global regular expression
+ * @returns {number}
+ */
+function countMatches(text, regex) {
+    return (text.match(regex) || []).length;
+}
+
+/**
+ * Guesses if the first row of a sample is a header, by comparing it with the
+ * rows after it: columns where every value is numeric (or has the same length)
+ * but the first row does not match are a hint of a header row.
+ * @param {Array<Array<string|null>>} rows
+ * @returns {boolean}
+ */
+function detectHeader(rows) {
+    if (rows.length < 2) return true;
+
+    const isNumeric = (value) =>
+        value.trim() !== '' && !Number.isNaN(Number(value));
+    const [first, ...rest] = rows;
+
+    let votes = 0;
+    for (let col = 0; col < first.length; col++) {
+        const values = rest
+            .map((row) => row[col])
+            .filter((value) => typeof value === 'string');
+        if (!values.length || typeof first[col] !== 'string') continue;
+
+        if (values.every(isNumeric)) {
+            votes += isNumeric(first[col]) ? -1 : 1;
+            continue;
+        }
+
+        const length = values[0].length;
+        if (values.every((value) => value.length === length))
+            votes += first[col].length === length ? -1 : 1;
+    }
+
+    return votes >= 0;
+}
+
+/**
+ * Guesses the dialect of a sample of CSV text: the line terminator, the quote
+ * and escape chars, the delimiter (the candidate that splits the records into
+ * the most consistent number of cells) and if there is a header row.
+ * @param {string} text
+ * @param {Object} [param1={}]
+ * @param {boolean} [param1.isComplete=false] - If the sample is the entire file.
+ * Otherwise, the last (possibly cut) record of the sample is ignored.
+ * @returns {{ delimiter: string, quote: string, escape: string, lineTerminator: string, header: boolean }}
+ */
+function sniffCSVDialect(text, { isComplete = false } = {}) {
+    const lineTerminator = detectLineTerminator(text);
+
+    // Quote chars are expected next to delimiters or line breaks
+    const boundary = '[,;\\t|\\r\\n]';
+    const countBoundaryQuotes = (char) =>
+        countMatches(
+            text,
+            new RegExp(`(^|${boundary})${char}|${char}(${boundary}|$)`, 'g')
+        );
+    const quote =
+        countBoundaryQuotes("'") > countBoundaryQuotes('"') ? "'" : '"';
+
+    // Escaped quotes inside a field: [\"] against [""]
+    const inner = '[^,;\\t|\\r\\n]';
+    const escape =
+        countMatches(text, new RegExp(`\\\\${quote}${inner}`, 'g')) >
+        countMatches(text, new RegExp(`${inner}${quote}${quote}${inner}`, 'g'))
+            ? '\\'
+            : quote;
+
+    let best = null;
+    for (const delimiter of SNIFFED_DELIMITERS) {
+        const splitter = new CSVRecordSplitter({
+            delimiter,
+            quote,
+            escape,
+            lineTerminator,
+        });
+        const records = splitter.push(text);
+        if (isComplete) records.push(...splitter.flush());
+
+        const rows = records
+            .filter(({ record }) => record !== '')
+            .map(({ record }) =>
+                splitCSVRecord(record, { delimiter, quote, escape })
+            );
+        if (!rows.length) continue;
+
+        const frequencies = new Map();
+        for (const row of rows)
+            frequencies.set(row.length, (frequencies.get(row.length) || 0) + 1);
+
+        let mode = 0;
+        for (const [count, frequency] of frequencies)
+            if (
+                frequency > (frequencies.get(mode) || 0) ||
+                (frequency === frequencies.get(mode) && count > mode)
+            )
+                mode = count;
+        if (mode < 2) continue;
+
+        const score = frequencies.get(mode) / rows.length;
+        if (
+            !best ||
+            score > best.score ||
+            (score === best.score && mode > best.mode)
+        )
+            best = { delimiter, score, mode, rows };
     }
+
+    return {
+        delimiter: best ? best.delimiter : ',',
+        quote,
+        escape,
+        lineTerminator,
+        header: best ? detectHeader(best.rows) : true,
+    };
 }
 
 class CSVObjectLine {
-    constructor({ index = 0, line = null, cells = [] } = {}) {
+    constructor({ index = 0, offset = null, line = null, cells = [] } = {}) {
         this.index = index;
+        this.offset = offset;
         this.line = line;
         this.cells = cells;
         this.hasMissingCells = false;
         this.hasExcessCells = false;
         this.fields = { _unnamed: [] };
+        this.errors = [];
+    }
+
+    get isValid() {
+        return this.errors.length === 0;
     }
 }
 
-class CSVFileParser {
+/**
+ * Describes a malformed CSV record: a record with a wrong number of cells
+ * ('MISSING_CELLS' or 'EXCESS_CELLS'), or a value that fails a schema rule ('INVALID_VALUE').
+ *
+ * @class CSVValidationError
+ *
+ * @constructor
+ * @param {string} message
+ * @param {Object} param1
+ * @param {string} param1.code - 'MISSING_CELLS', 'EXCESS_CELLS' or 'INVALID_VALUE'
+ * @param {number} param1.line - The line number of the record (the header is line 0)
+ * @param {number|null} [param1.offset=null] - The byte offset of the record in the file
+ * @param {number} param1.expected - The number of columns in the header
+ * @param {number} param1.actual - The number of cells in the record
+ * @param {string|null} [param1.column=null] - The column of the invalid value
+ * @param {string|null} [param1.value=null] - The invalid value
+ * @param {string|null} [param1.rule=null] - The schema rule that failed (a type name, or 'nullable')
+ */
+class CSVValidationError extends Error {
+    constructor(
+        message,
+        {
+            code,
+            line,
+            offset = null,
+            expected,
+            actual,
+            column = null,
+            value = null,
+            rule = null,
+        }
+    ) {
+        super(message);
+        this.name = 'CSVValidationError';
+        this.code = code;
+        this.line = line;
+        this.offset = offset;
+        this.expected = expected;
+        this.actual = actual;
+        this.column = column;
+        this.value = value;
+        this.rule = rule;
+    }
+}
+
+/**
+ * Reports an operation stopped by its AbortSignal. As with the errors of Node.js APIs,
+ * its name is 'AbortError' and its code is 'ABORT_ERR'. The reason of the signal is
+ * kept in 'cause' (a 'TimeoutError', for 'AbortSignal.timeout()').
+ *
+ * @class CSVAbortError
+ *
+ * @constructor
+ * @param {string} message
+ * @param {Object} [param1={}]
+ * @param {*} [param1.cause] - The reason of the signal
+ */
+class CSVAbortError extends Error {
+    constructor(message, { cause } = {}) {
+        super(message, { cause });
+        this.name = 'AbortError';
+        this.code = 'ABORT_ERR';
+    }
+}
+
+class CSVFileParser extends EventEmitter {
     #header;
     #filename;
     #index_pool;
+    #column_indexes;
     #lines;
     #columns;
     #size;
     #input_stream;
     #reading_handle;
     #iterator_stream;
-    #iterator_object;
-    #iterator_function;
     #is_open;
     #is_indexed;
-    #is_iterator_active;
-    #reading_buffer;
+    #is_partial;
+    #max_length;
     #line_divisor;
+    #delimiter;
+    #quote;
+    #escape;
+    #trim;
+    #has_header;
+    #schema;
+    #schema_definition;
+    #transforms;
+    #validation;
+    #errors;
+    #error_count;
+    #max_errors;
+    #encoding;
+    #compression_option;
+    #compression;
+    #checkpoints;
+    #checkpoint_interval;
+    #checkpoint_recorder;
+    #edits;
+    #edit_queue;
+    #header_options;
+    #source_header;
+    #skip_lines;
+    #preamble_size;
+    #selected_columns;
+    #projection;
 
     /**
      * @param {string} filename
      * @param {Object} [param1={}]
      * @param {boolean} [param1.open=false] - If set to true, auto-opens the file during class instance creation
+     * @param {string} [param1.delimiter=','] - The string separating cells (usually [,], [;], [\t] or [|])
+     * @param {string} [param1.quote='"'] - The char used to enclose fields (usually ["] or ['])
+     * @param {string} [param1.escape=quote] - The char used to escape quotes inside quoted fields.
+     * If not specified, quotes are escaped by doubling them (RFC 4180)
+     * @param {string|null} [param1.lineTerminator=null] - The string ending each record ('\n', '\r\n' or '\r').
+     * If not specified, it is detected from the start of the file when opening it
+     * @param {boolean|Array<string>} [param1.header=true] - If set to false, the first record is read as data,
+     * and cells are named by their position in the record ('0', '1', ...). If it is an array, it holds
+     * the names of the columns, and the first record is read as data too (to replace the header row
+     * of a file, combine it with 'skipLines: 1')
+     * @param {number} [param1.skipLines=0] - The number of lines before the header (like titles or
+     * comments), that are skipped. They are split by the line terminator, even if they have quotes
+     * @param {string|Function|null} [param1.normalizeHeader=null] - Normalizes the column names:
+     * 'trim' trims them and joins runs of whitespace into a single space, and 'lowercase', 'uppercase'
+     * and 'snake_case' also change their case. A function is called with each name and its position,
+     * and returns the new name
+     * @param {Object<string, string>|null} [param1.rename=null] - Maps column names (after normalizing them,
+     * and suffixing the repeated ones with the 'suffix' dedupe strategy) to new names
+     * @param {string} [param1.dedupe='array'] - What to do with columns that appear more than once in
+     * the header: 'array' keeps their values in an array, and 'suffix' renames them ('name', 'name_1', ...)
+     * @param {Array<string>|null} [param1.columns=null] - Only the fields of these columns (with their
+     * final names) are built, to read lines faster. The other cells are still in 'CSVObjectLine.cells'
+     * @param {Object<string, string|Function|Object>|null} [param1.schema=null] - The types of the columns.
+     * Values in 'CSVObjectLine.fields' are converted to them (see <CSVFileParser.setSchema()>)
+     * @param {string} [param1.validation='collect'] - What to do with malformed records
+     * (a wrong number of cells, or values that fail the schema):
+     * 'strict' throws a CSVValidationError, 'skip' leaves the record out of iterators
+     * (and <CSVFileParser.getLine()> returns null), and 'collect' keeps the record.
+     * In all modes, the errors are added to <CSVFileParser.errors>.
+     * @param {number} [param1.maxErrors=1000] - The maximum number of errors kept in <CSVFileParser.errors>
+     * @param {boolean} [param1.trim=false] - If set to true, removes the spaces around quoted fields
+     * and the leading and trailing spaces of unquoted cells
+     * @param {string} [param1.encoding='utf-8'] - The encoding of the file ('utf-8', 'latin1' or 'utf16le').
+     * A byte order mark at the start of the file is skipped.
+     * @param {string|null} [param1.compression='auto'] - The compression of the file ('gzip' or 'brotli').
+     * With 'auto', gzip files are detected from their extension ('.gz') or their first bytes, and
+     * brotli files from their extension ('.br'). Null reads the file as it is.
+     * @param {number} [param1.checkpointInterval=1048576] - For gzip files, the number of decompressed
+     * bytes between the checkpoints saved by <CSVFileParser.buildIndex()>. Lines are read by decompressing
+     * from the closest checkpoint before them, so smaller intervals make reads faster, and use 32 KB
+     * of memory per checkpoint.
      * @example
      *  // Crate and open the file handler for traversal and create the handles
      *  const csv = new CSVFileParser('somefile.csv', { open: true });
@@ -136,11 +763,163 @@ class CSVFileParser {
      *  // Rewind the iterators and handles to start reading again
      *  csv.rewind();
      *
+     *  // Or, guess the dialect of an unknown file before parsing it:
+     *  const dialect = await CSVFileParser.sniff('somefile.csv');
+     *  const csv = new CSVFileParser('somefile.csv', { ...dialect, open: true });
+     *
+     *  // Skip the title lines of a report, and clean up its column names:
+     *  const csv = new CSVFileParser('report.csv', {
+     *      skipLines: 2,
+     *      normalizeHeader: 'snake_case',
+     *      dedupe: 'suffix',
+     *  });
+     *
+     *  // Follow the progress of long operations (see 'lib/progress.js' for the event fields):
+     *  csv.on('progress', ({ operation, percent, eta }) => { ... });
      *
      */
-    constructor(filename, { open = false } = {}) {
+    constructor(
+        filename,
+        {
+            open = false,
+            delimiter = ',',
+            quote = '"',
+            escape = quote,
+            lineTerminator = null,
+            header = true,
+            schema = null,
+            validation = 'collect',
+            maxErrors = 1000,
+            trim = false,
+            encoding = 'utf-8',
+            compression = 'auto',
+            checkpointInterval = DEFAULT_CHECKPOINT_INTERVAL,
+            skipLines = 0,
+            normalizeHeader = null,
+            rename = null,
+            dedupe = 'array',
+            columns = null,
+        } = {}
+    ) {
+        super();
+
+        if (!SUPPORTED_ENCODINGS.includes(encoding))
+            throw new Error(
+                `[${this.constructor.name}.constructor()] ` +
+                    `Invalid encoding '${encoding}': expected one of ` +
+                    `${SUPPORTED_ENCODINGS.map((e) => `'${e}'`).join(', ')}.`
+            );
+        if (typeof quote !== 'string' || quote.length !== 1)
+            throw new Error(
+                `[${this.constructor.name}.constructor()] ` +
+                    `Invalid quote char '${quote}': expected a single character.`
+            );
+        if (typeof escape !== 'string' || escape.length !== 1)
+            throw new Error(
+                `[${this.constructor.name}.constructor()] ` +
+                    `Invalid escape char '${escape}': expected a single character.`
+            );
+        if (
+            typeof delimiter !== 'string' ||
+            !delimiter.length ||
+            delimiter.includes(quote) ||
+            /[\r\n]/.test(delimiter)
+        )
+            throw new Error(
+                `[${this.constructor.name}.constructor()] ` +
+                    `Invalid delimiter '${delimiter}': expected a non-empty string ` +
+                    `without line breaks or quote chars.`
+            );
+        if (!VALIDATION_MODES.includes(validation))
+            throw new Error(
+                `[${this.constructor.name}.constructor()] ` +
+                    `Invalid validation mode '${validation}': expected one of ` +
+                    `${VALIDATION_MODES.map((m) => `'${m}'`).join(', ')}.`
+            );
+        if (
+            lineTerminator !== null &&
+            !LINE_TERMINATORS.includes(lineTerminator)
+        )
+            throw new Error(
+                `[${this.constructor.name}.constructor()] ` +
+                    `Invalid line terminator ${JSON.stringify(lineTerminator)}: ` +
+                    `expected one of ${LINE_TERMINATORS.map((t) =>
+                        JSON.stringify(t)
+                    ).join(', ')}.`
+            );
+        if (
+            compression !== null &&
+            compression !== 'auto' &&
+            !COMPRESSION_FORMATS.includes(compression)
+        )
+            throw new Error(
+                `[${this.constructor.name}.constructor()] ` +
+                    `Invalid compression '${compression}': expected 'auto', null, or one of ` +
+                    `${COMPRESSION_FORMATS.map((c) => `'${c}'`).join(', ')}.`
+            );
+        if (!Number.isInteger(checkpointInterval) || checkpointInterval < 1)
+            throw new Error(
+                `[${this.constructor.name}.constructor()] ` +
+                    `Invalid checkpoint interval '${checkpointInterval}': ` +
+                    `expected an integer of 1 or more.`
+            );
+
+        if (
+            Array.isArray(header) &&
+            (!header.length || header.some((name) => typeof name !== 'string'))
+        )
+            throw new Error(
+                `[${this.constructor.name}.constructor()] ` +
+                    `Invalid header: expected a boolean, or a non-empty array of column names.`
+            );
+        if (!Number.isInteger(skipLines) || skipLines < 0)
+            throw new Error(
+                `[${this.constructor.name}.constructor()] ` +
+                    `Invalid number of lines to skip '${skipLines}': ` +
+                    `expected an integer of 0 or more.`
+            );
+        if (
+            normalizeHeader !== null &&
+            typeof normalizeHeader !== 'function' &&
+            !Object.hasOwn(HEADER_NORMALIZATIONS, normalizeHeader)
+        )
+            throw new Error(
+                `[${this.constructor.name}.constructor()] ` +
+                    `Invalid header normalization '${normalizeHeader}': expected a function, null, or one of ` +
+                    `${Object.keys(HEADER_NORMALIZATIONS)
+                        .map((n) => `'${n}'`)
+                        .join(', ')}.`
+            );
+        if (
+            rename !== null &&
+            (typeof rename !== 'object' ||
+                Array.isArray(rename) ||
+                Object.values(rename).some((name) => typeof name !== 'string'))
+        )
+            throw new Error(
+                `[${this.constructor.name}.constructor()] ` +
+                    `Invalid rename map: expected an object mapping column names to new names.`
+            );
+        if (!DEDUPE_STRATEGIES.includes(dedupe))
+            throw new Error(
+                `[${this.constructor.name}.constructor()] ` +
+                    `Invalid dedupe strategy '${dedupe}': expected one of ` +
+                    `${DEDUPE_STRATEGIES.map((d) => `'${d}'`).join(', ')}.`
+            );
+        if (
+            columns !== null &&
+            (!Array.isArray(columns) ||
+                !columns.length ||
+                columns.some((column) => typeof column !== 'string'))
+        )
+            throw new Error(
+                `[${this.constructor.name}.constructor()] ` +
+                    `Invalid columns: expected null, or a non-empty array of column names.`
+            );
+
         this.#filename = filename;
         this.#index_pool = [];
+        this.#column_indexes = new Map();
         this.#header = null;
         this.#lines = 0;
         this.#columns = 0;
@@ -149,18 +928,87 @@ class CSVFileParser {
         this.#input_stream = null;
         this.#reading_handle = null;
         this.#iterator_stream = null;
-        this.#iterator_object = null;
-        this.#iterator_function = null;
 
         this.#is_open = false;
         this.#is_indexed = false;
-        this.#is_iterator_active = false;
-        this.#reading_buffer = null;
+        this.#is_partial = false;
+        this.#max_length = 0;
 
-        this.#line_divisor = '\n';
+        this.#line_divisor = lineTerminator;
+        this.#delimiter = delimiter;
+        this.#quote = quote;
+        this.#escape = escape;
+        this.#trim = Boolean(trim);
+        this.#has_header = !Array.isArray(header) && Boolean(header);
+        this.#header_options = {
+            names: Array.isArray(header) ? [...header] : null,
+            normalize: normalizeHeader,
+            rename: rename && { ...rename },
+            dedupe,
+        };
+        this.#source_header = null;
+        this.#skip_lines = skipLines;
+        this.#preamble_size = 0;
+        this.#selected_columns = columns && new Set(columns);
+        this.#projection = null;
+        this.#schema = null;
+        this.#schema_definition = null;
+        this.#transforms = null;
+        if (schema) this.setSchema(schema);
+        this.#validation = validation;
+        this.#errors = [];
+        this.#error_count = 0;
+        this.#max_errors = maxErrors;
+        this.#encoding = encoding;
+        this.#compression_option = compression;
+        this.#compression = null;
+        this.#checkpoints = [];
+        this.#checkpoint_interval = checkpointInterval;
+        this.#checkpoint_recorder = null;
+        this.#edits = null;
+        this.#edit_queue = Promise.resolve();
         if (Boolean(open)) this.open();
     }
 
+    /**
+     * Reads the first kilobytes of a file and guesses its dialect: encoding,
+     * delimiter, quote and escape chars, line terminator and if it has a header row.
+     * The result can be passed as is to the constructor options.
+     * Compressed files are sampled from their decompressed data.
+     * @param {string} filename
+     * @param {Object} [param1={}]
+     * @param {number} [param1.sampleSize=65536] - The number of bytes to sample
+     * @returns {Promise<{ delimiter: string, quote: string, escape: string, lineTerminator: string, header: boolean, encoding: string }>}
+     * @example
+     *  const dialect = await CSVFileParser.sniff('european.csv');
+     *  // { delimiter: ';', quote: '"', escape: '"', lineTerminator: '\r\n', header: true, encoding: 'utf-8' }
+     */
+    static async sniff(filename, { sampleSize = 1024 * 64 } = {}) {
+        const buffer = Buffer.alloc(sampleSize);
+        const handle = await fs.promises.open(filename, 'r');
+        let bytesRead = 0;
+        try {
+            ({ bytesRead } = await handle.read(buffer, 0, sampleSize, 0));
+        } finally {
+            await handle.close();
+        }
+
+        let sample = buffer.subarray(0, bytesRead);
+        let isComplete = bytesRead < sampleSize;
+        const compression = detectCompression(filename, sample);
+        if (compression) {
+            const data = decompressHead(sample, compression);
+            isComplete &&= data.length <= sampleSize;
+            sample = data.subarray(0, sampleSize);
+        }
+        const encoding = detectEncoding(sample);
+
+        return {
+            ...sniffCSVDialect(sample.toString(encoding), { isComplete }),
+            encoding,
+        };
+    }
+
     #throwMissingIndexingError(originFunction, message) {
         throw new Error(
             `[${this.constructor.name}.${originFunction}] ${message}. ` +
@@ -169,6 +1017,35 @@ class CSVFileParser {
         );
     }
 
+    /**
+     * Checks the 'signal' option of an operation, and throws if it is already aborted
+     * @param {string} method - The name of the calling method, for error messages
+     * @param {AbortSignal|null} signal
+     */
+    #checkSignal(method, signal) {
+        if (signal !== null && !(signal instanceof AbortSignal))
+            throw new Error(
+                `[${this.constructor.name}.${method}()] ` +
+                    `Invalid signal: expected an AbortSignal.`
+            );
+        if (signal?.aborted) throw this.#createAbortError(method, signal);
+    }
+
+    /**
+     * Creates the error of an operation stopped by its signal
+     * @param {string} method - The name of the calling method, for error messages
+     * @param {AbortSignal} signal
+     * @returns {CSVAbortError}
+     */
+    #createAbortError(method, signal) {
+        return new CSVAbortError(
+            `[${this.constructor.name}.${method}()] ` +
+                `Stopped processing file '${this.#filename}': ` +
+                `the operation ${describeAbortReason(signal)}.`,
+            { cause: signal.reason }
+        );
+    }
+
     get filename() {
         return this.#filename;
     }
@@ -209,6 +1086,51 @@ class CSVFileParser {
         return this.#size;
     }
 
+    /**
+     * The dialect options used to parse the file. The line terminator is only
+     * known after opening the file, if it was not specified.
+     * @returns {{ delimiter: string, quote: string, escape: string, lineTerminator: string|null, header: boolean|Array<string>, skipLines: number, encoding: string }}
+     */
+    get dialect() {
+        const { names } = this.#header_options;
+        return {
+            delimiter: this.#delimiter,
+            quote: this.#quote,
+            escape: this.#escape,
+            lineTerminator: this.#line_divisor,
+            header: names ? [...names] : this.#has_header,
+            skipLines: this.#skip_lines,
+            encoding: this.#encoding,
+        };
+    }
+
+    /**
+     * The compression of the file ('gzip', 'brotli', or null if it is not compressed).
+     * Detected when opening the file, if the 'compression' option is 'auto'.
+     * @returns {string|null}
+     */
+    get compression() {
+        return this.#compression;
+    }
+
+    /**
+     * The validation errors found in the lines read since the last <CSVFileParser.iterator()>
+     * call (up to the 'maxErrors' constructor option). Read it after a full pass to
+     * get a report of the malformed records in the file.
+     * @returns {Array<CSVValidationError>}
+     */
+    get errors() {
+        return this.#errors;
+    }
+
+    /**
+     * The number of validation errors found, including the ones not kept in <CSVFileParser.errors>
+     * @returns {number}
+     */
+    get errorCount() {
+        return this.#error_count;
+    }
+
     get isOpen() {
         return this.#is_open;
     }
@@ -217,6 +1139,14 @@ class CSVFileParser {
         return this.#is_indexed;
     }
 
+    /**
+     * The number of edits waiting for <CSVFileParser.commit()>
+     * @returns {number}
+     */
+    get pendingEdits() {
+        return this.#edits?.operations ?? 0;
+    }
+
     /**
      * Parses a string as an entry of a CSV file, and returns an array with each cell
      * Empty cells are returned as 'null'.
@@ -224,39 +1154,375 @@ class CSVFileParser {
      * @returns {Array<string>}
      */
     #splitCSVLine(line) {
-        //TODO - implement this properly, to handle ["] and [']
-        return line.split(',');
+        return splitCSVRecord(line, {
+            delimiter: this.#delimiter,
+            quote: this.#quote,
+            escape: this.#escape,
+            trim: this.#trim,
+        });
     }
 
     /**
-     * Reads the specified number of bytes from the CSV file at the specified position
-     * @param {number} index - The offset to read bytes from
-     * @param {number} length - The number of bytes to read
+     * Describes where the data comes from, for error messages
      * @returns {string}
      */
-    #readAtIndex(index, length) {
-        return new Promise((resolve, reject) => {
-            const buffer = this.#reading_buffer || Buffer.alloc(length);
-            fs.read(
-                this.#reading_handle,
-                buffer,
-                0,
-                length,
-                index,
-                (err, bytesRead, buffer) => {
-                    if (err) reject({ error: err, result: null });
-                    resolve({
-                        error: null,
-                        result: buffer
-                            .slice(0, length)
-                            .toString('utf-8')
-                            .trim(),
-                    });
+    #describeSource() {
+        return this.#filename === null ? 'stream' : `file '${this.#filename}'`;
+    }
+
+    /**
+     * Parses the first record of the file as the header, and applies the header options.
+     * If the file has no header row, names each column by its position in the record instead.
+     * @param {string} record
+     * @returns {Array<string>}
+     */
+    #readHeader(record) {
+        return processHeader(
+            this.#readSourceHeader(record),
+            this.#header_options
+        );
+    }
+
+    /**
+     * Parses the column names of the first record of the file, as they are in the file
+     * (or their positions, if the file has no header row)
+     * @param {string} record
+     * @returns {Array<string>}
+     */
+    #readSourceHeader(record) {
+        const cells = this.#splitCSVLine(record);
+        return this.#has_header ? cells : cells.map((cell, i) => String(i));
+    }
+
+    /**
+     * Sets the header of the index, from the column names in the file
+     * @param {Array<string>} names - See <CSVFileParser.#readSourceHeader()>
+     */
+    #setHeader(names) {
+        this.#source_header = names;
+        this.#header = processHeader(names, this.#header_options);
+        this.#columns = this.#header.length;
+        this.#getProjection(this.#header);
+    }
+
+    /**
+     * Tells which columns of a header have their fields built, with the 'columns' option
+     * @param {Array<string>} header
+     * @returns {Array<boolean>|null} A flag for each column, or null to build all of them
+     */
+    #getProjection(header) {
+        if (!this.#selected_columns) return null;
+        if (this.#projection?.header !== header) {
+            for (const column of this.#selected_columns)
+                if (!header.includes(column))
+                    throw new Error(
+                        `[${this.constructor.name}] Cannot select column '${column}' ` +
+                            `of ${this.#describeSource()}: column not found in the header.`
+                    );
+            this.#projection = {
+                header,
+                keep: header.map((name) => this.#selected_columns.has(name)),
+            };
+        }
+        return this.#projection.keep;
+    }
+
+    /**
+     * Finds the end of the lines skipped before the header, with the 'skipLines' option.
+     * The start of the file is read until all of them are found.
+     * @returns {{ size: number, isComplete: boolean }} The size of the skipped lines in bytes
+     * (of the decompressed data, for compressed files), and if the file has all of them
+     */
+    #measurePreamble() {
+        if (!this.#skip_lines) return { size: 0, isComplete: true };
+
+        const terminator = Buffer.from(this.#line_divisor, this.#encoding);
+        const width = this.#encoding === 'utf16le' ? 2 : 1;
+        const fileSize = fs.fstatSync(this.#reading_handle).size;
+        for (let size = PREAMBLE_READ_SIZE; ; size *= 2) {
+            const data = this.#readStart(Math.min(size, fileSize));
+            let position = 0;
+            let lines = 0;
+            while (lines < this.#skip_lines) {
+                const i = data.indexOf(terminator, position);
+                if (i < 0) break;
+                // Matches across two chars of utf-16 are not terminators
+                if (i % width) {
+                    position = i + 1;
+                    continue;
+                }
+                position = i + terminator.length;
+                lines++;
+            }
+            if (lines === this.#skip_lines)
+                return { size: position, isComplete: true };
+            if (size >= fileSize)
+                return { size: data.length, isComplete: false };
+        }
+    }
+
+    /**
+     * Reads the specified number of bytes from the CSV file at the specified position
+     * @param {number} index - The offset to read bytes from
+     * @param {number} length - The number of bytes to read
+     * @returns {Promise<Buffer>}
+     */
+    #readAtIndex(index, length) {
+        if (this.#compression) return this.#readDecompressed(index, length);
+        return new Promise((resolve, reject) => {
+            // Each read has its own buffer, so concurrent reads are safe
+            const buffer = Buffer.allocUnsafe(length);
+            fs.read(
+                this.#reading_handle,
+                buffer,
+                0,
+                length,
+                index,
+                (err, bytesRead, buffer) => {
+                    if (err) return reject(err);
+                    resolve(buffer.subarray(0, bytesRead));
                 }
             );
         });
     }
 
+    /**
+     * Reads the specified number of bytes from the decompressed data of the file,
+     * decompressing it from the closest checkpoint before them
+     * @param {number} index - The offset to read bytes from, in the decompressed data
+     * @param {number} length - The number of bytes to read
+     * @returns {Promise<Buffer>}
+     */
+    async #readDecompressed(index, length) {
+        const chunks = [];
+        if (length > 0)
+            for await (const chunk of this.#createInputStream({
+                start: index,
+                end: index + length - 1,
+                encoding: null,
+            }))
+                chunks.push(chunk);
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Creates a stream of the file contents (decompressed, if the file is compressed)
+     * @param {Object} [param0={}]
+     * @param {number} [param0.start=0] - The first byte to read
+     * @param {number} [param0.end=Infinity] - The last byte to read (inclusive)
+     * @param {string|null} [param0.encoding] - The encoding of the strings in the stream
+     * (defaults to the file encoding; null returns buffers).
+     * @param {AbortSignal|null} [param0.signal=null] - Destroys the stream when aborted
+     * Other options are passed to 'fs.createReadStream()', for files that are not compressed.
+     * @returns {import('node:stream').Readable}
+     */
+    #createInputStream({
+        start = 0,
+        end = Infinity,
+        encoding = this.#encoding,
+        signal = null,
+        ...options
+    } = {}) {
+        const stream = this.#compression
+            ? createDecompressedStream(this.#filename, this.#compression, {
+                  start,
+                  end,
+                  encoding,
+                  checkpoints: this.#checkpoints,
+              })
+            : fs.createReadStream(this.#filename, {
+                  ...options,
+                  encoding,
+                  start,
+                  end,
+              });
+        return signal ? addAbortSignal(signal, stream) : stream;
+    }
+
+    /**
+     * Reads the first bytes of the file (decompressed, if the file is compressed)
+     * @param {number} size - The number of bytes to read from the file
+     * @returns {Buffer}
+     */
+    #readStart(size) {
+        const buffer = Buffer.alloc(size);
+        const bytesRead = fs.readSync(
+            this.#reading_handle,
+            buffer,
+            0,
+            buffer.length,
+            0
+        );
+        const head = buffer.subarray(0, bytesRead);
+        return this.#compression
+            ? decompressHead(head, this.#compression)
+            : head;
+    }
+
+    /**
+     * Decodes a record read from the file, removing its line terminator
+     * @param {Buffer} buffer
+     * @param {number} start
+     * @param {number} end
+     * @returns {string}
+     */
+    #decodeRecord(buffer, start, end) {
+        const text = buffer.toString(this.#encoding, start, end);
+        if (!this.#line_divisor) return text.replace(/\r?\n$/, '');
+        return text.endsWith(this.#line_divisor)
+            ? text.slice(0, -this.#line_divisor.length)
+            : text;
+    }
+
+    /**
+     * Creates a generator of the records in a text stream of the file, using the file dialect
+     * @param {fs.ReadStream} input
+     * @returns {AsyncGenerator<{ record: string, raw: string }, void, unknown>}
+     */
+    #readRecords(input) {
+        return readCSVRecords(input, {
+            delimiter: this.#delimiter,
+            quote: this.#quote,
+            escape: this.#escape,
+            lineTerminator: this.#line_divisor,
+            trim: this.#trim,
+        });
+    }
+
+    /**
+     * Adds a record to the end of the index
+     * @param {string} raw - The record text, including the line terminator
+     * @returns {number} The length of the record, in bytes
+     */
+    #pushIndexEntry(raw) {
+        const length = Buffer.byteLength(raw, this.#encoding);
+
+        this.#index_pool.push([this.#size, length]);
+
+        this.#lines++;
+        this.#size += length;
+
+        return length;
+    }
+
+    /**
+     * Hashes the start and the end of the first 'size' bytes of the file,
+     * to tell if an index file still matches the CSV file
+     * @param {number} size
+     * @returns {{ head: string, tail: string }}
+     */
+    #createFingerprint(size) {
+        const hashRange = (start, end) => {
+            const buffer = Buffer.alloc(end - start);
+            fs.readSync(this.#reading_handle, buffer, 0, buffer.length, start);
+            return crypto.createHash('sha1').update(buffer).digest('hex');
+        };
+        return {
+            head: hashRange(0, Math.min(size, FINGERPRINT_SAMPLE_SIZE)),
+            tail: hashRange(Math.max(0, size - FINGERPRINT_SAMPLE_SIZE), size),
+        };
+    }
+
+    /**
+     * Hashes the first 'size' bytes of the file, to tell if an index file still matches
+     * the CSV file when its modification time changed
+     * @param {number} size
+     * @returns {Promise<string>}
+     */
+    async #hashFile(size) {
+        const hash = crypto.createHash('sha1');
+        const buffer = Buffer.allocUnsafe(FINGERPRINT_CHUNK_SIZE);
+        for (let position = 0; position < size;) {
+            const bytesRead = await new Promise((resolve, reject) =>
+                fs.read(
+                    this.#reading_handle,
+                    buffer,
+                    0,
+                    Math.min(buffer.length, size - position),
+                    position,
+                    (err, bytesRead) => (err ? reject(err) : resolve(bytesRead))
+                )
+            );
+            if (!bytesRead) break;
+            hash.update(buffer.subarray(0, bytesRead));
+            position += bytesRead;
+        }
+        return hash.digest('hex');
+    }
+
+    /**
+     * Fingerprints the file: its size, its modification time, and hashes of its start,
+     * its end and its whole content
+     * @returns {Promise<{ size: number, mtimeMs: number, head: string, tail: string, hash: string }>}
+     */
+    async #createFileFingerprint() {
+        const stat = fs.fstatSync(this.#reading_handle);
+        return {
+            size: stat.size,
+            mtimeMs: stat.mtimeMs,
+            ...this.#createFingerprint(stat.size),
+            hash: await this.#hashFile(stat.size),
+        };
+    }
+
+    /**
+     * Tells if the first bytes of the file are still the ones of a fingerprint, to tell if
+     * an index file still matches the CSV file. If the file was touched, its whole fingerprinted
+     * range is hashed again, as a change in the middle that keeps the size would shift
+     * the records read from the index
+     * @param {Object} fingerprint - See <CSVFileParser.#createFileFingerprint()>
+     * @returns {Promise<boolean>}
+     */
+    async #matchesFingerprint(fingerprint) {
+        const stat = fs.fstatSync(this.#reading_handle);
+        if (stat.size < fingerprint.size) return false;
+        if (
+            stat.size === fingerprint.size &&
+            stat.mtimeMs === fingerprint.mtimeMs
+        )
+            return true;
+        const current = this.#createFingerprint(fingerprint.size);
+        return (
+            current.head === fingerprint.head &&
+            current.tail === fingerprint.tail &&
+            Boolean(fingerprint.hash) &&
+            (await this.#hashFile(fingerprint.size)) === fingerprint.hash
+        );
+    }
+
+    /**
+     * Indexes the records appended to the file after the last indexed record.
+     * The last indexed record is read again, as it may have been incomplete.
+     * Without indexed records, the header is read again too, for the same reason.
+     * @returns {Promise<void>}
+     */
+    async #updateIndex() {
+        let isHeader = !this.#index_pool.length;
+        if (isHeader) this.#size = this.#preamble_size;
+        else {
+            [this.#size] = this.#index_pool.pop();
+            this.#lines--;
+        }
+
+        let maxLength = this.#max_length;
+
+        const input = this.#createInputStream({ start: this.#size });
+        for await (const { record, raw } of this.#readRecords(input)) {
+            if (isHeader) {
+                isHeader = false;
+                this.#setHeader(this.#readSourceHeader(record));
+                if (this.#has_header) {
+                    this.#size += Buffer.byteLength(raw, this.#encoding);
+                    continue;
+                }
+            }
+            const length = this.#pushIndexEntry(raw);
+            if (length >= maxLength) maxLength = length;
+        }
+
+        this.#max_length = maxLength;
+    }
+
     /**
      * Parses and wraps a line string as a CSVObjectLine, with included properties and values
      * @param {string} line - The line string
@@ -264,16 +1530,36 @@ class CSVFileParser {
      * @param {Object} [param2={}]
      * @param {null} [param2.header=null] - An optional header to use.
      * Used only if the user did not call ".buildIndex()" before.
+     * @param {number|null} [param2.offset=null] - The byte offset of the line in the file
      * @returns {CSVObjectLine}
      */
-    #buildLineObject(line, index, { header = null } = {}) {
+    #buildLineObject(line, index, { header = null, offset = null } = {}) {
         // If it is not an array, convert to one
         if (typeof header === 'string') header = this.#splitCSVLine(header);
 
         const _header = header || this.#header;
 
         const cells = this.#splitCSVLine(line);
-        const result = new CSVObjectLine({ index, line, cells });
+        const result = new CSVObjectLine({ index, offset, line, cells });
+        const keep = this.#getProjection(_header);
+
+        if (cells.length !== _header.length) {
+            const isMissing = cells.length < _header.length;
+            result.hasMissingCells = isMissing;
+            result.errors.push(
+                new CSVValidationError(
+                    `[${this.constructor.name}] Line ${index} of ${this.#describeSource()}: ` +
+                        `expected ${_header.length} cells, found ${cells.length}.`,
+                    {
+                        code: isMissing ? 'MISSING_CELLS' : 'EXCESS_CELLS',
+                        line: index,
+                        offset,
+                        expected: _header.length,
+                        actual: cells.length,
+                    }
+                )
+            );
+        }
 
         // If there are cells without a defined header name
         if (cells.length > _header.length) {
@@ -281,20 +1567,23 @@ class CSVFileParser {
 
             for (let i = 0; i < cells.length; i++) {
                 const col = _header[i];
-                const cell = cells[i] || null;
+                const cell = cells[i] ?? null;
 
                 if (!col) {
                     result.fields._unnamed.push(cell);
                     continue;
                 }
+                if (keep && !keep[i]) continue;
 
-                if (typeof result.fields[col] === 'string') {
-                    result.fields[col] = [result.fields[col], cell];
+                if (Array.isArray(result.fields[col])) {
+                    result.fields[col].push(cell);
                     continue;
                 }
 
-                if (Array.isArray(result.fields[col])) {
-                    result.fields[col].push(cell);
+                // Columns that appear more than once in the header always hold an
+                // array of their cells (even if the first one is empty)
+                if (Object.hasOwn(result.fields, col)) {
+                    result.fields[col] = [result.fields[col], cell];
                     continue;
                 }
 
@@ -304,16 +1593,19 @@ class CSVFileParser {
         //
         else {
             for (let i = 0; i < _header.length; i++) {
+                if (keep && !keep[i]) continue;
                 const col = _header[i];
-                const cell = cells[i] || null;
+                const cell = cells[i] ?? null;
 
-                if (typeof result.fields[col] === 'string') {
-                    result.fields[col] = [result.fields[col], cell];
+                if (Array.isArray(result.fields[col])) {
+                    result.fields[col].push(cell);
                     continue;
                 }
 
-                if (Array.isArray(result.fields[col])) {
-                    result.fields[col].push(cell);
+                // Columns that appear more than once in the header always hold an
+                // array of their cells (even if the first one is empty)
+                if (Object.hasOwn(result.fields, col)) {
+                    result.fields[col] = [result.fields[col], cell];
                     continue;
                 }
 
@@ -321,9 +1613,242 @@ class CSVFileParser {
             }
         }
 
+        if (this.#schema) this.#coerceFields(result, _header.length);
+
+        if (this.#transforms)
+            for (const { column, field, transform } of this.#transforms)
+                result.fields[field] = transform.apply(
+                    result.fields[column] ?? null,
+                    result
+                );
+
+        if (result.errors.length) this.#reportErrors(result.errors);
+
         return result;
     }
 
+    /**
+     * Converts the fields of a line object to the types in the schema.
+     * Values that fail a rule are kept as they are, and an error is added to the line.
+     * @param {CSVObjectLine} line
+     * @param {number} columns - The number of columns in the header
+     * @returns {CSVObjectLine}
+     */
+    #coerceFields(line, columns) {
+        for (const [column, coerce] of this.#schema) {
+            if (this.#selected_columns && !this.#selected_columns.has(column))
+                continue;
+            const value = line.fields[column];
+            try {
+                line.fields[column] = Array.isArray(value)
+                    ? value.map(coerce)
+                    : coerce(value ?? null);
+            } catch (err) {
+                line.errors.push(
+                    new CSVValidationError(
+                        `[${this.constructor.name}] Line ${line.index} of ${this.#describeSource()}: ` +
+                            err.message,
+                        {
+                            code: 'INVALID_VALUE',
+                            line: line.index,
+                            offset: line.offset,
+                            expected: columns,
+                            actual: line.cells.length,
+                            column,
+                            value: err.value ?? null,
+                            rule: err.rule ?? null,
+                        }
+                    )
+                );
+            }
+        }
+        return line;
+    }
+
+    /**
+     * Adds the errors of a malformed line to the error report.
+     * In 'strict' validation mode, throws the first of them instead.
+     * @param {Array<CSVValidationError>} errors
+     */
+    #reportErrors(errors) {
+        for (const error of errors) {
+            this.#error_count++;
+            if (this.#errors.length < this.#max_errors)
+                this.#errors.push(error);
+        }
+        if (this.#validation === 'strict') throw errors[0];
+    }
+
+    /**
+     * Clears the error report, before a new pass through the file
+     */
+    #resetErrors() {
+        this.#errors = [];
+        this.#error_count = 0;
+    }
+
+    /**
+     * Sets the types of the columns. Values in 'CSVObjectLine.fields' are converted
+     * to them, and an error is thrown for values that cannot be converted.
+     * @param {Object<string, string|Function|Object>|null} schema - An object mapping
+     * each column name to a type name ('string', 'number', 'integer', 'boolean', 'date',
+     * 'json' or 'enum'), a custom conversion function, or an object with the column rules:
+     * '{ type, default, nullable = true, values }' ('values' lists the allowed 'enum' values).
+     * Set to null to remove the schema.
+     * @returns {CSVFileParser}
+     * @example
+     *  csv.setSchema({
+     *      age: 'integer',
+     *      income: { type: 'number', default: 0 },
+     *      active: 'boolean',
+     *      state: { type: 'enum', values: ['SP', 'RJ', 'MG'], nullable: false },
+     *      tags: (value) => value.split('|'),
+     *  });
+     */
+    setSchema(schema) {
+        try {
+            this.#schema = schema ? compileSchema(schema) : null;
+            this.#schema_definition = schema || null;
+            // Column indexes hold converted values, so they must be built again
+            this.#column_indexes.clear();
+        } catch (err) {
+            throw new Error(
+                `[${this.constructor.name}.setSchema()] ${err.message}`
+            );
+        }
+        return this;
+    }
+
+    /**
+     * Adds derived fields to every line read from now on (by iterators, <CSVFileParser.getLine()>,
+     * queries, etc.), computed from the values of columns by column transforms
+     * (see 'lib/transforms.js', also exported as 'CSVFileParser.normalize' and 'CSVFileParser.noise').
+     * If a transform needs statistics that were not given, they are computed in a first
+     * pass through the file. Derived fields are named '<column>_<transform name>', unless
+     * the transform has an 'as' option. They are not added in <CSVFileParser.parallelMap()> workers.
+     * @param {Object<string, Object|Function|Array<Object|Function>>|null} transforms - An object mapping
+     * each column to a transform (or an array of them). A function '(value, line) => any' is a transform
+     * named 'transform'. Set to null to remove the transforms.
+     * @param {Object} [param1={}]
+     * @param {AbortSignal|null} [param1.signal=null] - If aborted during the first pass, rejects with
+     * a CSVAbortError, and the file is left without transforms
+     * @returns {Promise<CSVFileParser>}
+     * @example
+     *  const { normalize, noise } = CSVFileParser;
+     *  await csv.transform({
+     *      age: normalize.gaussian(), // mean and std computed from the file
+     *      income: noise.biased({ sampleSize: 20, range: [0.05, 0.15], seed: 42 }),
+     *  });
+     *  for await (const line of csv.iterator()) {
+     *      console.log(line.fields.age_gaussian, line.fields.income_noise);
+     *  }
+     */
+    async transform(transforms, { signal = null } = {}) {
+        if (!this.#is_open)
+            throw new Error(
+                `[${this.constructor.name}.transform()] ` +
+                    `Cannot transform file '${this.#filename}': ` +
+                    `file is not open. Use <${this.constructor.name}.open()> first.`
+            );
+
+        this.#checkSignal('transform', signal);
+
+        this.#transforms = null;
+        if (!transforms) return this;
+
+        const entries = [];
+        for (const [column, value] of Object.entries(transforms))
+            for (let transform of [].concat(value)) {
+                if (typeof transform === 'function')
+                    transform = { name: 'transform', apply: transform };
+                if (typeof transform?.apply !== 'function')
+                    throw new Error(
+                        `[${this.constructor.name}.transform()] ` +
+                            `Invalid transform for column '${column}': ` +
+                            `expected a function, or an object with an 'apply()' method.`
+                    );
+                entries.push({
+                    column,
+                    field: transform.as ?? `${column}_${transform.name}`,
+                    transform,
+                });
+            }
+
+        const pending = entries.filter(({ transform }) => transform.needsPass);
+        if (pending.length) {
+            for await (const line of this.iterator({ signal }))
+                for (const { column, transform } of pending)
+                    transform.observe(line.fields[column] ?? null);
+            try {
+                for (const { transform } of pending) transform.finish();
+            } catch (err) {
+                throw new Error(
+                    `[${this.constructor.name}.transform()] ${err.message}`
+                );
+            }
+        }
+
+        this.#transforms = entries;
+
+        return this;
+    }
+
+    /**
+     * Reads the first records of the file and guesses the type of each column.
+     * The result can be used as the 'schema' option, or with <CSVFileParser.setSchema()>.
+     * Columns with values with leading zeros (like '01234') are strings, so codes keep their zeros.
+     * @param {Object} [param0={}]
+     * @param {number} [param0.sampleRows=1000] - The number of records to sample
+     * @param {AbortSignal|null} [param0.signal=null] - If aborted, rejects with a CSVAbortError
+     * @returns {Promise<Object<string, { type: string, nullable: boolean }>>}
+     * @example
+     *  const schema = await csv.inferSchema({ sampleRows: 500 });
+     *  // { id: { type: 'integer', nullable: false }, name: { type: 'string', nullable: true }, ... }
+     *  csv.setSchema(schema);
+     */
+    async inferSchema({ sampleRows = 1000, signal = null } = {}) {
+        if (!this.#is_open)
+            throw new Error(
+                `[${this.constructor.name}.inferSchema()] ` +
+                    `Cannot infer schema of file '${this.#filename}': ` +
+                    `file is not open. Use <${this.constructor.name}.open()> first.`
+            );
+
+        this.#checkSignal('inferSchema', signal);
+
+        let header = null;
+        const rows = [];
+
+        const input = this.#createInputStream({
+            start: this.#preamble_size,
+            signal,
+        });
+        try {
+            for await (const { record } of this.#readRecords(input)) {
+                signal?.throwIfAborted();
+                if (!header) {
+                    header = this.#readHeader(record);
+                    if (this.#has_header) continue;
+                }
+                if (rows.length >= sampleRows) break;
+                rows.push(this.#splitCSVLine(record));
+            }
+        } catch (err) {
+            if (!signal?.aborted) throw err;
+            throw this.#createAbortError('inferSchema', signal);
+        }
+
+        const schema = {};
+        if (!header) return schema;
+
+        header.forEach((column, i) => {
+            if (column === null || column in schema) return;
+            schema[column] = inferColumnRule(rows.map((row) => row[i] ?? null));
+        });
+
+        return schema;
+    }
+
     /**
      * Opens the file for processing and create the necessary handles and streams
      * @returns {CSVFileParser}
@@ -336,34 +1861,51 @@ class CSVFileParser {
                     `file is already open. Use <${this.constructor.name}.close()> first.`
             );
 
-        this.#input_stream = fs.createReadStream(this.#filename, {
-            encoding: 'utf-8',
-            autoClose: false,
-        });
-
-        this.#iterator_stream = readline.createInterface({
-            input: this.#input_stream,
-            crlfDelay: Infinity,
-        });
-
         if (!this.#reading_handle)
             this.#reading_handle = fs.openSync(this.#filename, 'r');
 
-        this.#is_open = true;
+        if (this.#compression_option === 'auto') {
+            const head = Buffer.alloc(2);
+            const bytesRead = fs.readSync(this.#reading_handle, head, 0, 2, 0);
+            this.#compression = detectCompression(
+                this.#filename,
+                head.subarray(0, bytesRead)
+            );
+        } else this.#compression = this.#compression_option;
 
-        if (!this.#line_divisor) {
-            const tempbuffer = Buffer.alloc(1024 * 8);
-            fs.readSync(
-                this.#reading_handle,
-                tempbuffer,
-                0,
-                tempbuffer.length,
-                0
+        if (!this.#line_divisor)
+            this.#line_divisor = detectLineTerminator(
+                this.#readStart(1024 * 8).toString(this.#encoding)
             );
-            this.#line_divisor = tempbuffer.toString('utf-8').includes('\r\n')
-                ? '\r\n'
-                : '\n';
-        }
+
+        this.#preamble_size = this.#measurePreamble().size;
+
+        // Gzip files save checkpoints while they are read from the top, for <CSVFileParser.buildIndex()>
+        if (this.#compression) {
+            this.#checkpoint_recorder = {
+                interval: this.#checkpoint_interval,
+                checkpoints: [],
+                input: null,
+            };
+            this.#input_stream = createDecompressedStream(
+                this.#filename,
+                this.#compression,
+                {
+                    start: this.#preamble_size,
+                    encoding: this.#encoding,
+                    recorder: this.#checkpoint_recorder,
+                }
+            );
+        } else
+            this.#input_stream = fs.createReadStream(this.#filename, {
+                start: this.#preamble_size,
+                encoding: this.#encoding,
+                autoClose: false,
+            });
+
+        this.#iterator_stream = this.#readRecords(this.#input_stream);
+
+        this.#is_open = true;
 
         return this;
     }
@@ -385,8 +1927,8 @@ class CSVFileParser {
                     `file is not open. Use <${this.constructor.name}.open()> first.`
             );
 
-        this.#input_stream.close();
-        this.#iterator_stream.close();
+        this.#input_stream.destroy();
+        this.#iterator_stream.return();
 
         this.#input_stream = null;
         this.#iterator_stream = null;
@@ -401,73 +1943,515 @@ class CSVFileParser {
         return this;
     }
 
+    /**
+     * Closes the file if it is open, so the parser can be declared with 'await using'.
+     * Iterators that are still running keep their own streams, until they end.
+     * @returns {Promise<void>}
+     * @example
+     *  {
+     *      await using csv = new CSVFileParser('somefile.csv', { open: true });
+     *      await csv.buildIndex();
+     *  } // The file is closed here, even if 'buildIndex()' throws
+     */
+    async [Symbol.asyncDispose]() {
+        if (this.#is_open) this.close();
+    }
+
     /**
      * Traverses the entire CSV dataset and generate an index of entry offsets and
      * entry lengths, to auxiliate in the process of fetching single lines later.
+     * Each entry covers a whole record (including line breaks inside quoted fields),
+     * and offsets and lengths are in bytes of the encoded file.
+     * For compressed files, offsets are in bytes of the decompressed data, and gzip
+     * files also get checkpoints, so lines are read without decompressing the file from the top.
      * @param {Object} [param0={}]
      * @param {number} [param0.max=-1] If a value is specified, parses only the first X lines.
+     * @param {boolean|Object} [param0.printProgress=false] If set, shows a <ProgressBar> while indexing.
+     * Can be the options of the bar (like '{ stream: process.stderr }'). Either way, the
+     * progress is also emitted as 'progress' events, with the 'buildIndex' operation.
+     * @param {boolean} [param0.sidecar=false] If set to true, loads the index from the
+     * '<filename>.csvidx' file when it is up to date, and saves it there after building it.
+     * Ignored if 'max' is specified, as the index of the first lines is not saved for later.
+     * @param {number} [param0.workers=1] The number of worker threads. If greater than 1,
+     * the file is split into byte ranges that are indexed in parallel. Ignored if 'max' is specified,
+     * or if the file is compressed.
+     * @param {AbortSignal|null} [param0.signal=null] If aborted, stops indexing and rejects with
+     * a CSVAbortError. The file is left open and not indexed, so it can be indexed again.
      * @returns {Promise<CSVFileParser>}
+     * @example
+     *  // Index a large file with one thread per CPU core:
+     *  await csv.buildIndex({ workers: os.availableParallelism() });
+     *
+     *  // Give up after a minute:
+     *  await csv.buildIndex({ signal: AbortSignal.timeout(60000) });
      */
-    async buildIndex({ max = -1, printProgress = false } = {}) {
+    async buildIndex({
+        max = -1,
+        printProgress = false,
+        sidecar = false,
+        workers = 1,
+        signal = null,
+    } = {}) {
         if (!this.#is_open)
             throw new Error(
                 `[${this.constructor.name}.buildIndex()] ` +
                     `Cannot build index of file '${this.#filename}': ` +
                     `file is not open. Use <${this.constructor.name}.open()> first.`
             );
+        if (!Number.isInteger(workers) || workers < 1)
+            throw new Error(
+                `[${this.constructor.name}.buildIndex()] ` +
+                    `Invalid number of workers '${workers}': expected an integer of 1 or more.`
+            );
+        this.#checkSignal('buildIndex', signal);
 
-        this.#lines = 0;
-        this.#size = 0;
+        this.#column_indexes.clear();
 
-        let maxLength = 0;
+        const isSidecar = Boolean(sidecar) && max < 0;
+        if (isSidecar) {
+            const loaded = await this.#loadIndexFile(
+                `${this.#filename}.csvidx`
+            );
+            // An index updated with the appended records is saved again, to update it only once
+            if (loaded?.isUpdated) await this.saveIndex();
+            if (loaded) return this;
+        }
 
-        const totalsize = Boolean(printProgress)
-            ? fs.fstatSync(this.#reading_handle).size
-            : null;
-        const progress = Boolean(printProgress)
-            ? new ProgressBar(
-                  ...(max > 0
-                      ? [max, { unit_posfix: 'lines' }]
-                      : [totalsize, { unit_posfix: 'bytes' }])
-              ).update(1)
+        const detachProgressBar = printProgress
+            ? ProgressBar.attach(this, {
+                  ...(typeof printProgress === 'object' ? printProgress : {}),
+                  operation: 'buildIndex',
+              })
             : null;
+        try {
+            if (workers > 1 && max < 0 && !this.#compression)
+                await this.#buildIndexInParallel({ workers, signal });
+            else await this.#buildIndexSequentially({ max, signal });
+        } catch (err) {
+            if (!signal?.aborted) throw err;
+            this.#clearIndex();
+            this.#is_indexed = false;
+            throw this.#createAbortError('buildIndex', signal);
+        } finally {
+            detachProgressBar?.();
+        }
 
-        for await (let line of this.#iterator_stream) {
-            if (this.#lines === 0) {
-                this.#lines++;
-                this.#size += line.length + this.#line_divisor.length;
-                this.#header = this.#splitCSVLine(line);
-                this.#columns = this.#header.length;
-                continue;
-            }
+        this.#is_indexed = true;
 
-            if (Boolean(printProgress))
-                progress.update(max > 0 ? this.#lines : this.#size);
+        if (isSidecar) await this.saveIndex();
 
-            if (max >= 0 && this.#lines >= max) break;
+        return this;
+    }
 
-            this.#index_pool.push([
-                this.#size,
-                line.length + this.#line_divisor.length,
-            ]);
+    /**
+     * Builds the index reading the file from the top, with the iterator stream.
+     * The streams are reopened afterwards, even if it fails or is aborted.
+     * @param {Object} param0
+     * @param {number} param0.max
+     * @param {AbortSignal|null} [param0.signal=null]
+     * @returns {Promise<void>}
+     */
+    async #buildIndexSequentially({ max, signal = null }) {
+        this.#index_pool = [];
+        this.#is_partial = false;
+        this.#checkpoints = [];
+        this.#lines = 0;
+        this.#size = this.#preamble_size;
 
-            this.#lines++;
-            this.#size += line.length + this.#line_divisor.length;
-            if (line.length >= maxLength) maxLength = line.length;
-        }
+        let maxLength = 0;
+        let isHeader = true;
 
-        this.#reading_buffer = Buffer.alloc(maxLength);
+        // The progress of compressed files is in bytes of the compressed data
+        const readBytes = () =>
+            this.#compression
+                ? this.#checkpoint_recorder.input.bytesRead
+                : this.#size;
+        const progress = this.listenerCount('progress')
+            ? new ProgressTracker(this, 'buildIndex', {
+                  totalBytes: fs.fstatSync(this.#reading_handle).size,
+                  totalLines: max > 0 ? max : null,
+              })
+            : null;
 
-        // Reset and close streams
-        this.close({ preserveFileHandle: true });
+        // Aborting destroys the input stream, to stop a pending read
+        const onAbort = () => this.#input_stream.destroy(signal.reason);
+        signal?.addEventListener('abort', onAbort, { once: true });
 
-        // Reopen streams with to reset iterator
-        this.open();
+        try {
+            for await (let { record, raw } of this.#iterator_stream) {
+                signal?.throwIfAborted();
+                if (isHeader) {
+                    isHeader = false;
+                    this.#setHeader(this.#readSourceHeader(record));
+                    if (this.#has_header) {
+                        this.#size += Buffer.byteLength(raw, this.#encoding);
+                        continue;
+                    }
+                }
 
-        this.#is_indexed = true;
+                progress?.update(readBytes(), this.#lines);
 
-        return this;
-    }
+                if (max >= 0 && this.#lines >= max) {
+                    this.#is_partial = true;
+                    break;
+                }
+
+                const length = this.#pushIndexEntry(raw);
+                if (length >= maxLength) maxLength = length;
+            }
+            signal?.throwIfAborted();
+
+            this.#max_length = maxLength;
+            progress?.end(readBytes(), this.#lines);
+            if (this.#compression === 'gzip')
+                this.#checkpoints = this.#checkpoint_recorder.checkpoints;
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+
+            // Reset and close streams
+            this.close({ preserveFileHandle: true });
+
+            // Reopen streams with to reset iterator
+            this.open();
+        }
+    }
+
+    /**
+     * Finds the first record boundary candidate after a byte position: the byte
+     * after the next line terminator. It may still be inside a quoted field.
+     * @param {number} position
+     * @param {number} size - The file size
+     * @returns {number}
+     */
+    #findChunkBoundary(position, size) {
+        const terminator = Buffer.from(this.#line_divisor, this.#encoding);
+        const unit = this.#encoding === 'utf16le' ? 2 : 1;
+        const buffer = Buffer.alloc(1024 * 64);
+
+        position -= position % unit;
+        while (position < size) {
+            const bytesRead = fs.readSync(
+                this.#reading_handle,
+                buffer,
+                0,
+                buffer.length,
+                position
+            );
+            const block = buffer.subarray(0, bytesRead);
+
+            // In UTF-16, the terminator must start at a char boundary
+            let i = block.indexOf(terminator);
+            while (i !== -1 && i % unit !== 0)
+                i = block.indexOf(terminator, i + 1);
+            if (i !== -1) return position + i + terminator.length;
+
+            if (bytesRead < buffer.length) break;
+            // Step back, in case the terminator is split between reads
+            position += bytesRead - terminator.length;
+            position -= position % unit;
+        }
+        return size;
+    }
+
+    /**
+     * Builds the index with worker threads, each one splitting a byte range of the file.
+     * Ranges start after a line terminator, and are split assuming it ends a record.
+     * If the previous range ends inside a quoted field, the range is split again from there.
+     * @param {Object} param0
+     * @param {number} param0.workers
+     * @param {AbortSignal|null} [param0.signal=null]
+     * @returns {Promise<void>}
+     */
+    async #buildIndexInParallel({ workers, signal = null }) {
+        const size = fs.fstatSync(this.#reading_handle).size;
+        const count = Math.min(
+            workers,
+            Math.ceil((size - this.#preamble_size) / PARALLEL_MIN_CHUNK_SIZE)
+        );
+        if (count < 2) return this.#buildIndexSequentially({ max: -1, signal });
+
+        const boundaries = [this.#preamble_size];
+        for (let i = 1; i < count; i++) {
+            const boundary = this.#findChunkBoundary(
+                this.#preamble_size +
+                    Math.floor(((size - this.#preamble_size) * i) / count),
+                size
+            );
+            if (boundary > boundaries[boundaries.length - 1] && boundary < size)
+                boundaries.push(boundary);
+        }
+        boundaries.push(size);
+
+        const scan = (i, isInsideQuotes = false) =>
+            runWorkerTask(
+                {
+                    task: 'scan',
+                    filename: this.#filename,
+                    start: boundaries[i],
+                    end: boundaries[i + 1],
+                    encoding: this.#encoding,
+                    dialect: {
+                        delimiter: this.#delimiter,
+                        quote: this.#quote,
+                        escape: this.#escape,
+                        lineTerminator: this.#line_divisor,
+                        trim: this.#trim,
+                    },
+                    isInsideQuotes,
+                },
+                { signal }
+            ).catch((err) => {
+                if (signal?.aborted) throw err;
+                throw new Error(
+                    `[${this.constructor.name}.buildIndex()] ` +
+                        `Cannot build index of file '${this.#filename}': ` +
+                        `error in worker thread. ${err.message}`
+                );
+            });
+
+        // Lines are counted as the ranges are scanned, so the header is counted too
+        const progress = this.listenerCount('progress')
+            ? new ProgressTracker(this, 'buildIndex', { totalBytes: size })
+            : null;
+        let scannedBytes = this.#preamble_size;
+        let scannedLines = 0;
+
+        const chunks = await Promise.all(
+            boundaries.slice(0, -1).map(async (_, i) => {
+                const chunk = await scan(i);
+                scannedBytes += boundaries[i + 1] - boundaries[i];
+                scannedLines += chunk.lengths.length;
+                progress?.update(scannedBytes, scannedLines);
+                return chunk;
+            })
+        );
+
+        // Join the lengths of the records of all ranges, in order
+        const lengths = [];
+        let carry = 0;
+        let isInsideQuotes = false;
+        for (let i = 0; i < chunks.length; i++) {
+            // The guess was wrong: the range starts inside a quoted field
+            if (isInsideQuotes) chunks[i] = await scan(i, true);
+
+            for (const length of chunks[i].lengths) {
+                lengths.push(carry + length);
+                carry = 0;
+            }
+            carry += chunks[i].remainder;
+            isInsideQuotes = chunks[i].isInsideQuotes;
+        }
+        if (carry > 0) lengths.push(carry);
+
+        this.#index_pool = [];
+        this.#is_partial = false;
+        this.#lines = 0;
+        this.#size = this.#preamble_size;
+
+        let maxLength = 0;
+
+        const buffer = await this.#readAtIndex(this.#size, lengths[0]);
+        let record = this.#decodeRecord(buffer, 0, buffer.length);
+        if (record.charCodeAt(0) === 0xfeff) record = record.slice(1);
+        this.#setHeader(this.#readSourceHeader(record));
+
+        for (let i = 0; i < lengths.length; i++) {
+            if (i === 0 && this.#has_header) {
+                this.#size += lengths[i];
+                continue;
+            }
+            this.#index_pool.push([this.#size, lengths[i]]);
+            this.#lines++;
+            this.#size += lengths[i];
+            if (lengths[i] >= maxLength) maxLength = lengths[i];
+        }
+
+        this.#max_length = maxLength;
+        progress?.end(size, this.#lines);
+    }
+
+    /**
+     * Saves the index to a binary file, so it can be loaded later instead of built again.
+     * The file stores the header, the number of columns and lines, the length of
+     * each record and a fingerprint of the CSV file (size, modification time, and hashes
+     * of its start, its end and its whole content).
+     * The checkpoints of gzip files are saved after the lengths.
+     * @param {string} [path='<filename>.csvidx']
+     * @returns {Promise<CSVFileParser>}
+     */
+    async saveIndex(path = `${this.#filename}.csvidx`) {
+        if (!this.#is_open)
+            throw new Error(
+                `[${this.constructor.name}.saveIndex()] ` +
+                    `Cannot save index of file '${this.#filename}': ` +
+                    `file is not open. Use <${this.constructor.name}.open()> first.`
+            );
+        if (!this.#is_indexed)
+            throw new Error(
+                `[${this.constructor.name}.saveIndex()] ` +
+                    `Cannot save index of file '${this.#filename}': ` +
+                    `file is not indexed. Use <${this.constructor.name}.buildIndex()> first.`
+            );
+
+        const metadata = Buffer.from(
+            JSON.stringify({
+                fingerprint: await this.#createFileFingerprint(),
+                dialect: this.dialect,
+                header: this.#source_header,
+                columns: this.#columns,
+                lines: this.#lines,
+                size: this.#size,
+                complete: !this.#is_partial,
+                offset: this.#index_pool.length
+                    ? this.#index_pool[0][0]
+                    : this.#size,
+                maxLength: this.#max_length,
+                checkpoints: this.#checkpoints.map(
+                    ({ bit, offset, window }) => ({
+                        bit,
+                        offset,
+                        windowLength: window.length,
+                    })
+                ),
+            }),
+            'utf-8'
+        );
+
+        const preamble = Buffer.alloc(INDEX_FILE_PREAMBLE_SIZE);
+        preamble.write(INDEX_FILE_MAGIC, 0, 'latin1');
+        preamble.writeUInt8(INDEX_FILE_VERSION, INDEX_FILE_MAGIC.length);
+        preamble.writeUInt32LE(metadata.length, 8);
+
+        // Records are contiguous, so only their lengths are stored
+        const lengths = Buffer.alloc(this.#lines * 4);
+        for (let i = 0; i < this.#lines; i++)
+            lengths.writeUInt32LE(this.#index_pool[i][1], i * 4);
+
+        // Write to a temporary file first, so a crash never leaves a broken index
+        const temporaryPath = `${path}.${process.pid}.tmp`;
+        await fs.promises.writeFile(
+            temporaryPath,
+            Buffer.concat([
+                preamble,
+                metadata,
+                lengths,
+                ...this.#checkpoints.map(({ window }) => window),
+            ])
+        );
+        await fs.promises.rename(temporaryPath, path);
+
+        return this;
+    }
+
+    /**
+     * Loads an index saved with <CSVFileParser.saveIndex()>. Indexes of a file that
+     * was modified (or of another dialect) are rejected, unless the file was only
+     * appended to, in which case only the new records are indexed. Indexes built
+     * with the 'max' option of <CSVFileParser.buildIndex()> are rejected too.
+     * @param {string} [path='<filename>.csvidx']
+     * @returns {Promise<boolean>} If the index was loaded (false if it is missing or stale)
+     * @example
+     *  if (!(await csv.loadIndex())) {
+     *      await csv.buildIndex();
+     *      await csv.saveIndex();
+     *  }
+     */
+    async loadIndex(path = `${this.#filename}.csvidx`) {
+        return Boolean(await this.#loadIndexFile(path));
+    }
+
+    /**
+     * Loads an index file (see <CSVFileParser.loadIndex()>)
+     * @param {string} path
+     * @returns {Promise<false|{ isUpdated: boolean }>} False if the index was not loaded,
+     * and otherwise if the records appended to the file after it was saved were indexed
+     */
+    async #loadIndexFile(path) {
+        if (!this.#is_open)
+            throw new Error(
+                `[${this.constructor.name}.loadIndex()] ` +
+                    `Cannot load index of file '${this.#filename}': ` +
+                    `file is not open. Use <${this.constructor.name}.open()> first.`
+            );
+
+        let data;
+        try {
+            data = await fs.promises.readFile(path);
+        } catch (err) {
+            if (err.code === 'ENOENT') return false;
+            throw err;
+        }
+
+        if (
+            data.length < INDEX_FILE_PREAMBLE_SIZE ||
+            data.toString('latin1', 0, INDEX_FILE_MAGIC.length) !==
+                INDEX_FILE_MAGIC ||
+            data.readUInt8(INDEX_FILE_MAGIC.length) !== INDEX_FILE_VERSION
+        )
+            throw new Error(
+                `[${this.constructor.name}.loadIndex()] ` +
+                    `Cannot load index file '${path}': ` +
+                    `not an index file, or created by an unsupported version.`
+            );
+
+        const metadataEnd = INDEX_FILE_PREAMBLE_SIZE + data.readUInt32LE(8);
+        const metadata = JSON.parse(
+            data.toString('utf-8', INDEX_FILE_PREAMBLE_SIZE, metadataEnd)
+        );
+        const { fingerprint } = metadata;
+
+        // Indexes of the first lines (see the 'max' option of <CSVFileParser.buildIndex()>) are not loaded
+        if (
+            metadata.complete !== true ||
+            JSON.stringify(metadata.dialect) !== JSON.stringify(this.dialect)
+        )
+            return false;
+
+        const stat = fs.fstatSync(this.#reading_handle);
+        // Indexes of compressed files are not updated, as their data cannot be appended to
+        if (this.#compression && stat.size !== fingerprint.size) return false;
+        if (!(await this.#matchesFingerprint(fingerprint))) return false;
+
+        // Files without records have no header, if they are empty
+        if (metadata.header) this.#setHeader(metadata.header);
+        else {
+            this.#header = null;
+            this.#source_header = null;
+            this.#columns = 0;
+        }
+        this.#is_partial = false;
+        this.#lines = metadata.lines;
+        this.#size = metadata.size;
+        this.#index_pool = new Array(metadata.lines);
+
+        let offset = metadata.offset;
+        for (let i = 0; i < metadata.lines; i++) {
+            const length = data.readUInt32LE(metadataEnd + i * 4);
+            this.#index_pool[i] = [offset, length];
+            offset += length;
+        }
+
+        this.#max_length = metadata.maxLength;
+
+        let windowOffset = metadataEnd + metadata.lines * 4;
+        this.#checkpoints = (metadata.checkpoints || []).map(
+            ({ bit, offset, windowLength }) => {
+                const window = data.subarray(
+                    windowOffset,
+                    windowOffset + windowLength
+                );
+                windowOffset += windowLength;
+                return { bit, offset, window };
+            }
+        );
+
+        const isUpdated = stat.size > fingerprint.size;
+        if (isUpdated) await this.#updateIndex();
+
+        this.#is_indexed = true;
+
+        return { isUpdated };
+    }
 
     /**
      * Resets the streams and rewinds the process, to start reading the content again
@@ -486,8 +2470,139 @@ class CSVFileParser {
     }
 
     /**
-     * Creates (or returns, if already created) a singleton async iterator for the CSV
-     * content in the file.
+     * Creates a Transform stream that parses CSV text (Buffers or strings) written to it,
+     * and emits a CSVObjectLine for each record, using the dialect, schema and validation
+     * options of this parser. The stream emits a 'header' event with the header, before
+     * the first line, and an 'error' event for malformed records in 'strict' validation mode.
+     * It does not need the file to be open.
+     * @param {Object} [param0={}] - Options to resume parsing in the middle of the file
+     * @param {Array<string>|null} [param0.header=null] - The header of the file. If specified,
+     * the text written to the stream starts after the header, and its first record is read as data.
+     * Otherwise, the lines of the 'skipLines' option are skipped first
+     * @param {number} [param0.index=0] - The line number of the record before the text
+     * @param {number} [param0.offset=0] - The byte offset of the text in the file
+     * @returns {Transform}
+     * @example
+     *  const csv = new CSVFileParser('unused.csv', { delimiter: ';' });
+     *  process.stdin
+     *      .pipe(csv.createParseStream())
+     *      .on('header', (header) => console.log(header))
+     *      .on('data', (line) => console.log(line.index, line.fields));
+     */
+    createParseStream({ header = null, index = 0, offset = 0 } = {}) {
+        const parser = this;
+        const decoder = new StringDecoder(this.#encoding);
+        const splitter = new CSVRecordSplitter({
+            delimiter: this.#delimiter,
+            quote: this.#quote,
+            escape: this.#escape,
+            lineTerminator: this.#line_divisor,
+            trim: this.#trim,
+        });
+
+        // The lines before the header, with the 'skipLines' option (the text after
+        // the last line terminator found is kept, as the terminator may be split)
+        let linesToSkip = header ? 0 : this.#skip_lines;
+        let skipped = '';
+        const skipLines = (text) => {
+            if (!linesToSkip) return text;
+            const terminator = this.#line_divisor ?? '\n';
+            text = skipped + text;
+            let position = 0;
+            while (linesToSkip > 0) {
+                const i = text.indexOf(terminator, position);
+                if (i < 0) break;
+                position = i + terminator.length;
+                linesToSkip--;
+            }
+            offset += Buffer.byteLength(
+                text.slice(0, position),
+                this.#encoding
+            );
+            skipped = linesToSkip ? text.slice(position) : '';
+            return linesToSkip ? '' : text.slice(position);
+        };
+
+        const pushRecords = (stream, records) => {
+            for (const { record, raw } of records) {
+                const recordOffset = offset;
+                offset += Buffer.byteLength(raw, parser.#encoding);
+                if (!header) {
+                    header = parser.#readHeader(record);
+                    stream.emit('header', header);
+                    if (parser.#has_header) continue;
+                }
+                index++;
+                const line = parser.#buildLineObject(record, index, {
+                    header,
+                    offset: recordOffset,
+                });
+                if (parser.#validation === 'skip' && !line.isValid) continue;
+                stream.push(line);
+            }
+        };
+
+        return new Transform({
+            readableObjectMode: true,
+            transform(chunk, encoding, callback) {
+                try {
+                    pushRecords(
+                        this,
+                        splitter.push(skipLines(decoder.write(chunk)))
+                    );
+                    callback();
+                } catch (err) {
+                    callback(err);
+                }
+            },
+            flush(callback) {
+                try {
+                    pushRecords(this, splitter.push(skipLines(decoder.end())));
+                    pushRecords(this, splitter.flush());
+                    callback();
+                } catch (err) {
+                    callback(err);
+                }
+            },
+        });
+    }
+
+    /**
+     * Creates a Transform stream that parses CSV text into CSVObjectLines,
+     * without a CSVFileParser instance (see <CSVFileParser.createParseStream()>).
+     * @param {Object} [options={}] - The same options of the constructor (except 'open')
+     * @returns {Transform}
+     * @example
+     *  const { pipeline } = require('node:stream/promises');
+     *  await pipeline(
+     *      response,
+     *      zlib.createGunzip(),
+     *      CSVFileParser.createParseStream({ delimiter: '\t' }),
+     *      async function (lines) {
+     *          for await (const line of lines) console.log(line.fields);
+     *      }
+     *  );
+     */
+    static createParseStream({ open, ...options } = {}) {
+        return new this(null, options).createParseStream();
+    }
+
+    /**
+     * Creates an async iterator for the CSV content in the file. Each call returns a
+     * new iterator, reading the file with its own stream, so multiple iterators can
+     * walk the file independently. If the file is indexed, the iterator seeks
+     * directly to the 'start' line, instead of reading the file from the top.
+     *
+     * While 'progress' listeners are attached, it emits 'progress' events with the
+     * 'iterator' operation (in bytes of the range, or of the file; for compressed
+     * files that are not indexed, the total is unknown).
+     *
+     * Leaving the loop early ('break', 'return' or an error) closes the stream of the iterator.
+     * @param {Object} [param0={}]
+     * @param {number} [param0.start=1] - The first line to yield (line numbers start at 1, 0 is the header)
+     * @param {number} [param0.end=Infinity] - The last line to yield (inclusive)
+     * @param {AbortSignal|null} [param0.signal=null] - If aborted, closes the stream of the iterator,
+     * and the next call to 'next()' rejects with a CSVAbortError
      * @returns {AsyncGenerator<CSVObjectLine, void, unknown>}
      * @example
      *  const csv = new CSVFileParser('somefile.csv');
@@ -501,98 +2616,2195 @@ class CSVFileParser {
      * ...
      * console.log(iterator.next()) // { value: CSVObjectLine, done: true }
      *
+     * // Process only a range of lines (after 'csv.buildIndex()', it seeks to line 1000000):
+     *  for await (let line of csv.iterator({ start: 1000000, end: 2000000 })) { ... }
+     *
+     * // Stop reading after 10 seconds:
+     *  for await (let line of csv.iterator({ signal: AbortSignal.timeout(10000) })) { ... }
+     *
      */
-    iterator() {
+    iterator({ start = 1, end = Infinity, signal = null } = {}) {
         if (!this.#is_open)
             throw new Error(
                 `[${this.constructor.name}.iterator()] ` +
                     `Cannot get iterator for file '${this.#filename}': ` +
                     `file is not open. Use <${this.constructor.name}.open()> first.`
             );
+        if (
+            !Number.isInteger(start) ||
+            start < 1 ||
+            !(Number.isInteger(end) || end === Infinity) ||
+            end < start
+        )
+            throw new Error(
+                `[${this.constructor.name}.iterator()] ` +
+                    `Invalid line range [${start}, ${end}]: expected ` +
+                    `an integer 'start' of 1 or more, and an 'end' of 'start' or more.`
+            );
+        this.#checkSignal('iterator', signal);
 
-        // Only one iterator may exist at a time
-        if (this.#is_iterator_active) {
-            return this.#iterator_object;
+        const parser = this;
+
+        // Seek to the closest indexed line before the range
+        let index = 0;
+        let offset = this.#preamble_size;
+        let header = this.#is_indexed ? this.#header : null;
+        const streamOptions = {
+            start: offset,
+            encoding: this.#encoding,
+            signal,
+        };
+        if (this.#is_indexed && start > 1) {
+            index = Math.min(start - 1, this.#lines);
+            offset =
+                index < this.#lines ? this.#index_pool[index][0] : this.#size;
+            streamOptions.start = offset;
+        }
+        if (this.#is_indexed && end < this.#lines) {
+            const [lastOffset, lastLength] = this.#index_pool[end - 1];
+            streamOptions.end = lastOffset + lastLength - 1;
         }
 
-        const scopeHeader = this.#header;
-        const scopeIteratorStream = this.#iterator_stream;
-        const scopeLineObjectBuilder = this.#buildLineObject;
+        this.#resetErrors();
 
-        const generatorConstructor = async function* csvAsyncIteratorWrapper() {
-            let index = 0;
-            let header = scopeHeader || null;
-            for await (const line of scopeIteratorStream) {
-                index++;
-                // if is first line, ignore (it is the header)
-                if (index === 1) {
-                    if (!header) header = line;
-                    continue;
+        // Offsets are in bytes of the decompressed data, so the size of compressed files is only known from the index
+        const startOffset = offset;
+        const endOffset =
+            streamOptions.end !== undefined
+                ? streamOptions.end + 1
+                : this.#is_indexed
+                  ? this.#size
+                  : this.#compression
+                    ? null
+                    : fs.fstatSync(this.#reading_handle).size;
+        const progress = this.listenerCount('progress')
+            ? new ProgressTracker(this, 'iterator', {
+                  totalBytes:
+                      endOffset === null ? null : endOffset - startOffset,
+              })
+            : null;
+
+        return (async function* csvAsyncIteratorWrapper() {
+            let isHeader = offset === parser.#preamble_size;
+            let count = 0;
+            const input = parser.#createInputStream(streamOptions);
+            try {
+                for await (const { record, raw } of parser.#readRecords(
+                    input
+                )) {
+                    signal?.throwIfAborted();
+                    const recordOffset = offset;
+                    offset += Buffer.byteLength(raw, parser.#encoding);
+                    progress?.update(offset - startOffset, count);
+                    // if is first record, ignore (it is the header)
+                    if (isHeader) {
+                        isHeader = false;
+                        if (!header) header = parser.#readHeader(record);
+                        if (parser.#has_header) continue;
+                    }
+                    index++;
+                    if (index < start) continue;
+                    if (index > end) break;
+                    count++;
+                    const line = parser.#buildLineObject(record, index, {
+                        header,
+                        offset: recordOffset,
+                    });
+                    if (parser.#validation === 'skip' && !line.isValid)
+                        continue;
+                    yield line;
                 }
-                yield scopeLineObjectBuilder(line, index, { header });
+            } catch (err) {
+                if (!signal?.aborted) throw err;
+                throw parser.#createAbortError('iterator', signal);
+            } finally {
+                if (!signal?.aborted)
+                    progress?.end(offset - startOffset, count);
             }
-        };
+        })();
+    }
+
+    /**
+     * Follows a file that other processes append to, like 'tail -f': yields the lines
+     * already in the file (from 'start'), and then each line appended to it, as soon as
+     * its line terminator is written. The index is extended with each new line, so
+     * <CSVFileParser.getLine()> keeps working on them (column indexes are dropped, as
+     * they would miss the new lines). The file is indexed first, if it is not yet.
+     *
+     * If the file is truncated, or replaced by a new file with the same name (log rotation),
+     * the rest of the old file is read, and then the file is indexed and read again from the
+     * top: line numbers start again at 1, and the header is read again.
+     *
+     * The iterator never ends by itself: use 'break' or a signal to stop following the file.
+     * Either way, the index is left as <CSVFileParser.buildIndex()> would build it from the data read so far.
+     * @param {Object} [param0={}]
+     * @param {number} [param0.start=1] - The first line to yield (line numbers start at 1, 0 is the header)
+     * @param {number} [param0.interval=1000] - How often to check the file for new data, in milliseconds
+     * @param {AbortSignal|null} [param0.signal=null] - If aborted, stops following the file,
+     * and the iterator rejects with a CSVAbortError
+     * @returns {AsyncGenerator<CSVObjectLine, void, unknown>}
+     * @example
+     *  const csv = new CSVFileParser('requests.log.csv', { open: true });
+     *  await csv.buildIndex();
+     *  // Only the lines written from now on:
+     *  for await (const line of csv.follow({ start: csv.lines + 1 })) {
+     *      console.log(line.index, line.fields);
+     *  }
+     */
+    follow({ start = 1, interval = 1000, signal = null } = {}) {
+        if (!this.#is_open)
+            throw new Error(
+                `[${this.constructor.name}.follow()] ` +
+                    `Cannot follow file '${this.#filename}': ` +
+                    `file is not open. Use <${this.constructor.name}.open()> first.`
+            );
+        if (this.#compression)
+            throw new Error(
+                `[${this.constructor.name}.follow()] ` +
+                    `Cannot follow file '${this.#filename}': ` +
+                    `compressed files cannot be appended to.`
+            );
+        if (!Number.isInteger(start) || start < 1)
+            throw new Error(
+                `[${this.constructor.name}.follow()] ` +
+                    `Invalid start line '${start}': expected an integer of 1 or more.`
+            );
+        if (typeof interval !== 'number' || !(interval > 0))
+            throw new Error(
+                `[${this.constructor.name}.follow()] ` +
+                    `Invalid interval '${interval}': expected a number of milliseconds, greater than 0.`
+            );
+        this.#checkSignal('follow', signal);
 
-        this.#iterator_function = generatorConstructor;
-        this.#is_iterator_active = true;
-        this.#iterator_object = this.#iterator_function();
+        return this.#follow(start, interval, signal);
+    }
 
-        return this.#iterator_object;
+    /**
+     * Clears the index, to index the file again from the top
+     */
+    #clearIndex() {
+        this.#index_pool = [];
+        this.#is_partial = false;
+        this.#checkpoints = [];
+        this.#column_indexes.clear();
+        this.#header = null;
+        this.#source_header = null;
+        this.#columns = 0;
+        this.#lines = 0;
+        this.#size = 0;
+        this.#max_length = 0;
     }
 
     /**
-     * Fetch a line from the CSV content at a specific line number
-     * (Line numbers start at 1, 0 is the header).
-     * @param {number} index
-     * @returns {CSVObjectLine}
+     * Adds a complete record read by <CSVFileParser.follow()> to the index
+     * @param {string} record
+     * @param {string} raw
+     * @returns {CSVObjectLine|null} The line (null if it is the header, or if it is
+     * malformed and the validation mode is 'skip')
      */
-    async getLine(index) {
+    #indexFollowedRecord(record, raw) {
+        if (!this.#header) {
+            this.#setHeader(this.#readSourceHeader(record));
+            if (this.#has_header) {
+                this.#size += Buffer.byteLength(raw, this.#encoding);
+                return null;
+            }
+        }
+
+        const offset = this.#size;
+        const length = this.#pushIndexEntry(raw);
+        if (length > this.#max_length) this.#max_length = length;
+        this.#column_indexes.clear();
+
+        const line = this.#buildLineObject(record, this.#lines, { offset });
+        return this.#validation === 'skip' && !line.isValid ? null : line;
+    }
+
+    /**
+     * The generator of <CSVFileParser.follow()>
+     * @param {number} start
+     * @param {number} interval
+     * @param {AbortSignal|null} signal
+     * @returns {AsyncGenerator<CSVObjectLine, void, unknown>}
+     */
+    async *#follow(start, interval, signal) {
+        let position = 0;
+        try {
+            if (!this.#is_indexed) await this.buildIndex({ signal });
+
+            // The last record is read again, as it may be incomplete
+            if (this.#lines > 0) {
+                if (this.#lines > start)
+                    yield* this.iterator({
+                        start,
+                        end: this.#lines - 1,
+                        signal,
+                    });
+                [position] = this.#index_pool.pop();
+                this.#lines--;
+                this.#size = position;
+            } else this.#clearIndex();
+
+            const createSplitter = () =>
+                new CSVRecordSplitter({
+                    delimiter: this.#delimiter,
+                    quote: this.#quote,
+                    escape: this.#escape,
+                    lineTerminator: this.#line_divisor,
+                    trim: this.#trim,
+                });
+            let splitter = createSplitter();
+            let decoder = new StringDecoder(this.#encoding);
+
+            const restart = () => {
+                this.#clearIndex();
+                position = 0;
+                start = 1;
+                splitter = createSplitter();
+                decoder = new StringDecoder(this.#encoding);
+            };
+
+            for (;;) {
+                signal?.throwIfAborted();
+                const { size, ino } = fs.fstatSync(this.#reading_handle);
+
+                if (size < position) {
+                    restart();
+                    continue;
+                }
+
+                // Reading from the top, records start after the skipped lines, once they are all written
+                if (position === 0 && this.#skip_lines) {
+                    const preamble = this.#measurePreamble();
+                    if (!preamble.isComplete) {
+                        await sleep(
+                            interval,
+                            undefined,
+                            signal ? { signal } : {}
+                        );
+                        continue;
+                    }
+                    position = this.#size = this.#preamble_size = preamble.size;
+                }
+
+                if (size > position) {
+                    const buffer = await this.#readAtIndex(
+                        position,
+                        Math.min(size - position, FOLLOW_READ_SIZE)
+                    );
+                    position += buffer.length;
+                    for (const { record, raw } of splitter.push(
+                        decoder.write(buffer)
+                    )) {
+                        const line = this.#indexFollowedRecord(record, raw);
+                        if (line && line.index >= start) yield line;
+                    }
+                    continue;
+                }
+
+                // All the data was read: check if the file was replaced
+                let current = null;
+                try {
+                    current = await fs.promises.stat(this.#filename);
+                } catch (err) {
+                    if (err.code !== 'ENOENT') throw err;
+                }
+                if (current && current.ino !== ino) {
+                    this.close();
+                    this.open();
+                    restart();
+                    continue;
+                }
+
+                await sleep(interval, undefined, signal ? { signal } : {});
+            }
+        } catch (err) {
+            if (!signal?.aborted) throw err;
+            throw this.#createAbortError('follow', signal);
+        } finally {
+            // The data read after the last complete record is indexed as a record,
+            // as <CSVFileParser.buildIndex()> does with the end of the file
+            if (this.#header && position > this.#size) {
+                const length = position - this.#size;
+                this.#index_pool.push([this.#size, length]);
+                this.#lines++;
+                this.#size = position;
+                if (length > this.#max_length) this.#max_length = length;
+            }
+        }
+    }
+
+    /**
+     * Checks if lines can be fetched from the index
+     * @param {string} method - The name of the calling method, for error messages
+     */
+    #checkIndexedAccess(method) {
         if (!this.#is_open)
             throw new Error(
-                `[${this.constructor.name}.getLine()] ` +
+                `[${this.constructor.name}.${method}()] ` +
                     `Cannot fetch indexed line for file '${this.#filename}': ` +
                     `file is not open. Use <${this.constructor.name}.open()> first.`
             );
         if (!this.#is_indexed || !this.#index_pool.length)
             throw new Error(
-                `[${this.constructor.name}.getLine()] ` +
+                `[${this.constructor.name}.${method}()] ` +
                     `Cannot fetch indexed line for file '${this.#filename}': ` +
                     `file is not indexed. Use <${this.constructor.name}.buildIndex()> first.`
             );
+    }
 
+    /**
+     * Checks if a line number is in the index
+     * @param {string} method - The name of the calling method, for error messages
+     * @param {number} index
+     */
+    #checkLineIndex(method, index) {
         if (
             !index ||
             typeof index !== 'number' ||
+            !Number.isInteger(index) ||
             index > this.#lines ||
             index <= 0 ||
-            !this.#index_pool[index][1]
+            !this.#index_pool[index - 1][1]
         )
             throw new Error(
-                `[${this.constructor.name}.getLine()] ` +
+                `[${this.constructor.name}.${method}()] ` +
                     `Cannot fetch indexed line '${index}' for file ` +
                     `'${this.#filename}': line index out of range. ` +
                     `Expected an index between 1 and ${this.#lines}`
             );
+    }
 
-        // TODO - 'index' must be a byte offset, not a line offset
-        const line = await this.#readAtIndex(
-            this.#index_pool[index][0],
-            this.#index_pool[index][1]
-        );
+    /**
+     * Reads a group of lines with a single read, from the first to the last of them
+     * @param {string} method - The name of the calling method, for error messages
+     * @param {Array<number>} indices - The line numbers, in ascending order
+     * @returns {Promise<Map<number, CSVObjectLine|null>>} The lines (null if they are
+     * malformed and the validation mode is 'skip')
+     */
+    async #readLineGroup(method, indices) {
+        const [start] = this.#index_pool[indices[0] - 1];
+        const [lastOffset, lastLength] =
+            this.#index_pool[indices[indices.length - 1] - 1];
 
-        if (line.error) {
+        let buffer;
+        try {
+            buffer = await this.#readAtIndex(
+                start,
+                lastOffset + lastLength - start
+            );
+        } catch (err) {
             throw new Error(
-                `[${this.constructor.name}.getLine()] ` +
-                    `Cannot fetch indexed line '${index}' for file ` +
-                    `'${this.#filename}': error during read. ${
-                        line.error.message
-                    }`
+                `[${this.constructor.name}.${method}()] ` +
+                    `Cannot fetch indexed line '${indices[0]}' for file ` +
+                    `'${this.#filename}': error during read. ${err.message}`
             );
         }
-        const result = this.#buildLineObject(line.result, index);
 
-        return result;
+        const lines = new Map();
+        for (const index of indices) {
+            const [offset, length] = this.#index_pool[index - 1];
+            const record = this.#decodeRecord(
+                buffer,
+                offset - start,
+                offset - start + length
+            );
+            const line = this.#buildLineObject(record, index, { offset });
+            lines.set(
+                index,
+                this.#validation === 'skip' && !line.isValid ? null : line
+            );
+        }
+
+        return lines;
+    }
+
+    /**
+     * Fetch a line from the CSV content at a specific line number
+     * (Line numbers start at 1, 0 is the header).
+     * @param {number} index
+     * @returns {CSVObjectLine|null} The line, or null if it is malformed
+     * and the validation mode is 'skip'
+     */
+    async getLine(index) {
+        this.#checkIndexedAccess('getLine');
+        this.#checkLineIndex('getLine', index);
+
+        const lines = await this.#readLineGroup('getLine', [index]);
+
+        return lines.get(index);
+    }
+
+    /**
+     * Fetch a range of consecutive lines, with a single read from the file
+     * (Line numbers start at 1, 0 is the header).
+     * Malformed lines are left out if the validation mode is 'skip'.
+     * @param {number} start - The first line number
+     * @param {number} [count=1] - The number of lines (stops at the last line of the file)
+     * @returns {Promise<Array<CSVObjectLine>>}
+     * @example
+     *  // Page 3 of a table with 50 rows per page:
+     *  const rows = await csv.getLines(101, 50);
+     */
+    async getLines(start, count = 1) {
+        this.#checkIndexedAccess('getLines');
+        this.#checkLineIndex('getLines', start);
+        if (!Number.isInteger(count) || count < 1)
+            throw new Error(
+                `[${this.constructor.name}.getLines()] ` +
+                    `Invalid line count '${count}': expected an integer of 1 or more.`
+            );
+
+        const end = Math.min(start + count - 1, this.#lines);
+        const indices = [];
+        for (let i = start; i <= end; i++) indices.push(i);
+
+        const lines = await this.#readLineGroup('getLines', indices);
+
+        return [...lines.values()].filter((line) => line !== null);
+    }
+
+    /**
+     * Fetch lines by their line numbers, in any order. Lines that are close in the file
+     * are fetched with a single read, and distant groups of lines are read concurrently.
+     * @param {Array<number>} indices - The line numbers (line numbers start at 1, 0 is the header)
+     * @param {Object} [param1={}]
+     * @param {number} [param1.maxGap=65536] - The maximum number of bytes between two lines
+     * for them to be fetched with the same read
+     * @returns {Promise<Array<CSVObjectLine|null>>} The lines, in the order of 'indices'
+     * (null for malformed lines, if the validation mode is 'skip')
+     * @example
+     *  // A random sample of 100 lines:
+     *  const indices = Array.from({ length: 100 }, () => 1 + Math.floor(Math.random() * csv.lines));
+     *  const sample = await csv.getLinesByIndices(indices);
+     */
+    async getLinesByIndices(indices, { maxGap = 1024 * 64 } = {}) {
+        this.#checkIndexedAccess('getLinesByIndices');
+        for (const index of indices)
+            this.#checkLineIndex('getLinesByIndices', index);
+
+        const sorted = [...new Set(indices)].sort((a, b) => a - b);
+
+        // Merge lines into groups, while the gap between them is small enough
+        const groups = [];
+        let group = null;
+        let groupEnd = 0;
+        for (const index of sorted) {
+            const [offset, length] = this.#index_pool[index - 1];
+            if (!group || offset - groupEnd > maxGap) {
+                group = [];
+                groups.push(group);
+            }
+            group.push(index);
+            groupEnd = offset + length;
+        }
+
+        const lines = new Map();
+        const results = await Promise.all(
+            groups.map((group) =>
+                this.#readLineGroup('getLinesByIndices', group)
+            )
+        );
+        for (const result of results)
+            for (const [index, line] of result) lines.set(index, line);
+
+        return indices.map((index) => lines.get(index));
+    }
+
+    /**
+     * Returns the path of the journal of the edits
+     * @returns {string}
+     */
+    #getJournalPath() {
+        return `${this.#filename}.csvjournal`;
+    }
+
+    /**
+     * Checks if the lines of the file can be edited
+     * @param {string} method - The name of the calling method, for error messages
+     */
+    #checkEditable(method) {
+        if (!this.#is_open)
+            throw new Error(
+                `[${this.constructor.name}.${method}()] ` +
+                    `Cannot edit file '${this.#filename}': ` +
+                    `file is not open. Use <${this.constructor.name}.open()> first.`
+            );
+        if (this.#compression)
+            throw new Error(
+                `[${this.constructor.name}.${method}()] ` +
+                    `Cannot edit file '${this.#filename}': ` +
+                    `compressed files cannot be edited.`
+            );
+        if (!this.#is_indexed)
+            throw new Error(
+                `[${this.constructor.name}.${method}()] ` +
+                    `Cannot edit file '${this.#filename}': ` +
+                    `file is not indexed. Use <${this.constructor.name}.buildIndex()> first.`
+            );
+        if (this.#is_partial)
+            throw new Error(
+                `[${this.constructor.name}.${method}()] ` +
+                    `Cannot edit file '${this.#filename}': ` +
+                    `only the first lines are indexed. Use <${this.constructor.name}.buildIndex()> without 'max' first.`
+            );
+    }
+
+    /**
+     * Checks the line number of an edit
+     * @param {string} method - The name of the calling method, for error messages
+     * @param {number} index
+     * @param {number} last - The last line number that can be edited
+     */
+    #checkEditedLine(method, index, last) {
+        if (!Number.isInteger(index) || index < 1 || index > last)
+            throw new Error(
+                `[${this.constructor.name}.${method}()] ` +
+                    `Cannot edit line '${index}' of file '${this.#filename}': ` +
+                    `line index out of range. Expected an index between 1 and ${last}.`
+            );
+    }
+
+    /**
+     * Checks if the file is the same it was when the edits started
+     * @param {Object} source - The size and the fingerprint of the file
+     * @returns {boolean}
+     */
+    #matchesEditSource(source) {
+        const { size } = fs.fstatSync(this.#reading_handle);
+        if (size !== source?.size || size !== this.#size) return false;
+        const { head, tail } = this.#createFingerprint(size);
+        return head === source.head && tail === source.tail;
+    }
+
+    /**
+     * Runs the edits one at a time, in the order they were called
+     * @param {function(): Promise<*>} task
+     * @returns {Promise<*>}
+     */
+    #queueEdit(task) {
+        const result = this.#edit_queue.then(task);
+        this.#edit_queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Writes an edit to the journal, and then applies it to the pending edits.
+     * The journal is started by the first edit.
+     * @param {string} method - The name of the calling method, for error messages
+     * @param {Object} operation - The edit (see <CSVLineEdits.apply()>)
+     * @returns {Promise<void>}
+     */
+    async #recordEdit(method, operation) {
+        const path = this.#getJournalPath();
+        if (!this.#edits) {
+            const { size } = fs.fstatSync(this.#reading_handle);
+            if (size !== this.#size)
+                throw new Error(
+                    `[${this.constructor.name}.${method}()] ` +
+                        `Cannot edit file '${this.#filename}': the file changed after ` +
+                        `it was indexed. Use <${this.constructor.name}.buildIndex()> first.`
+                );
+            const source = { size, ...this.#createFingerprint(size) };
+            await createJournal(path, source);
+            this.#edits = new CSVLineEdits(this.#lines, source);
+        }
+        await appendJournalEntry(path, operation);
+        this.#edits.apply(operation);
+    }
+
+    /**
+     * Reads the cells of a line, with the pending edits
+     * @param {number} index
+     * @returns {Promise<Array<string|null>>}
+     */
+    async #readEditedCells(index) {
+        const found = this.#edits ? this.#edits.find(index) : { line: index };
+        if (found.record !== undefined)
+            return this.#splitCSVLine(
+                found.record.slice(0, -this.#line_divisor.length)
+            );
+        const [offset, length] = this.#index_pool[found.line - 1];
+        const buffer = await this.#readAtIndex(offset, length);
+        return this.#splitCSVLine(this.#decodeRecord(buffer, 0, buffer.length));
+    }
+
+    /**
+     * Converts the values of an edit to the text of a record, with its line terminator
+     * @param {string} method - The name of the calling method, for error messages
+     * @param {Array<*>|Object|CSVObjectLine} row - An array with all the cells, or an
+     * object mapping columns to their values (like 'CSVObjectLine.fields')
+     * @param {Array<string|null>|null} [base=null] - The cells of the updated line:
+     * columns that are not in the object keep their values
+     * @returns {string}
+     */
+    #formatEditedRecord(method, row, base = null) {
+        if (row instanceof CSVObjectLine) row = row.fields;
+        if (typeof row !== 'object' || row === null)
+            throw new Error(
+                `[${this.constructor.name}.${method}()] ` +
+                    `Invalid row '${row}': expected an array of values, ` +
+                    `or an object mapping columns to values.`
+            );
+
+        let cells = row;
+        if (!Array.isArray(row)) {
+            const header = this.#header || [];
+            // The fields added by transforms are not in the file
+            const derived = new Set(
+                (this.#transforms || []).map(({ field }) => field)
+            );
+            cells = base ? [...base] : header.map(() => null);
+            for (const [column, value] of Object.entries(row)) {
+                if (column === '_unnamed') {
+                    if (Array.isArray(value))
+                        cells.splice(header.length, Infinity, ...value);
+                    continue;
+                }
+                if (derived.has(column)) continue;
+
+                const positions = [];
+                header.forEach((name, i) => {
+                    if (name === column) positions.push(i);
+                });
+                if (!positions.length)
+                    throw new Error(
+                        `[${this.constructor.name}.${method}()] ` +
+                            `Cannot edit column '${column}' of file '${this.#filename}': ` +
+                            `column not found in the header.`
+                    );
+                if (positions.length > 1 && Array.isArray(value))
+                    positions.forEach((position, i) => {
+                        cells[position] = value[i] ?? null;
+                    });
+                else cells[positions[0]] = value;
+            }
+        }
+
+        return (
+            formatCSVRecord(cells, {
+                delimiter: this.#delimiter,
+                quote: this.#quote,
+                escape: this.#escape,
+            }) + this.#line_divisor
+        );
+    }
+
+    /**
+     * Changes the values of a line. Like the other edits, it is written to a journal
+     * ('<filename>.csvjournal'), and the file only changes on <CSVFileParser.commit()>:
+     * until then, the lines are read without the edits. Line numbers include the
+     * edits made before, as if they were already committed.
+     * @param {number} index - The line number (line numbers start at 1)
+     * @param {Array<*>|Object} fields - The new values of some columns (the other columns keep
+     * their values), or an array with all the cells of the line. Columns that appear more than
+     * once in the header take an array. Values are written as in CSVFileWriter.
+     * @returns {Promise<CSVFileParser>}
+     * @example
+     *  await csv.buildIndex();
+     *  await csv.updateLine(42, { email: 'ana@example.com' });
+     *  await csv.deleteLine(7); // Line 42 is now line 41
+     *  await csv.insertLine(1, { id: 0, email: 'first@example.com' });
+     *  await csv.appendLines([{ id: 1001 }, { id: 1002 }]);
+     *  await csv.commit();
+     */
+    async updateLine(index, fields) {
+        this.#checkEditable('updateLine');
+        return this.#queueEdit(async () => {
+            this.#checkEditedLine(
+                'updateLine',
+                index,
+                this.#edits?.lines ?? this.#lines
+            );
+            const base = Array.isArray(fields)
+                ? null
+                : await this.#readEditedCells(index);
+            const record = this.#formatEditedRecord('updateLine', fields, base);
+            await this.#recordEdit('updateLine', {
+                type: 'update',
+                line: index,
+                records: [record],
+            });
+            return this;
+        });
+    }
+
+    /**
+     * Inserts a line before another one (see <CSVFileParser.updateLine()>)
+     * @param {number} index - The line number of the new line: the line with that number,
+     * and the ones after it, move one line down. Use the number of lines plus one to add it at the end.
+     * @param {Array<*>|Object} fields - The values of the columns (missing columns are left empty),
+     * or an array with all the cells of the line
+     * @returns {Promise<CSVFileParser>}
+     */
+    async insertLine(index, fields) {
+        this.#checkEditable('insertLine');
+        return this.#queueEdit(async () => {
+            this.#checkEditedLine(
+                'insertLine',
+                index,
+                (this.#edits?.lines ?? this.#lines) + 1
+            );
+            await this.#recordEdit('insertLine', {
+                type: 'insert',
+                line: index,
+                records: [this.#formatEditedRecord('insertLine', fields)],
+            });
+            return this;
+        });
+    }
+
+    /**
+     * Deletes a line (see <CSVFileParser.updateLine()>). The lines after it move one line up.
+     * @param {number} index - The line number
+     * @returns {Promise<CSVFileParser>}
+     */
+    async deleteLine(index) {
+        this.#checkEditable('deleteLine');
+        return this.#queueEdit(async () => {
+            this.#checkEditedLine(
+                'deleteLine',
+                index,
+                this.#edits?.lines ?? this.#lines
+            );
+            await this.#recordEdit('deleteLine', {
+                type: 'delete',
+                line: index,
+            });
+            return this;
+        });
+    }
+
+    /**
+     * Adds lines at the end of the file (see <CSVFileParser.updateLine()>), as a single edit
+     * @param {Iterable<Array<*>|Object>|AsyncIterable<Array<*>|Object>} rows - The rows, as
+     * in <CSVFileParser.insertLine()>
+     * @returns {Promise<CSVFileParser>}
+     */
+    async appendLines(rows) {
+        this.#checkEditable('appendLines');
+        return this.#queueEdit(async () => {
+            const records = [];
+            for await (const row of rows)
+                records.push(this.#formatEditedRecord('appendLines', row));
+            if (!records.length) return this;
+            await this.#recordEdit('appendLines', {
+                type: 'insert',
+                line: (this.#edits?.lines ?? this.#lines) + 1,
+                records,
+            });
+            return this;
+        });
+    }
+
+    /**
+     * Writes the edits to the file. The edited file is written to a temporary file next to it,
+     * which then replaces it, so the file is never left half written. The index is updated
+     * from the edits, without reading the file again, and the column indexes are dropped.
+     * The journal is deleted afterwards.
+     * @param {Object} [param0={}]
+     * @param {AbortSignal|null} [param0.signal=null] - If aborted, deletes the temporary file,
+     * keeps the edits, and rejects with a CSVAbortError
+     * @returns {Promise<CSVFileParser>}
+     */
+    async commit({ signal = null } = {}) {
+        this.#checkEditable('commit');
+        this.#checkSignal('commit', signal);
+        return this.#queueEdit(async () => {
+            if (!this.#edits) return this;
+            if (!this.#matchesEditSource(this.#edits.source))
+                throw new Error(
+                    `[${this.constructor.name}.commit()] ` +
+                        `Cannot commit edits to file '${this.#filename}': the file changed ` +
+                        `after the first edit. Use <${this.constructor.name}.rollback()> to discard them.`
+                );
+            try {
+                await this.#writeEdits(signal);
+            } catch (err) {
+                if (!signal?.aborted) throw err;
+                throw this.#createAbortError('commit', signal);
+            }
+            this.#edits = null;
+            await fs.promises.rm(this.#getJournalPath(), { force: true });
+            return this;
+        });
+    }
+
+    /**
+     * Writes the edited file to a temporary file, replaces the file with it, and updates the index
+     * @param {AbortSignal|null} signal
+     * @returns {Promise<void>}
+     */
+    async #writeEdits(signal) {
+        const terminator = Buffer.from(this.#line_divisor, this.#encoding);
+        const dataStart = this.#index_pool.length
+            ? this.#index_pool[0][0]
+            : this.#size;
+        // A line terminator is added to the end of the file, if lines are written after it
+        const isTerminated =
+            this.#size < terminator.length ||
+            (
+                await this.#readAtIndex(
+                    this.#size - terminator.length,
+                    terminator.length
+                )
+            ).equals(terminator);
+
+        const temporary = path.join(
+            path.dirname(this.#filename),
+            `.${path.basename(this.#filename)}.` +
+                `${crypto.randomBytes(6).toString('hex')}.tmp`
+        );
+        const { mode } = fs.fstatSync(this.#reading_handle);
+        const output = await fs.promises.open(temporary, 'wx', mode);
+
+        const pool = [];
+        let position = 0;
+        let maxLength = 0;
+        let isMissingTerminator = false;
+        let chunks = [];
+        let buffered = 0;
+
+        const flush = async () => {
+            const buffer = Buffer.concat(chunks);
+            chunks = [];
+            buffered = 0;
+            for (let written = 0; written < buffer.length;)
+                written += (await output.write(buffer, written)).bytesWritten;
+        };
+        const write = async (buffer) => {
+            if (isMissingTerminator) {
+                isMissingTerminator = false;
+                chunks.push(terminator);
+                buffered += terminator.length;
+                position += terminator.length;
+                if (pool.length) {
+                    const last = pool[pool.length - 1];
+                    last[1] += terminator.length;
+                    if (last[1] > maxLength) maxLength = last[1];
+                }
+            }
+            chunks.push(buffer);
+            buffered += buffer.length;
+            position += buffer.length;
+            if (buffered >= COMMIT_CHUNK_SIZE) await flush();
+        };
+        // Copies a byte range of the file
+        const copy = async (start, end) => {
+            for (
+                let offset = start;
+                offset < end;
+                offset += COMMIT_CHUNK_SIZE
+            ) {
+                signal?.throwIfAborted();
+                await write(
+                    await this.#readAtIndex(
+                        offset,
+                        Math.min(COMMIT_CHUNK_SIZE, end - offset)
+                    )
+                );
+            }
+            if (end === this.#size && !isTerminated) isMissingTerminator = true;
+        };
+
+        try {
+            await copy(0, dataStart);
+            for (const segment of this.#edits.segments) {
+                if (segment.records) {
+                    for (const record of segment.records) {
+                        const buffer = Buffer.from(record, this.#encoding);
+                        await write(buffer);
+                        pool.push([position - buffer.length, buffer.length]);
+                        if (buffer.length > maxLength)
+                            maxLength = buffer.length;
+                    }
+                    continue;
+                }
+
+                const first = segment.start - 1;
+                const last = first + segment.count - 1;
+                const [start] = this.#index_pool[first];
+                const [lastOffset, lastLength] = this.#index_pool[last];
+                // The terminator missing before the range is added first
+                if (isMissingTerminator) await write(Buffer.alloc(0));
+                const shift = position - start;
+                for (let i = first; i <= last; i++) {
+                    const [offset, length] = this.#index_pool[i];
+                    pool.push([offset + shift, length]);
+                    if (length > maxLength) maxLength = length;
+                }
+                await copy(start, lastOffset + lastLength);
+            }
+            await flush();
+            await output.sync();
+        } catch (err) {
+            await output.close();
+            await fs.promises.rm(temporary, { force: true });
+            throw err;
+        }
+        await output.close();
+        await fs.promises.rename(temporary, this.#filename);
+
+        // The handles still read the replaced file
+        this.close();
+        this.open();
+
+        this.#index_pool = pool;
+        this.#lines = pool.length;
+        this.#size = position;
+        this.#max_length = maxLength;
+        this.#column_indexes.clear();
+        this.#is_indexed = true;
+    }
+
+    /**
+     * Discards the edits that were not committed, and deletes the journal
+     * @returns {Promise<CSVFileParser>}
+     */
+    async rollback() {
+        return this.#queueEdit(async () => {
+            this.#edits = null;
+            await fs.promises.rm(this.#getJournalPath(), { force: true });
+            return this;
+        });
+    }
+
+    /**
+     * Loads the edits of a journal left by a parser that stopped before committing them
+     * (like a process that crashed), to commit them or roll them back. The journal is
+     * ignored if the file changed after it was started.
+     * @returns {Promise<boolean>} If the journal was loaded
+     * @example
+     *  await csv.buildIndex();
+     *  if (await csv.loadJournal()) await csv.commit();
+     */
+    async loadJournal() {
+        this.#checkEditable('loadJournal');
+        return this.#queueEdit(async () => {
+            if (this.#edits)
+                throw new Error(
+                    `[${this.constructor.name}.loadJournal()] ` +
+                        `Cannot load journal of file '${this.#filename}': there are edits that were ` +
+                        `not committed. Use <${this.constructor.name}.commit()> or ` +
+                        `<${this.constructor.name}.rollback()> first.`
+                );
+
+            const journal = await readJournal(this.#getJournalPath());
+            if (!journal || !this.#matchesEditSource(journal.source))
+                return false;
+
+            const edits = new CSVLineEdits(this.#lines, journal.source);
+            for (const operation of journal.operations) edits.apply(operation);
+            this.#edits = edits;
+            return true;
+        });
+    }
+
+    /**
+     * Calls a function with each line of the file, in worker threads, and collects the results.
+     * The lines are split in contiguous ranges, one per worker, using the index.
+     * The function is sent to the workers as source code, so it cannot use variables from
+     * its enclosing scope, and its results must be cloneable (see 'structuredClone()').
+     * Malformed lines are left out if the validation mode is 'skip', and the validation
+     * errors of all workers are added to <CSVFileParser.errors>.
+     * @param {function(CSVObjectLine): *} fn - The function to call with each line (it may be async)
+     * @param {Object} [param1={}]
+     * @param {number} [param1.workers] - The number of worker threads (defaults to the number of CPU cores)
+     * @param {AbortSignal|null} [param1.signal=null] - If aborted, terminates the worker threads,
+     * and rejects with a CSVAbortError
+     * @returns {Promise<Array<*>>} The results of the function, in the order of the lines
+     * @example
+     *  await csv.buildIndex({ workers: 4 });
+     *  const totals = await csv.parallelMap(
+     *      (line) => Number(line.fields.price) * Number(line.fields.amount),
+     *      { workers: 4 }
+     *  );
+     */
+    async parallelMap(fn, { workers = DEFAULT_WORKERS, signal = null } = {}) {
+        this.#checkIndexedAccess('parallelMap');
+        if (typeof fn !== 'function')
+            throw new Error(
+                `[${this.constructor.name}.parallelMap()] ` +
+                    `Invalid function '${fn}': expected a function.`
+            );
+        if (!Number.isInteger(workers) || workers < 1)
+            throw new Error(
+                `[${this.constructor.name}.parallelMap()] ` +
+                    `Invalid number of workers '${workers}': expected an integer of 1 or more.`
+            );
+        this.#checkSignal('parallelMap', signal);
+
+        const options = {
+            delimiter: this.#delimiter,
+            quote: this.#quote,
+            escape: this.#escape,
+            lineTerminator: this.#line_divisor,
+            header: this.#has_header,
+            schema: this.#schema_definition,
+            validation: this.#validation,
+            maxErrors: this.#max_errors,
+            trim: this.#trim,
+            encoding: this.#encoding,
+            columns: this.#selected_columns && [...this.#selected_columns],
+        };
+        try {
+            structuredClone(options.schema);
+        } catch {
+            throw new Error(
+                `[${this.constructor.name}.parallelMap()] ` +
+                    `Cannot send schema to worker threads: ` +
+                    `schemas with custom conversion functions are not supported.`
+            );
+        }
+
+        // Split the lines in contiguous ranges, one per worker
+        const count = Math.min(workers, this.#lines);
+        const tasks = [];
+        for (let i = 0; i < count; i++) {
+            const first = Math.floor((this.#lines * i) / count) + 1;
+            const last = Math.floor((this.#lines * (i + 1)) / count);
+            const [start] = this.#index_pool[first - 1];
+            const [lastOffset, lastLength] = this.#index_pool[last - 1];
+            tasks.push(
+                runWorkerTask(
+                    {
+                        task: 'map',
+                        filename: this.#filename,
+                        compression: this.#compression,
+                        checkpoint: findCheckpoint(this.#checkpoints, start),
+                        start,
+                        end: lastOffset + lastLength,
+                        index: first - 1,
+                        header: this.#header,
+                        options,
+                        source: fn.toString(),
+                    },
+                    { signal }
+                )
+            );
+        }
+
+        this.#resetErrors();
+
+        let chunks;
+        try {
+            chunks = await Promise.all(tasks);
+        } catch (err) {
+            if (signal?.aborted)
+                throw this.#createAbortError('parallelMap', signal);
+            throw new Error(
+                `[${this.constructor.name}.parallelMap()] ` +
+                    `Cannot process file '${this.#filename}': ` +
+                    `error in worker thread. ${err.message}`
+            );
+        }
+
+        const results = [];
+        for (const { results: chunk, errors, errorCount } of chunks) {
+            for (const result of chunk) results.push(result);
+            for (const { message, ...error } of errors)
+                if (this.#errors.length < this.#max_errors)
+                    this.#errors.push(new CSVValidationError(message, error));
+            this.#error_count += errorCount;
+        }
+
+        return results;
+    }
+
+    /**
+     * Builds an index of the values of a column, to find lines by value without
+     * reading the whole file. Values are indexed after the schema conversions
+     * (so the values searched must be of the column type), and each value of a
+     * duplicate column is indexed. Malformed lines are left out if the validation
+     * mode is 'skip'. Rebuilding the main index, or changing the schema, drops
+     * the column indexes.
+     * @param {string} column
+     * @param {Object} [param1={}]
+     * @param {string} [param1.type='hash'] - 'hash' (finds exact values) or 'sorted'
+     * (also finds ranges of values, with <CSVFileParser.findRange()>)
+     * @param {boolean} [param1.sidecar=false] - If set to true, loads the column index from
+     * the '<filename>.<column>.colidx' file when it is up to date, and saves it there after building it.
+     * @param {AbortSignal|null} [param1.signal=null] - If aborted, rejects with a CSVAbortError,
+     * and the column is left without an index
+     * @returns {Promise<CSVFileParser>}
+     * @example
+     *  await csv.buildIndex();
+     *  await csv.createColumnIndex('customer_id');
+     *  await csv.createColumnIndex('created_at', { type: 'sorted', sidecar: true });
+     *  const orders = await csv.findBy('customer_id', '1042');
+     */
+    async createColumnIndex(
+        column,
+        { type = 'hash', sidecar = false, signal = null } = {}
+    ) {
+        this.#checkIndexedAccess('createColumnIndex');
+        this.#checkSignal('createColumnIndex', signal);
+        if (!this.#header.includes(column))
+            throw new Error(
+                `[${this.constructor.name}.createColumnIndex()] ` +
+                    `Cannot index column '${column}' of file '${this.#filename}': ` +
+                    `column not found in the header.`
+            );
+
+        let index;
+        try {
+            index = new ColumnIndex(column, { type });
+        } catch (err) {
+            throw new Error(
+                `[${this.constructor.name}.createColumnIndex()] ${err.message}`
+            );
+        }
+
+        const path = this.#getColumnIndexPath(column);
+        if (Boolean(sidecar)) {
+            const loaded = await this.#loadColumnIndex(path, column, type);
+            if (loaded) {
+                this.#column_indexes.set(column, loaded);
+                return this;
+            }
+        }
+
+        const isDuplicate =
+            this.#header.indexOf(column) !== this.#header.lastIndexOf(column);
+        for await (const line of this.iterator({ signal })) {
+            const value = line.fields[column];
+            if (isDuplicate && Array.isArray(value))
+                for (const item of value) index.add(item, line.index);
+            else index.add(value ?? null, line.index);
+        }
+        index.finish();
+
+        this.#column_indexes.set(column, index);
+
+        if (Boolean(sidecar)) await this.#saveColumnIndex(path, index);
+
+        return this;
+    }
+
+    /**
+     * Returns the path of the sidecar file of a column index
+     * @param {string} column
+     * @returns {string}
+     */
+    #getColumnIndexPath(column) {
+        return `${this.#filename}.${encodeURIComponent(column)}.colidx`;
+    }
+
+    /**
+     * Describes how the lines of the CSV file are read, to tell if a saved column index
+     * still matches them (the file itself is compared by its fingerprint)
+     * @returns {Object}
+     */
+    #describeColumnIndexSource() {
+        return {
+            dialect: this.dialect,
+            // The header after the header options ('rename', 'normalizeHeader', etc.)
+            header: this.#header,
+            columns: this.#selected_columns && [...this.#selected_columns],
+            schema: this.#schema_definition,
+            validation: this.#validation,
+            lines: this.#lines,
+        };
+    }
+
+    /**
+     * Saves a column index as JSON, next to the CSV file
+     * @param {string} path
+     * @param {ColumnIndex} index
+     * @returns {Promise<void>}
+     */
+    async #saveColumnIndex(path, index) {
+        const data = JSON.stringify({
+            magic: COLUMN_INDEX_FILE_MAGIC,
+            version: COLUMN_INDEX_FILE_VERSION,
+            fingerprint: await this.#createFileFingerprint(),
+            source: this.#describeColumnIndexSource(),
+            index,
+        });
+
+        // Write to a temporary file first, so a crash never leaves a broken index
+        const temporaryPath = `${path}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temporaryPath, data, 'utf-8');
+        await fs.promises.rename(temporaryPath, path);
+    }
+
+    /**
+     * Loads a column index saved with the 'sidecar' option of <CSVFileParser.createColumnIndex()>
+     * @param {string} path
+     * @param {string} column
+     * @param {string} type
+     * @returns {Promise<ColumnIndex|null>} The index, or null if it is missing or stale
+     */
+    async #loadColumnIndex(path, column, type) {
+        let data;
+        try {
+            data = JSON.parse(await fs.promises.readFile(path, 'utf-8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw new Error(
+                `[${this.constructor.name}.createColumnIndex()] ` +
+                    `Cannot load column index file '${path}': ${err.message}`
+            );
+        }
+
+        if (
+            data.magic !== COLUMN_INDEX_FILE_MAGIC ||
+            data.version !== COLUMN_INDEX_FILE_VERSION
+        )
+            throw new Error(
+                `[${this.constructor.name}.createColumnIndex()] ` +
+                    `Cannot load column index file '${path}': ` +
+                    `not a column index file, or created by an unsupported version.`
+            );
+
+        if (
+            data.index.column !== column ||
+            data.index.type !== type ||
+            JSON.stringify(data.source) !==
+                JSON.stringify(this.#describeColumnIndexSource()) ||
+            // Column indexes are not updated, so the file must keep its size
+            data.fingerprint?.size !==
+                fs.fstatSync(this.#reading_handle).size ||
+            !(await this.#matchesFingerprint(data.fingerprint))
+        )
+            return null;
+
+        return ColumnIndex.fromJSON(data.index);
+    }
+
+    /**
+     * Gets the index of a column, built with <CSVFileParser.createColumnIndex()>
+     * @param {string} method - The name of the calling method, for error messages
+     * @param {string} column
+     * @returns {ColumnIndex}
+     */
+    #getColumnIndex(method, column) {
+        this.#checkIndexedAccess(method);
+        const index = this.#column_indexes.get(column);
+        if (!index)
+            throw new Error(
+                `[${this.constructor.name}.${method}()] ` +
+                    `Cannot find lines by column '${column}' of file '${this.#filename}': ` +
+                    `column is not indexed. Use <${this.constructor.name}.createColumnIndex()> first.`
+            );
+        return index;
+    }
+
+    /**
+     * Fetch the lines that hold a value in a column, using its column index
+     * @param {string} column
+     * @param {*} value - The value, of the column type (null finds empty cells, in 'hash' indexes)
+     * @returns {Promise<Array<CSVObjectLine>>} The lines, in the order of the file
+     * @example
+     *  await csv.createColumnIndex('email');
+     *  const [user] = await csv.findBy('email', 'jane@example.com');
+     */
+    async findBy(column, value) {
+        const index = this.#getColumnIndex('findBy', column);
+        const lines = index.find(value);
+        if (!lines.length) return [];
+        return (await this.getLinesByIndices(lines)).filter(
+            (line) => line !== null
+        );
+    }
+
+    /**
+     * Fetch the lines that hold a value between 'min' and 'max' (inclusive) in a column,
+     * using its 'sorted' column index
+     * @param {string} column
+     * @param {*} min - The lowest value (or null, for no lower bound)
+     * @param {*} max - The highest value (or null, for no upper bound)
+     * @returns {Promise<Array<CSVObjectLine>>} The lines, in the order of the file
+     * @example
+     *  csv.setSchema({ age: 'integer' });
+     *  await csv.createColumnIndex('age', { type: 'sorted' });
+     *  const adults = await csv.findRange('age', 18, null);
+     */
+    async findRange(column, min, max) {
+        const index = this.#getColumnIndex('findRange', column);
+        let lines;
+        try {
+            lines = index.findRange(min, max);
+        } catch (err) {
+            throw new Error(
+                `[${this.constructor.name}.findRange()] ${err.message}`
+            );
+        }
+        if (!lines.length) return [];
+        return (await this.getLinesByIndices(lines)).filter(
+            (line) => line !== null
+        );
+    }
+
+    /**
+     * Creates a lazy, chainable query over the lines of the file
+     * (see <CSVQuery>). Conditions on columns with a column index use it,
+     * and line ranges seek through the index, if the file is indexed.
+     * @param {Object} [options={}]
+     * @param {number} [options.sortBufferSize=100000] - The maximum number of lines
+     * sorted in memory, before spilling them to temporary files
+     * @param {string} [options.tmpdir=os.tmpdir()] - The directory for the temporary files
+     * @param {AbortSignal|null} [options.signal=null] - If aborted, the lines are no longer read,
+     * and the query rejects with a CSVAbortError
+     * @returns {CSVQuery}
+     * @example
+     *  await csv.createColumnIndex('state');
+     *  for await (const row of csv
+     *      .query()
+     *      .where({ state: 'SP' })
+     *      .select(['name', 'income'])
+     *      .orderBy('income', 'desc')
+     *      .limit(10)) {
+     *      console.log(row); // { name: ..., income: ... }
+     *  }
+     */
+    query({ signal = null, ...options } = {}) {
+        if (!this.#is_open)
+            throw new Error(
+                `[${this.constructor.name}.query()] ` +
+                    `Cannot query file '${this.#filename}': ` +
+                    `file is not open. Use <${this.constructor.name}.open()> first.`
+            );
+        this.#checkSignal('query', signal);
+
+        return new CSVQuery(
+            {
+                iterate: (range) => this.iterator({ ...range, signal }),
+                findLines: (column, value) =>
+                    this.#column_indexes.get(column)?.find(value) ?? null,
+                fetchLines: (indices) => this.getLinesByIndices(indices),
+                serializeLine: (line) => ({
+                    ...line,
+                    errors: line.errors.map((error) => ({
+                        ...error,
+                        message: error.message,
+                    })),
+                }),
+                deserializeLine: ({ errors, ...data }) =>
+                    Object.assign(new CSVObjectLine(), data, {
+                        errors: errors.map(
+                            ({ message, ...error }) =>
+                                new CSVValidationError(message, error)
+                        ),
+                    }),
+            },
+            options
+        );
+    }
+
+    /**
+     * Reads the file once, and collects the statistics of its columns, in bounded memory:
+     * the number of values and of empty cells, an estimate of the number of distinct values,
+     * the minimum and maximum, and the mean, the standard deviation and approximate
+     * quantiles of the numeric values (see <ColumnStatistics>).
+     * @param {Object} [param0={}]
+     * @param {Array<string>|null} [param0.columns=null] - The columns to describe (all of them, by default)
+     * @param {Array<number>} [param0.quantiles=[0.25, 0.5, 0.75]] - The quantiles to estimate
+     * @param {AbortSignal|null} [param0.signal=null] - If aborted, rejects with a CSVAbortError
+     * @returns {Promise<Object<string, Object>>} The statistics of each column
+     * @example
+     *  const stats = await csv.describe({ columns: ['age', 'income'] });
+     *  // { age: { count: 980, nulls: 20, distinct: 71, min: 18, max: 90, mean: 41.2, std: 13.9,
+     *  //          quantiles: { '0.25': 30, '0.5': 41, '0.75': 52 } }, income: { ... } }
+     */
+    async describe({
+        columns = null,
+        quantiles = [0.25, 0.5, 0.75],
+        signal = null,
+    } = {}) {
+        if (!this.#is_open)
+            throw new Error(
+                `[${this.constructor.name}.describe()] ` +
+                    `Cannot describe file '${this.#filename}': ` +
+                    `file is not open. Use <${this.constructor.name}.open()> first.`
+            );
+        this.#checkSignal('describe', signal);
+
+        const createStatistics = () => {
+            try {
+                return new ColumnStatistics({ quantiles });
+            } catch (err) {
+                throw new Error(
+                    `[${this.constructor.name}.describe()] ${err.message}`
+                );
+            }
+        };
+
+        let statistics = null;
+        const describeColumns = (names) =>
+            new Map(
+                [...new Set(names)].map((column) => [
+                    column,
+                    createStatistics(),
+                ])
+            );
+        if (columns) statistics = describeColumns(columns);
+
+        for await (const line of this.iterator({ signal })) {
+            // Without an index, the header is only known after the first line
+            statistics ??= describeColumns(
+                Object.keys(line.fields).filter((key) => key !== '_unnamed')
+            );
+            for (const [column, stats] of statistics)
+                stats.add(line.fields[column] ?? null);
+        }
+
+        statistics ??= describeColumns(this.#header || []);
+
+        return Object.fromEntries(
+            [...statistics].map(([column, stats]) => [column, stats.toJSON()])
+        );
+    }
+
+    /**
+     * Groups the lines by the value of a column, to aggregate them (see <CSVGroupBy>)
+     * @param {string} column
+     * @param {Object} [param1={}]
+     * @param {AbortSignal|null} [param1.signal=null] - If aborted, the lines are no longer read,
+     * and the aggregation rejects with a CSVAbortError
+     * @returns {CSVGroupBy}
+     * @example
+     *  const totals = await csv
+     *      .groupBy('state')
+     *      .aggregate({ count: true, sum: 'income', avg: 'income' });
+     */
+    groupBy(column, { signal = null } = {}) {
+        if (!this.#is_open)
+            throw new Error(
+                `[${this.constructor.name}.groupBy()] ` +
+                    `Cannot group lines of file '${this.#filename}': ` +
+                    `file is not open. Use <${this.constructor.name}.open()> first.`
+            );
+        this.#checkSignal('groupBy', signal);
+        return new CSVGroupBy(column, () => this.iterator({ signal }));
+    }
+
+    /**
+     * Gets the names of the fields of the lines: the columns of the header (only the
+     * selected ones, with the 'columns' option) and the fields added by transforms
+     * @returns {Array<string>}
+     */
+    #getFieldNames() {
+        const keep = this.#getProjection(this.#header);
+        const names = this.#header.filter((name, i) => !keep || keep[i]);
+        for (const { field } of this.#transforms || []) names.push(field);
+        return [...new Set(names)];
+    }
+
+    /**
+     * Prepares the file to match its lines by the values of a column: indexes the file
+     * and the column, if they are not indexed yet
+     * @param {string} method - The name of the calling method, for error messages
+     * @param {string} column
+     * @param {AbortSignal|null} signal
+     * @returns {Promise<ColumnIndex>}
+     */
+    async #prepareKeyColumn(method, column, signal) {
+        if (!this.#is_open)
+            throw new Error(
+                `[${this.constructor.name}.${method}()] ` +
+                    `Cannot match lines of file '${this.#filename}': ` +
+                    `file is not open. Use <${this.constructor.name}.open()> first.`
+            );
+        if (!this.#is_indexed) await this.buildIndex({ signal });
+
+        const problem = !this.#header.includes(column)
+            ? 'column not found in the header'
+            : this.#header.indexOf(column) !== this.#header.lastIndexOf(column)
+              ? 'column appears more than once in the header'
+              : !this.#getFieldNames().includes(column)
+                ? `column is not in the 'columns' option`
+                : null;
+        if (problem)
+            throw new Error(
+                `[${this.constructor.name}.${method}()] ` +
+                    `Cannot match lines by column '${column}' of file '${this.#filename}': ${problem}.`
+            );
+
+        if (!this.#column_indexes.has(column))
+            await this.createColumnIndex(column, { signal });
+        return this.#column_indexes.get(column);
+    }
+
+    /**
+     * Reads the lines of a file, with the lines of another file that match each one.
+     * The matching lines are fetched in batches, so close lines are read together.
+     * @param {CSVFileParser} other
+     * @param {function(CSVObjectLine): Array<number>} match - Returns the line numbers
+     * of the other file that match a line
+     * @param {AbortSignal|null} signal
+     * @returns {AsyncGenerator<{ line: CSVObjectLine, matches: Array<CSVObjectLine> }, void, unknown>}
+     */
+    async *#readMatchingLines(other, match, signal) {
+        let batch = [];
+        const fetch = async () => {
+            const indices = batch.flatMap(({ matches }) => matches);
+            const lines = indices.length
+                ? await other.getLinesByIndices(indices)
+                : [];
+            const fetched = new Map(
+                indices.map((index, i) => [index, lines[i]])
+            );
+            const result = batch.map(({ line, matches }) => ({
+                line,
+                // Malformed lines are left out, in the 'skip' validation mode
+                matches: matches
+                    .map((index) => fetched.get(index))
+                    .filter((line) => line !== null),
+            }));
+            batch = [];
+            return result;
+        };
+
+        for await (const line of this.iterator({ signal })) {
+            batch.push({ line, matches: match(line) });
+            if (batch.length >= MATCH_BATCH_SIZE) yield* await fetch();
+        }
+        yield* await fetch();
+    }
+
+    /**
+     * Compares two files line by line, matching their lines by the value of a key column,
+     * and yields the differences: the lines of 'a' without a match in 'b' ('removed'),
+     * the matching lines with different fields ('changed'), and then the lines of 'b'
+     * without a match in 'a' ('added'). Lines are matched in the order of the files,
+     * if a key appears more than once, and lines with an empty key are never matched.
+     * Only the columns of both files are compared: if the files have different columns,
+     * a single 'columns' difference is yielded first, with the columns only in 'b' ('added')
+     * and the columns only in 'a' ('removed').
+     *
+     * The files are indexed first, if they are not yet, and the key column too (see
+     * <CSVFileParser.createColumnIndex()>), so only the column indexes are kept in memory.
+     * Values are compared after applying the schemas of the files.
+     * @param {CSVFileParser} a - The old file (open)
+     * @param {CSVFileParser} b - The new file (open)
+     * @param {Object} param2
+     * @param {string} param2.key - The key column, in both files
+     * @param {AbortSignal|null} [param2.signal=null] - If aborted, rejects with a CSVAbortError
+     * @returns {AsyncGenerator<{ type: string, key: *, before: CSVObjectLine|null, after: CSVObjectLine|null, changes: Array<{ column: string, before: *, after: * }>, added?: Array<string>, removed?: Array<string> }, void, unknown>}
+     * Each difference holds the line in 'a' ('before', null for added lines), the line in 'b'
+     * ('after', null for removed lines), and the changed fields of changed lines.
+     * The 'columns' difference has no key nor lines, and holds the 'added' and 'removed' columns
+     * @example
+     *  const yesterday = new CSVFileParser('export-2024-05-01.csv', { open: true });
+     *  const today = new CSVFileParser('export-2024-05-02.csv', { open: true });
+     *  for await (const { type, key, changes } of CSVFileParser.diff(yesterday, today, { key: 'id' })) {
+     *      console.log(type, key, changes); // 'changed' '1042' [{ column: 'email', before: ..., after: ... }]
+     *  }
+     */
+    static diff(a, b, { key, signal = null } = {}) {
+        for (const parser of [a, b])
+            if (!(parser instanceof CSVFileParser))
+                throw new Error(
+                    `[${this.name}.diff()] ` +
+                        `Invalid file '${parser}': expected a CSVFileParser.`
+                );
+        if (typeof key !== 'string')
+            throw new Error(
+                `[${this.name}.diff()] ` +
+                    `Invalid key '${key}': expected a column name.`
+            );
+        a.#checkSignal('diff', signal);
+
+        return (async function* diffLines() {
+            const before = await a.#prepareKeyColumn('diff', key, signal);
+            const after = await b.#prepareKeyColumn('diff', key, signal);
+            const previousColumns = a.#getFieldNames();
+            const currentColumns = b.#getFieldNames();
+            const columns = previousColumns.filter((column) =>
+                currentColumns.includes(column)
+            );
+            const added = currentColumns.filter(
+                (column) => !previousColumns.includes(column)
+            );
+            const removed = previousColumns.filter(
+                (column) => !currentColumns.includes(column)
+            );
+            if (added.length || removed.length)
+                yield {
+                    type: 'columns',
+                    key: null,
+                    before: null,
+                    after: null,
+                    changes: [],
+                    added,
+                    removed,
+                };
+
+            // The n-th line of a key in 'a' matches its n-th line in 'b'. Lines are read
+            // in order, so the position of a line is the number of lines of its key read before
+            const createMatcher = (other) => {
+                const positions = new Map();
+                return (line) => {
+                    const value = line.fields[key];
+                    const indexKey = toIndexKey(value);
+                    if (indexKey === null) return [];
+                    const position = positions.get(indexKey) ?? 0;
+                    positions.set(indexKey, position + 1);
+                    const index = other.findAt(value, position);
+                    return index === null ? [] : [index];
+                };
+            };
+
+            for await (const { line, matches } of a.#readMatchingLines(
+                b,
+                createMatcher(after),
+                signal
+            )) {
+                const [next] = matches;
+                if (!next) {
+                    yield {
+                        type: 'removed',
+                        key: line.fields[key],
+                        before: line,
+                        after: null,
+                        changes: [],
+                    };
+                    continue;
+                }
+                const changes = [];
+                for (const column of columns) {
+                    const previous = line.fields[column] ?? null;
+                    const current = next.fields[column] ?? null;
+                    if (toIndexKey(previous) !== toIndexKey(current))
+                        changes.push({
+                            column,
+                            before: previous,
+                            after: current,
+                        });
+                }
+                if (changes.length)
+                    yield {
+                        type: 'changed',
+                        key: line.fields[key],
+                        before: line,
+                        after: next,
+                        changes,
+                    };
+            }
+
+            const match = createMatcher(before);
+            for await (const line of b.iterator({ signal })) {
+                if (match(line).length) continue;
+                yield {
+                    type: 'added',
+                    key: line.fields[key],
+                    before: null,
+                    after: line,
+                    changes: [],
+                };
+            }
+        })();
+    }
+
+    /**
+     * Joins the lines of the file with the lines of another file that hold the same value
+     * in a key column, like a SQL join, and yields the merged lines: a CSVObjectLine with
+     * the fields of both lines, and their cells (the cells of this file first). Lines with
+     * an empty key are never matched.
+     *  - 'inner': yields a line for each pair of matching lines;
+     *  - 'left': also yields the lines of this file without a match, with empty fields for the other file;
+     *  - 'outer': also yields the lines of the other file without a match, at the end, with
+     *    empty fields for this file (except the key, if it has the same name in both files).
+     *
+     * The other file (and this file, for 'outer' joins) is indexed first, if it is not yet,
+     * and the key column too (see <CSVFileParser.createColumnIndex()>).
+     * The merged lines are numbered from 1, in the order they are yielded.
+     * @param {CSVFileParser} other - The other file (open)
+     * @param {Object} param1
+     * @param {string|Array<string>} param1.on - The key column, or the key columns of this file
+     * and of the other file (like '['id', 'user_id']')
+     * @param {string} [param1.type='inner'] - 'inner', 'left' or 'outer'
+     * @param {string} [param1.suffix='_other'] - Added to the columns of the other file that
+     * are also in this file (the key column is only kept once, if it has the same name)
+     * @param {AbortSignal|null} [param1.signal=null] - If aborted, rejects with a CSVAbortError
+     * @returns {AsyncGenerator<CSVObjectLine, void, unknown>}
+     * @example
+     *  const orders = new CSVFileParser('orders.csv', { open: true });
+     *  const customers = new CSVFileParser('customers.csv', { open: true });
+     *  for await (const line of orders.join(customers, { on: ['customer_id', 'id'], type: 'left' })) {
+     *      console.log(line.fields.total, line.fields.name);
+     *  }
+     */
+    join(other, { on, type = 'inner', suffix = '_other', signal = null } = {}) {
+        if (!this.#is_open)
+            throw new Error(
+                `[${this.constructor.name}.join()] ` +
+                    `Cannot match lines of file '${this.#filename}': ` +
+                    `file is not open. Use <${this.constructor.name}.open()> first.`
+            );
+        if (!(other instanceof CSVFileParser))
+            throw new Error(
+                `[${this.constructor.name}.join()] ` +
+                    `Invalid file '${other}': expected a CSVFileParser.`
+            );
+        const [column, otherColumn] = Array.isArray(on) ? on : [on, on];
+        if (
+            typeof column !== 'string' ||
+            typeof otherColumn !== 'string' ||
+            (Array.isArray(on) && on.length !== 2)
+        )
+            throw new Error(
+                `[${this.constructor.name}.join()] ` +
+                    `Invalid key '${on}': expected a column name, or an array with ` +
+                    `the column names of both files.`
+            );
+        if (!JOIN_TYPES.includes(type))
+            throw new Error(
+                `[${this.constructor.name}.join()] ` +
+                    `Invalid join type '${type}': expected one of ` +
+                    `${JOIN_TYPES.map((t) => `'${t}'`).join(', ')}.`
+            );
+        this.#checkSignal('join', signal);
+
+        const parser = this;
+        return (async function* joinLines() {
+            const index =
+                type === 'outer'
+                    ? await parser.#prepareKeyColumn('join', column, signal)
+                    : null;
+            const otherIndex = await other.#prepareKeyColumn(
+                'join',
+                otherColumn,
+                signal
+            );
+            const isSameKey = column === otherColumn;
+            let names = null;
+            const otherNames = new Map();
+            let count = 0;
+
+            const merge = (line, match) => {
+                names ??= parser.#is_indexed
+                    ? parser.#getFieldNames()
+                    : Object.keys(line.fields).filter(
+                          (name) => name !== '_unnamed'
+                      );
+                if (!otherNames.size)
+                    for (const name of other.#getFieldNames()) {
+                        if (isSameKey && name === otherColumn) continue;
+                        otherNames.set(
+                            name,
+                            names.includes(name) ? name + suffix : name
+                        );
+                    }
+
+                const result = new CSVObjectLine({
+                    index: ++count,
+                    cells: [
+                        ...(line?.cells ?? parser.#header.map(() => null)),
+                        ...(match?.cells ?? other.#header.map(() => null)),
+                    ],
+                });
+                for (const name of names)
+                    result.fields[name] = line?.fields[name] ?? null;
+                if (!line && isSameKey)
+                    result.fields[column] = match.fields[otherColumn];
+                for (const [name, field] of otherNames)
+                    result.fields[field] = match?.fields[name] ?? null;
+                result.fields._unnamed = [
+                    ...(line?.fields._unnamed ?? []),
+                    ...(match?.fields._unnamed ?? []),
+                ];
+                for (const source of [line, match]) {
+                    if (!source) continue;
+                    result.hasMissingCells ||= source.hasMissingCells;
+                    result.hasExcessCells ||= source.hasExcessCells;
+                    result.errors.push(...source.errors);
+                }
+                return result;
+            };
+
+            for await (const { line, matches } of parser.#readMatchingLines(
+                other,
+                (line) =>
+                    toIndexKey(line.fields[column]) === null
+                        ? []
+                        : otherIndex.find(line.fields[column]),
+                signal
+            )) {
+                for (const match of matches) yield merge(line, match);
+                if (!matches.length && type !== 'inner')
+                    yield merge(line, null);
+            }
+
+            if (type !== 'outer') return;
+            for await (const match of other.iterator({ signal })) {
+                const value = match.fields[otherColumn];
+                if (toIndexKey(value) !== null && index.find(value).length)
+                    continue;
+                yield merge(null, match);
+            }
+        })();
+    }
+
+    /**
+     * Reads the header of the file, from the index or from the first record
+     * @returns {Promise<Array<string>|null>} The header, or null if the file is empty
+     */
+    async #readFileHeader() {
+        if (this.#is_indexed) return this.#header;
+        const input = this.#createInputStream({ start: this.#preamble_size });
+        try {
+            for await (const { record } of this.#readRecords(input))
+                return this.#readHeader(record);
+        } finally {
+            input.destroy();
+        }
+        return null;
+    }
+
+    /**
+     * Checks if the lines can be exported to a destination.
+     * Runs before the export starts, so invalid calls throw right away.
+     * @param {string} method - The name of the calling method, for error messages
+     * @param {string|import('node:stream').Writable} destination
+     */
+    #checkExportDestination(method, destination) {
+        if (!this.#is_open)
+            throw new Error(
+                `[${this.constructor.name}.${method}()] ` +
+                    `Cannot export lines of file '${this.#filename}': ` +
+                    `file is not open. Use <${this.constructor.name}.open()> first.`
+            );
+        if (
+            !(typeof destination === 'string' && destination) &&
+            typeof destination?.write !== 'function'
+        )
+            throw new Error(
+                `[${this.constructor.name}.${method}()] ` +
+                    `Invalid destination: expected a file path or a writable stream.`
+            );
+    }
+
+    /**
+     * Converts the fields of a line to a plain object, for JSON output.
+     * The '_unnamed' field is only kept if the line has excess cells.
+     * @param {CSVObjectLine} line
+     * @param {Object} param1
+     * @param {boolean} param1.unflatten
+     * @param {string} param1.separator
+     * @returns {Object}
+     */
+    #toExportObject(line, { unflatten, separator }) {
+        const { _unnamed, ...fields } = line.fields;
+        const object = _unnamed.length ? { ...fields, _unnamed } : fields;
+        return unflatten ? unflattenObject(object, separator) : object;
+    }
+
+    /**
+     * Writes the text of every line to a destination, and ends it
+     * @param {string|import('node:stream').Writable} destination
+     * @param {function(CSVObjectLine, number): string} format - Returns the text of a line,
+     * from the line and its position in the output (starting at 0)
+     * @param {Object} [param2={}]
+     * @param {string} [param2.prefix=''] - The text written before the lines
+     * @param {function(number): string} [param2.suffix] - Returns the text written
+     * after the lines, from the number of lines
+     * @param {AbortSignal|null} [param2.signal=null]
+     * @returns {Promise<number>} The number of exported lines
+     */
+    async #exportLines(
+        destination,
+        format,
+        { prefix = '', suffix = () => '', signal = null } = {}
+    ) {
+        const stream = toStream(destination, 'write');
+        let count = 0;
+        try {
+            if (prefix) await writeText(stream, prefix);
+            for await (const line of this.iterator({ signal }))
+                await writeText(stream, format(line, count++));
+            await writeText(stream, suffix(count));
+        } catch (err) {
+            if (signal?.aborted) await endStream(stream);
+            throw err;
+        }
+        await endStream(stream);
+        return count;
+    }
+
+    /**
+     * Exports the fields of every line as NDJSON (one JSON object per line),
+     * streaming them to a file or a writable stream, which is ended afterwards.
+     * Columns that appear more than once in the header are exported as arrays,
+     * and excess cells are exported in '_unnamed' (only on lines that have them).
+     * @param {string|import('node:stream').Writable} destination - A file path, or a writable stream
+     * @param {Object} [param1={}]
+     * @param {boolean} [param1.unflatten=false] - If set to true, columns named like 'a.b' are
+     * exported as nested objects (the reverse of <CSVFileParser.fromNDJSON()>)
+     * @param {string} [param1.separator='.'] - The separator of nested keys in column names
+     * @param {AbortSignal|null} [param1.signal=null] - If aborted, ends the destination
+     * after the lines exported so far, and rejects with a CSVAbortError
+     * @returns {Promise<number>} The number of exported lines
+     * @example
+     *  await csv.toNDJSON('output.ndjson');
+     *  await csv.toNDJSON(process.stdout, { unflatten: true });
+     */
+    toNDJSON(
+        destination,
+        { unflatten = false, separator = '.', signal = null } = {}
+    ) {
+        this.#checkExportDestination('toNDJSON', destination);
+        this.#checkSignal('toNDJSON', signal);
+        return this.#exportLines(
+            destination,
+            (line) =>
+                JSON.stringify(
+                    this.#toExportObject(line, { unflatten, separator })
+                ) + '\n',
+            { signal }
+        );
+    }
+
+    /**
+     * Exports the fields of every line as a JSON array of objects, streaming them
+     * to a file or a writable stream, which is ended afterwards. The objects are
+     * the same of <CSVFileParser.toNDJSON()>.
+     * @param {string|import('node:stream').Writable} destination - A file path, or a writable stream
+     * @param {Object} [param1={}]
+     * @param {boolean} [param1.unflatten=false] - If set to true, columns named like 'a.b' are
+     * exported as nested objects (the reverse of <CSVFileParser.fromJSON()>)
+     * @param {string} [param1.separator='.'] - The separator of nested keys in column names
+     * @param {number} [param1.space=0] - The indentation of each object in the array, and of each
+     * level of its properties, as in 'JSON.stringify()'. With 0, each object is written in a single line.
+     * @param {AbortSignal|null} [param1.signal=null] - If aborted, ends the destination
+     * after the lines exported so far (so the array is not closed), and rejects with a CSVAbortError
+     * @returns {Promise<number>} The number of exported lines
+     * @example
+     *  await csv.exportJSON('output.json', { space: 2 });
+     */
+    exportJSON(
+        destination,
+        { unflatten = false, separator = '.', space = 0, signal = null } = {}
+    ) {
+        this.#checkExportDestination('exportJSON', destination);
+        this.#checkSignal('exportJSON', signal);
+        // Named so, and not 'toJSON()', so that 'JSON.stringify(csv)' does not call it
+        const indent = ' '.repeat(Math.min(space, 10));
+        return this.#exportLines(
+            destination,
+            (line, i) =>
+                (i ? ',\n' : '\n') +
+                indent +
+                JSON.stringify(
+                    this.#toExportObject(line, { unflatten, separator }),
+                    null,
+                    space
+                ).replaceAll('\n', '\n' + indent),
+            {
+                prefix: '[',
+                suffix: (count) => (count ? '\n]\n' : ']\n'),
+                signal,
+            }
+        );
+    }
+
+    /**
+     * Exports every line as TSV (tab separated values), streaming them to a file
+     * or a writable stream, which is ended afterwards. Cells with tabs, quotes or
+     * line breaks are quoted, as in CSV. Columns that appear more than once in the
+     * header are written back to each of their columns.
+     * @param {string|import('node:stream').Writable} destination - A file path, or a writable stream
+     * @param {Object} [param1={}] - The options of CSVFileWriter (except 'delimiter' and 'header'), and:
+     * @param {AbortSignal|null} [param1.signal=null] - If aborted, ends the destination
+     * after the lines exported so far, and rejects with a CSVAbortError
+     * @returns {Promise<number>} The number of exported lines
+     * @example
+     *  await csv.toTSV('output.tsv');
+     */
+    toTSV(destination, { signal = null, ...options } = {}) {
+        this.#checkExportDestination('toTSV', destination);
+        this.#checkSignal('toTSV', signal);
+        return (async () => {
+            const header = await this.#readFileHeader();
+            const keep = header && this.#getProjection(header);
+            const writer = new CSVFileWriter(destination, {
+                ...options,
+                delimiter: '\t',
+                header:
+                    (this.#has_header || this.#header_options.names) && header
+                        ? header.filter((name, i) => !keep || keep[i])
+                        : false,
+            });
+            let count = 0;
+            try {
+                for await (const line of this.iterator({ signal })) {
+                    await writer.write(line);
+                    count++;
+                }
+            } catch (err) {
+                if (signal?.aborted) await writer.end();
+                throw err;
+            }
+            await writer.end();
+            return count;
+        })();
+    }
+
+    /**
+     * Writes the objects read from a source as CSV
+     * @param {string} method - The name of the calling method, for error messages
+     * @param {function(AsyncIterable<Buffer|string>): AsyncGenerator<*>} read - Reads the objects of a stream
+     * @param {string|import('node:stream').Readable} source
+     * @param {string|import('node:stream').Writable} destination
+     * @param {Object} options
+     * @returns {Promise<number>} The number of written rows
+     */
+    static async #importRows(
+        method,
+        read,
+        source,
+        destination,
+        {
+            flatten = true,
+            separator = '.',
+            header = null,
+            signal = null,
+            ...options
+        }
+    ) {
+        if (signal !== null && !(signal instanceof AbortSignal))
+            throw new Error(
+                `[${this.name}.${method}()] ` +
+                    `Invalid signal: expected an AbortSignal.`
+            );
+
+        const throwIfAborted = () => {
+            if (signal?.aborted)
+                throw new CSVAbortError(
+                    `[${this.name}.${method}()] ` +
+                        `Stopped converting rows: the operation ${describeAbortReason(signal)}.`,
+                    { cause: signal.reason }
+                );
+        };
+        throwIfAborted();
+
+        const toRow = (value, count) => {
+            throwIfAborted();
+            if (
+                typeof value !== 'object' ||
+                value === null ||
+                Array.isArray(value)
+            )
+                throw new Error(
+                    `[${this.name}.${method}()] ` +
+                        `Invalid row ${count + 1}: expected an object, found ` +
+                        `${Array.isArray(value) ? 'an array' : JSON.stringify(value)}.`
+                );
+            return flatten ? flattenObject(value, separator) : value;
+        };
+
+        // Without a header, the columns are all the keys of a file (found in a first pass),
+        // or the keys of the first row of a stream
+        const isFixedHeader = Array.isArray(header);
+        if (!isFixedHeader && typeof source === 'string') {
+            const columns = new Set();
+            let count = 0;
+            for await (const value of read(toStream(source, 'read')))
+                for (const key of Object.keys(toRow(value, count++)))
+                    if (key !== '_unnamed') columns.add(key);
+            header = [...columns];
+        }
+
+        const writer = new CSVFileWriter(destination, {
+            ...options,
+            header: Array.isArray(header) ? header : true,
+        });
+        const columns = new Set(header || []);
+        let count = 0;
+        try {
+            for await (const value of read(toStream(source, 'read'))) {
+                const row = toRow(value, count);
+                if (!header)
+                    header = Object.keys(row).filter(
+                        (key) => key !== '_unnamed'
+                    );
+                if (!columns.size) for (const key of header) columns.add(key);
+                if (!isFixedHeader) {
+                    const missing = Object.keys(row).find(
+                        (key) => key !== '_unnamed' && !columns.has(key)
+                    );
+                    if (missing !== undefined)
+                        throw new Error(
+                            `[${this.name}.${method}()] ` +
+                                `Row ${count + 1} has the column '${missing}', which is not in ` +
+                                `the header (taken from the first row). Use the 'header' option.`
+                        );
+                }
+                await writer.write(row);
+                count++;
+            }
+        } finally {
+            await writer.end();
+        }
+        return count;
+    }
+
+    /**
+     * Converts NDJSON (one JSON object per line) to CSV.
+     *
+     * Nested objects are flattened, and their values go to columns named by their path
+     * ({ a: { b: 1 } } goes to column 'a.b'). Arrays go to a single cell, as JSON, except
+     * when the header has their column more than once: then each item goes to one of those
+     * columns, in order (the reverse of how the parser reads duplicate columns).
+     *
+     * Without a 'header', the columns are all the keys in the file, in the order they first
+     * appear (found in a first pass). Streams are read once, so their columns are the keys of the
+     * first object, and later objects with other keys are rejected.
+     * @param {string|import('node:stream').Readable} source - A file path, or a readable stream
+     * @param {string|import('node:stream').Writable} destination - A file path, or a writable stream
+     * @param {Object} [param2={}] - The options of CSVFileWriter, and:
+     * @param {boolean} [param2.flatten=true] - If set to false, nested objects are written as JSON
+     * @param {string} [param2.separator='.'] - The separator of nested keys in column names
+     * @param {Array<string>|null} [param2.header=null] - The columns to write, in order.
+     * Keys that are not in it are ignored.
+     * @param {AbortSignal|null} [param2.signal=null] - If aborted, ends the destination after
+     * the rows written so far, and rejects with a CSVAbortError
+     * @returns {Promise<number>} The number of written rows
+     * @example
+     *  await CSVFileParser.fromNDJSON('events.ndjson', 'events.csv');
+     *  // {"id":1,"user":{"name":"Ana"},"tags":["a","b"]} becomes:
+     *  // id,user.name,tags
+     *  // 1,Ana,"[""a"",""b""]"
+     */
+    static fromNDJSON(source, destination, options = {}) {
+        return CSVFileParser.#importRows(
+            'fromNDJSON',
+            readNDJSON,
+            source,
+            destination,
+            options
+        );
+    }
+
+    /**
+     * Converts a JSON array of objects to CSV. The array is read as a stream, so it
+     * is never held in memory at once. The conversion is the same of <CSVFileParser.fromNDJSON()>.
+     * @param {string|import('node:stream').Readable} source - A file path, or a readable stream
+     * @param {string|import('node:stream').Writable} destination - A file path, or a writable stream
+     * @param {Object} [param2={}] - The same options of <CSVFileParser.fromNDJSON()>
+     * @returns {Promise<number>} The number of written rows
+     * @example
+     *  await CSVFileParser.fromJSON('export.json', 'export.csv', { delimiter: ';' });
+     */
+    static fromJSON(source, destination, options = {}) {
+        return CSVFileParser.#importRows(
+            'fromJSON',
+            readJSONArray,
+            source,
+            destination,
+            options
+        );
     }
 }
 
 module.exports = CSVFileParser;
+module.exports.CSVObjectLine = CSVObjectLine;
+module.exports.CSVValidationError = CSVValidationError;
+module.exports.CSVAbortError = CSVAbortError;
+module.exports.CSVFileWriter = CSVFileWriter;
+module.exports.CSVRecordSplitter = CSVRecordSplitter;
+module.exports.CSVQuery = CSVQuery;
+module.exports.ProgressBar = ProgressBar;
+module.exports.normalize = normalize;
+module.exports.noise = noise;
@@ -1,18 +1,29 @@
-function biasedNoiseFloatGenerator(data) {
-    const SAMPLE_SIZE = 10;
-
-    if (!Array.isArray(data) || data.length < SAMPLE_SIZE) {
+/**
+ * Returns the mean of a random sample of the data, shifted up or down by a random percentage.
+ * @param {Array<number>} data
+ * @param {Object} [param1={}]
+ * @param {number} [param1.sampleSize=10] - The number of values in the sample
+ * @param {Array<number>} [param1.range=[0.05, 0.15]] - The lowest and highest noise, as a fraction of the mean
+ * @param {function(): number} [param1.random=Math.random] - The random number generator
+ * (a function returning numbers in [0, 1), like 'Math.random'). Use a seeded one for reproducible results.
+ * @returns {number}
+ */
+function biasedNoiseFloatGenerator(
+    data,
+    { sampleSize = 10, range = [0.05, 0.15], random = Math.random } = {}
+) {
+    if (!Array.isArray(data) || data.length < sampleSize) {
         throw new Error(
-            `Data must be an array with at least ${SAMPLE_SIZE} elements.`
+            `Data must be an array with at least ${sampleSize} elements.`
         );
     }
 
     const selectedIndices = new Set();
     const selectedValues = [];
 
-    // Randomly select 10 unique indices
-    while (selectedIndices.size < SAMPLE_SIZE) {
-        const index = Math.floor(Math.random() * data.length);
+    // Randomly select unique indices
+    while (selectedIndices.size < sampleSize) {
+        const index = Math.floor(random() * data.length);
         if (!selectedIndices.has(index)) {
             selectedIndices.add(index);
             selectedValues.push(data[index]);
@@ -20,23 +31,16 @@ function biasedNoiseFloatGenerator(data) {
     }
 
     // Compute mean
-    const mean =
-        selectedValues.reduce((sum, val) => sum + val, 0) / SAMPLE_SIZE;
+    const mean = selectedValues.reduce((sum, val) => sum + val, 0) / sampleSize;
 
-    // Apply random noise between ±5% and ±15%
-    const noisePercent = Math.random() * 0.1; // 0.05 to 0.15
-    const noiseDirection = Math.random() < 0.5 ? -1 : 1;
+    // Apply random noise between ±range[0] and ±range[1] (±5% and ±15%, by default)
+    const [minNoise, maxNoise] = range;
+    const noisePercent = minNoise + random() * (maxNoise - minNoise);
+    const noiseDirection = random() < 0.5 ? -1 : 1;
     const noiseFactor = 1 + noiseDirection * noisePercent;
     const noisyMean = mean * noiseFactor;
 
     return noisyMean;
-
-    // return {
-    //     selected: selectedValues,
-    //     mean,
-    //     noisePercent: (noiseDirection * noisePercent * 100).toFixed(2) + '%',
-    //     noisyMean,
-    // };
 }
 
 module.exports = biasedNoiseFloatGenerator;
@@ -0,0 +1,222 @@
+const COLUMN_INDEX_TYPES = ['hash', 'sorted'];
+
+// Keys of different types are sorted by type first
+const KEY_TYPE_ORDER = ['boolean', 'number', 'string'];
+
+/**
+ * Converts a field value to a key of a column index.
+ * Dates are compared by their time, and objects by their JSON text.
+ * @param {*} value
+ * @returns {boolean|number|string|null}
+ */
+function toIndexKey(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'bigint') return Number(value);
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+/**
+ * Compares two (non-null) keys of a column index, for sorting
+ * @param {boolean|number|string} a
+ * @param {boolean|number|string} b
+ * @returns {number}
+ */
+function compareIndexKeys(a, b) {
+    if (typeof a !== typeof b)
+        return (
+            KEY_TYPE_ORDER.indexOf(typeof a) - KEY_TYPE_ORDER.indexOf(typeof b)
+        );
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Maps the values of a column to the line numbers of the records that hold them.
+ * 'hash' indexes only find exact values, and 'sorted' indexes also find ranges of values.
+ * Empty cells are only kept in 'hash' indexes.
+ *
+ * @class ColumnIndex
+ *
+ * @constructor
+ * @param {string} column
+ * @param {Object} [param1={}]
+ * @param {string} [param1.type='hash'] - 'hash' or 'sorted'
+ *
+ * @example
+ *  const index = new ColumnIndex('age', { type: 'sorted' });
+ *  index.add(31, 1).add(25, 2).add(31, 3).finish();
+ *  index.find(31); // [1, 3]
+ *  index.findRange(20, 30); // [2]
+ */
+class ColumnIndex {
+    #column;
+    #type;
+    #entries;
+    #keys;
+    #lines;
+
+    constructor(column, { type = 'hash' } = {}) {
+        if (!COLUMN_INDEX_TYPES.includes(type))
+            throw new Error(
+                `Invalid index type '${type}' for column '${column}': expected one of ` +
+                    `${COLUMN_INDEX_TYPES.map((t) => `'${t}'`).join(', ')}.`
+            );
+
+        this.#column = column;
+        this.#type = type;
+        this.#entries = new Map();
+        this.#keys = [];
+        this.#lines = [];
+    }
+
+    get column() {
+        return this.#column;
+    }
+
+    get type() {
+        return this.#type;
+    }
+
+    /**
+     * Adds a value of the column, found at a line
+     * @param {*} value
+     * @param {number} line
+     * @returns {ColumnIndex}
+     */
+    add(value, line) {
+        const key = toIndexKey(value);
+        if (this.#type === 'hash') {
+            const lines = this.#entries.get(key);
+            if (lines) lines.push(line);
+            else this.#entries.set(key, [line]);
+        } else if (key !== null) {
+            this.#keys.push(key);
+            this.#lines.push(line);
+        }
+        return this;
+    }
+
+    /**
+     * Sorts the values of a 'sorted' index, after adding all of them
+     * @returns {ColumnIndex}
+     */
+    finish() {
+        if (this.#type !== 'sorted') return this;
+
+        const order = this.#keys.map((key, i) => i);
+        order.sort(
+            (a, b) =>
+                compareIndexKeys(this.#keys[a], this.#keys[b]) ||
+                this.#lines[a] - this.#lines[b]
+        );
+        this.#keys = order.map((i) => this.#keys[i]);
+        this.#lines = order.map((i) => this.#lines[i]);
+
+        return this;
+    }
+
+    /**
+     * Finds the position of the first key not lower than (or, if 'isExclusive' is set,
+     * greater than) a key, in a 'sorted' index
+     * @param {boolean|number|string} key
+     * @param {boolean} [isExclusive=false]
+     * @returns {number}
+     */
+    #search(key, isExclusive = false) {
+        let low = 0;
+        let high = this.#keys.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            const order = compareIndexKeys(this.#keys[middle], key);
+            if (order < 0 || (isExclusive && order === 0)) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    }
+
+    /**
+     * Finds the lines that hold a value
+     * @param {*} value
+     * @returns {Array<number>} The line numbers, in ascending order
+     */
+    find(value) {
+        const key = toIndexKey(value);
+        if (this.#type === 'hash') return [...(this.#entries.get(key) || [])];
+        if (key === null) return [];
+        return this.#lines
+            .slice(this.#search(key), this.#search(key, true))
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Finds the n-th line that holds a value, without copying the lines that hold it
+     * @param {*} value
+     * @param {number} position - The position of the line among the lines of the value, from 0
+     * @returns {number|null} The line number, or null if fewer lines hold the value
+     * @example
+     *  index.findAt(31, 1); // 3
+     */
+    findAt(value, position) {
+        const key = toIndexKey(value);
+        if (this.#type === 'hash')
+            return this.#entries.get(key)?.[position] ?? null;
+        if (key === null) return null;
+        // Lines of the same key are sorted by their number, in <ColumnIndex.finish()>
+        const i = this.#search(key) + position;
+        return i < this.#keys.length &&
+            compareIndexKeys(this.#keys[i], key) === 0
+            ? this.#lines[i]
+            : null;
+    }
+
+    /**
+     * Finds the lines that hold a value between 'min' and 'max' (inclusive),
+     * in a 'sorted' index
+     * @param {*} min - The lowest value (or null, for no lower bound)
+     * @param {*} max - The highest value (or null, for no upper bound)
+     * @returns {Array<number>} The line numbers, in ascending order
+     */
+    findRange(min, max) {
+        if (this.#type !== 'sorted')
+            throw new Error(
+                `Cannot find a range of values in column '${this.#column}': ` +
+                    `ranges require a 'sorted' column index.`
+            );
+        const minKey = toIndexKey(min);
+        const maxKey = toIndexKey(max);
+        const start = minKey === null ? 0 : this.#search(minKey);
+        const end =
+            maxKey === null ? this.#keys.length : this.#search(maxKey, true);
+        return this.#lines.slice(start, end).sort((a, b) => a - b);
+    }
+
+    /**
+     * Returns the contents of the index, to be saved as JSON
+     * @returns {{ column: string, type: string, entries: Array<[*, Array<number>]> }}
+     */
+    toJSON() {
+        return {
+            column: this.#column,
+            type: this.#type,
+            entries:
+                this.#type === 'hash'
+                    ? [...this.#entries]
+                    : this.#keys.map((key, i) => [key, [this.#lines[i]]]),
+        };
+    }
+
+    /**
+     * Recreates an index from the result of <ColumnIndex.toJSON()>
+     * @param {{ column: string, type: string, entries: Array<[*, Array<number>]> }} data
+     * @returns {ColumnIndex}
+     */
+    static fromJSON({ column, type, entries }) {
+        const index = new this(column, { type });
+        for (const [key, lines] of entries)
+            for (const line of lines) index.add(key, line);
+        return index;
+    }
+}
+
+module.exports = { ColumnIndex, toIndexKey, compareIndexKeys };
@@ -0,0 +1,778 @@
+const fs = require('node:fs');
+const zlib = require('node:zlib');
+const { Readable, pipeline } = require('node:stream');
+
+const COMPRESSION_FORMATS = ['gzip', 'brotli'];
+
+// Back-references in deflate streams reach up to 32 KB behind
+const WINDOW_SIZE = 32768;
+const OUTPUT_CHUNK_SIZE = 65536;
+
+// Bytes read before decoding a block header, so dynamic Huffman tables are never cut
+const BLOCK_HEADER_MIN_INPUT = 1024;
+
+const LENGTH_BASE = [
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67,
+    83, 99, 115, 131, 163, 195, 227, 258,
+];
+const LENGTH_EXTRA = [
+    0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5,
+    5, 5, 5, 0,
+];
+const DISTANCE_BASE = [
+    1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513,
+    769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+const DISTANCE_EXTRA = [
+    0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10,
+    11, 11, 12, 12, 13, 13,
+];
+const CODE_LENGTH_ORDER = [
+    16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15,
+];
+
+/**
+ * Builds a lookup table of a canonical Huffman code. The table is indexed by the next
+ * bits of the stream, and each entry holds '(symbol << 4) | code length' (0 if unused).
+ * @param {Array<number>|Uint8Array} lengths - The code length of each symbol (0 if unused)
+ * @returns {{ table: Int32Array, bits: number }}
+ */
+function buildHuffmanTable(lengths) {
+    let bits = 0;
+    const counts = new Uint16Array(16);
+    for (const length of lengths) {
+        counts[length]++;
+        if (length > bits) bits = length;
+    }
+    counts[0] = 0;
+
+    const next = new Uint16Array(16);
+    for (let length = 1, code = 0; length < 16; length++) {
+        code = (code + counts[length - 1]) << 1;
+        next[length] = code;
+    }
+
+    const table = new Int32Array(1 << Math.max(bits, 1));
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+        const length = lengths[symbol];
+        if (!length) continue;
+
+        // Codes are stored from their most significant bit, and the stream is read from the least
+        let code = next[length]++;
+        let reversed = 0;
+        for (let i = 0; i < length; i++) {
+            reversed = (reversed << 1) | (code & 1);
+            code >>= 1;
+        }
+        for (let i = reversed; i < table.length; i += 1 << length)
+            table[i] = (symbol << 4) | length;
+    }
+
+    return { table, bits };
+}
+
+const FIXED_LITERAL_TABLE = buildHuffmanTable([
+    ...new Array(144).fill(8),
+    ...new Array(112).fill(9),
+    ...new Array(24).fill(7),
+    ...new Array(8).fill(8),
+]);
+const FIXED_DISTANCE_TABLE = buildHuffmanTable(new Array(30).fill(5));
+
+/**
+ * Decompresses gzip data pushed in chunks (including files with several gzip members),
+ * and records checkpoints where decompression can be resumed later: the bit position of
+ * a deflate block in the compressed data, the offset of its first byte in the decompressed
+ * data, and the 32 KB of decompressed data before it. A new inflater can start at
+ * a checkpoint, instead of at the start of the file.
+ *
+ * Node's zlib bindings cannot save or restore the state of a stream, so this is a
+ * small deflate decoder of its own. Use it only when checkpoints are needed.
+ *
+ * @class GzipInflater
+ *
+ * @constructor
+ * @param {Object} [param0={}]
+ * @param {number|null} [param0.interval=null] - The minimum number of decompressed bytes between
+ * checkpoints. If null, no checkpoints are recorded.
+ * @param {{ bit: number, offset: number, window: Buffer }|null} [param0.checkpoint=null] - A checkpoint
+ * to resume from. The pushed data must then start at byte 'Math.floor(checkpoint.bit / 8)'.
+ *
+ * @example
+ *  const inflater = new GzipInflater({ interval: 1024 * 1024 });
+ *  for await (const chunk of fs.createReadStream('data.csv.gz'))
+ *      for (const output of inflater.push(chunk)) process(output);
+ *  for (const output of inflater.end()) process(output);
+ *  inflater.checkpoints; // [{ bit, offset, window }, ...]
+ */
+class GzipInflater {
+    #data;
+    #pos;
+    #base;
+    #bitbuf;
+    #bitcnt;
+    #skip_bits;
+    #state;
+    #is_last_block;
+    #stored_remaining;
+    #literals;
+    #distances;
+    #output;
+    #output_pos;
+    #emit_start;
+    #total;
+    #member_start;
+    #is_member_size_known;
+    #interval;
+    #last_checkpoint;
+    #chunks;
+
+    constructor({ interval = null, checkpoint = null } = {}) {
+        this.#data = new Uint8Array(0);
+        this.#pos = 0;
+        this.#base = 0;
+        this.#bitbuf = 0;
+        this.#bitcnt = 0;
+        this.#skip_bits = 0;
+        this.#state = 'header';
+        this.#is_last_block = false;
+        this.#stored_remaining = 0;
+        this.#literals = null;
+        this.#distances = null;
+        this.#output = new Uint8Array(WINDOW_SIZE + OUTPUT_CHUNK_SIZE);
+        this.#output_pos = 0;
+        this.#emit_start = 0;
+        this.#total = 0;
+        this.#member_start = 0;
+        this.#is_member_size_known = true;
+        this.#interval = interval;
+        this.#last_checkpoint = 0;
+        this.#chunks = [];
+        this.checkpoints = [];
+
+        if (checkpoint) {
+            this.#base = Math.floor(checkpoint.bit / 8);
+            this.#skip_bits = checkpoint.bit % 8;
+            this.#state = 'block';
+            this.#total = checkpoint.offset;
+            this.#last_checkpoint = checkpoint.offset;
+            this.#is_member_size_known = false;
+            this.#output.set(checkpoint.window);
+            this.#output_pos = checkpoint.window.length;
+            this.#emit_start = this.#output_pos;
+        }
+    }
+
+    /**
+     * The number of compressed bytes read
+     * @returns {number}
+     */
+    get bytesRead() {
+        return this.#base + this.#pos;
+    }
+
+    /**
+     * The number of decompressed bytes, including the ones before the checkpoint it started from
+     * @returns {number}
+     */
+    get offset() {
+        return this.#total + this.#output_pos - this.#emit_start;
+    }
+
+    /**
+     * Decompresses a chunk of compressed data
+     * @param {Uint8Array} chunk
+     * @returns {Array<Buffer>} The decompressed data available so far
+     */
+    push(chunk) {
+        const rest = this.#data.subarray(this.#pos);
+        const data = new Uint8Array(rest.length + chunk.length);
+        data.set(rest);
+        data.set(chunk, rest.length);
+        this.#base += this.#pos;
+        this.#data = data;
+        this.#pos = 0;
+
+        if (this.#skip_bits && data.length) {
+            this.#bitbuf = data[0] >>> this.#skip_bits;
+            this.#bitcnt = 8 - this.#skip_bits;
+            this.#skip_bits = 0;
+            this.#pos = 1;
+        }
+
+        this.#run(false);
+        return this.#takeChunks();
+    }
+
+    /**
+     * Decompresses the rest of the data, after the last chunk was pushed
+     * @returns {Array<Buffer>} The remaining decompressed data
+     */
+    end() {
+        this.#run(true);
+        if (this.#state !== 'done' && this.#state !== 'header')
+            throw new Error('unexpected end of file');
+        return this.#takeChunks();
+    }
+
+    #takeChunks() {
+        if (this.#output_pos > this.#emit_start) {
+            this.#chunks.push(
+                Buffer.from(
+                    this.#output.slice(this.#emit_start, this.#output_pos)
+                )
+            );
+            this.#total += this.#output_pos - this.#emit_start;
+            this.#emit_start = this.#output_pos;
+        }
+        const chunks = this.#chunks;
+        this.#chunks = [];
+        return chunks;
+    }
+
+    /**
+     * Emits the output buffer when it is full, keeping the last 32 KB for back-references
+     */
+    #flushOutput() {
+        const output = this.#output;
+        this.#chunks.push(
+            Buffer.from(output.slice(this.#emit_start, this.#output_pos))
+        );
+        this.#total += this.#output_pos - this.#emit_start;
+        output.copyWithin(0, this.#output_pos - WINDOW_SIZE, this.#output_pos);
+        this.#output_pos = WINDOW_SIZE;
+        this.#emit_start = WINDOW_SIZE;
+    }
+
+    /**
+     * Reads bits from the stream, returning -1 if there are not enough of them
+     * @param {number} count - Up to 16
+     * @returns {number}
+     */
+    #bits(count) {
+        while (this.#bitcnt < count) {
+            if (this.#pos >= this.#data.length) return -1;
+            this.#bitbuf |= this.#data[this.#pos++] << this.#bitcnt;
+            this.#bitcnt += 8;
+        }
+        const value = this.#bitbuf & ((1 << count) - 1);
+        this.#bitbuf >>>= count;
+        this.#bitcnt -= count;
+        return value;
+    }
+
+    /**
+     * Checks if a number of bytes can be read, counting the bits already taken from the stream
+     * @param {number} count
+     * @returns {boolean}
+     */
+    #hasBytes(count) {
+        return (this.#bitcnt >> 3) + this.#data.length - this.#pos >= count;
+    }
+
+    #alignToByte() {
+        const extra = this.#bitcnt & 7;
+        this.#bitbuf >>>= extra;
+        this.#bitcnt -= extra;
+    }
+
+    #run(isFinal) {
+        for (;;) {
+            switch (this.#state) {
+                case 'header':
+                    if (!this.#readMemberHeader(isFinal)) return;
+                    break;
+                case 'block':
+                    if (!isFinal && !this.#hasBytes(BLOCK_HEADER_MIN_INPUT))
+                        return;
+                    this.#recordCheckpoint();
+                    this.#readBlockHeader();
+                    break;
+                case 'stored':
+                    if (!this.#copyStored(isFinal)) return;
+                    break;
+                case 'huffman':
+                    if (!this.#decodeHuffman(isFinal)) return;
+                    break;
+                case 'trailer':
+                    if (!this.#readMemberTrailer(isFinal)) return;
+                    break;
+                default:
+                    return;
+            }
+        }
+    }
+
+    /**
+     * Reads the header of a gzip member
+     * @param {boolean} isFinal
+     * @returns {boolean} If the header was read (false if more data is needed, or at the end)
+     */
+    #readMemberHeader(isFinal) {
+        const data = this.#data;
+        const start = this.#pos;
+
+        if (start >= data.length) {
+            if (isFinal) this.#state = 'done';
+            return false;
+        }
+        if (data.length - start < 2 && data[start] === 0x1f && !isFinal)
+            return false;
+        if (data[start] !== 0x1f || data[start + 1] !== 0x8b) {
+            if (this.#base + start === 0)
+                throw new Error('incorrect header check');
+            // Data after the last member that is not another member is ignored
+            this.#state = 'done';
+            return false;
+        }
+
+        const incomplete = () => {
+            if (isFinal) throw new Error('unexpected end of file');
+            return false;
+        };
+
+        if (data.length - start < 10) return incomplete();
+        if (data[start + 2] !== 8)
+            throw new Error('unknown compression method');
+
+        const flags = data[start + 3];
+        let pos = start + 10;
+        if (flags & 4) {
+            if (data.length - pos < 2) return incomplete();
+            pos += 2 + (data[pos] | (data[pos + 1] << 8));
+        }
+        for (const flag of [8, 16]) {
+            if (!(flags & flag)) continue;
+            while (pos < data.length && data[pos] !== 0) pos++;
+            pos++;
+        }
+        if (flags & 2) pos += 2;
+        if (pos > data.length) return incomplete();
+
+        this.#pos = pos;
+        this.#state = 'block';
+        this.#member_start = this.offset;
+        this.#is_member_size_known = true;
+        return true;
+    }
+
+    #readMemberTrailer(isFinal) {
+        this.#alignToByte();
+        if (!this.#hasBytes(8)) {
+            if (isFinal) throw new Error('unexpected end of file');
+            return false;
+        }
+        this.#bits(16);
+        this.#bits(16);
+        const size = (this.#bits(16) | (this.#bits(16) << 16)) >>> 0;
+        if (
+            this.#is_member_size_known &&
+            size !== (this.offset - this.#member_start) % 2 ** 32
+        )
+            throw new Error('incorrect length check');
+        this.#state = 'header';
+        return true;
+    }
+
+    #recordCheckpoint() {
+        if (this.#interval === null) return;
+        const offset = this.offset;
+        if (offset - this.#last_checkpoint < this.#interval) return;
+        this.#last_checkpoint = offset;
+        this.checkpoints.push({
+            bit: (this.#base + this.#pos) * 8 - this.#bitcnt,
+            offset,
+            window: Buffer.from(
+                this.#output.slice(
+                    Math.max(0, this.#output_pos - WINDOW_SIZE),
+                    this.#output_pos
+                )
+            ),
+        });
+    }
+
+    #readBlockHeader() {
+        const truncated = () => {
+            throw new Error('unexpected end of file');
+        };
+
+        const header = this.#bits(3);
+        if (header < 0) truncated();
+        this.#is_last_block = Boolean(header & 1);
+        const type = header >> 1;
+
+        if (type === 0) {
+            this.#alignToByte();
+            const length = this.#bits(16);
+            const complement = this.#bits(16);
+            if (complement < 0) truncated();
+            if (length !== (~complement & 0xffff))
+                throw new Error('invalid stored block lengths');
+            this.#stored_remaining = length;
+            this.#state = 'stored';
+            return;
+        }
+
+        if (type === 1) {
+            this.#literals = FIXED_LITERAL_TABLE;
+            this.#distances = FIXED_DISTANCE_TABLE;
+            this.#state = 'huffman';
+            return;
+        }
+
+        if (type !== 2) throw new Error('invalid block type');
+
+        const literalCount = this.#bits(5) + 257;
+        const distanceCount = this.#bits(5) + 1;
+        const codeLengthCount = this.#bits(4) + 4;
+        if (codeLengthCount < 4) truncated();
+
+        const codeLengths = new Uint8Array(19);
+        for (let i = 0; i < codeLengthCount; i++) {
+            const length = this.#bits(3);
+            if (length < 0) truncated();
+            codeLengths[CODE_LENGTH_ORDER[i]] = length;
+        }
+        const codeLengthTable = buildHuffmanTable(codeLengths);
+
+        const lengths = new Uint8Array(literalCount + distanceCount);
+        for (let i = 0; i < lengths.length;) {
+            const symbol = this.#decodeSymbol(codeLengthTable);
+            if (symbol < 16) {
+                lengths[i++] = symbol;
+                continue;
+            }
+            let repeat;
+            let value = 0;
+            if (symbol === 16) {
+                if (i === 0) throw new Error('invalid bit length repeat');
+                value = lengths[i - 1];
+                repeat = 3 + this.#bits(2);
+            } else if (symbol === 17) repeat = 3 + this.#bits(3);
+            else repeat = 11 + this.#bits(7);
+            if (repeat < 3) truncated();
+            if (i + repeat > lengths.length)
+                throw new Error('invalid bit length repeat');
+            lengths.fill(value, i, i + repeat);
+            i += repeat;
+        }
+
+        this.#literals = buildHuffmanTable(lengths.subarray(0, literalCount));
+        this.#distances = buildHuffmanTable(lengths.subarray(literalCount));
+        this.#state = 'huffman';
+    }
+
+    /**
+     * Decodes a symbol outside the main loop (for the code lengths of dynamic blocks)
+     * @param {{ table: Int32Array, bits: number }} huffman
+     * @returns {number}
+     */
+    #decodeSymbol({ table, bits }) {
+        while (this.#bitcnt < bits && this.#pos < this.#data.length) {
+            this.#bitbuf |= this.#data[this.#pos++] << this.#bitcnt;
+            this.#bitcnt += 8;
+        }
+        const entry = table[this.#bitbuf & ((1 << bits) - 1)];
+        const length = entry & 15;
+        if (!length || length > this.#bitcnt)
+            throw new Error(length ? 'unexpected end of file' : 'invalid code');
+        this.#bitbuf >>>= length;
+        this.#bitcnt -= length;
+        return entry >> 4;
+    }
+
+    #endBlock() {
+        this.#state = this.#is_last_block ? 'trailer' : 'block';
+    }
+
+    #copyStored(isFinal) {
+        while (this.#stored_remaining > 0) {
+            let count;
+            // Bytes already taken into the bit buffer come first
+            if (this.#bitcnt >= 8) {
+                this.#output[this.#output_pos] = this.#bits(8);
+                count = 1;
+            } else {
+                count = Math.min(
+                    this.#stored_remaining,
+                    this.#data.length - this.#pos,
+                    this.#output.length - this.#output_pos
+                );
+                if (!count) {
+                    if (isFinal) throw new Error('unexpected end of file');
+                    return false;
+                }
+                this.#output.set(
+                    this.#data.subarray(this.#pos, this.#pos + count),
+                    this.#output_pos
+                );
+                this.#pos += count;
+            }
+            this.#output_pos += count;
+            this.#stored_remaining -= count;
+            if (this.#output_pos === this.#output.length) this.#flushOutput();
+        }
+        this.#endBlock();
+        return true;
+    }
+
+    /**
+     * Decodes the symbols of a Huffman block, until its end or until more data is needed.
+     * The state is kept in local variables, as this loop decodes almost all of the data.
+     * @param {boolean} isFinal
+     * @returns {boolean} If the block ended
+     */
+    #decodeHuffman(isFinal) {
+        const data = this.#data;
+        const end = data.length;
+        const { table: literalTable, bits: literalBits } = this.#literals;
+        const { table: distanceTable, bits: distanceBits } = this.#distances;
+        const literalMask = (1 << literalBits) - 1;
+        const distanceMask = (1 << distanceBits) - 1;
+        let output = this.#output;
+        let pos = this.#pos;
+        let bitbuf = this.#bitbuf;
+        let bitcnt = this.#bitcnt;
+        let outputPos = this.#output_pos;
+        let isBlockEnded = false;
+
+        const save = () => {
+            this.#pos = pos;
+            this.#bitbuf = bitbuf;
+            this.#bitcnt = bitcnt;
+            this.#output_pos = outputPos;
+        };
+        const fail = (message) => {
+            save();
+            throw new Error(message);
+        };
+
+        // A symbol with its extra bits and distance takes at most 48 bits
+        while (isFinal || end - pos >= 8) {
+            while (bitcnt < literalBits && pos < end) {
+                bitbuf |= data[pos++] << bitcnt;
+                bitcnt += 8;
+            }
+            const entry = literalTable[bitbuf & literalMask];
+            const entryLength = entry & 15;
+            if (!entryLength) fail('invalid literal/length code');
+            if (entryLength > bitcnt) fail('unexpected end of file');
+            bitbuf >>>= entryLength;
+            bitcnt -= entryLength;
+            const symbol = entry >> 4;
+
+            if (symbol < 256) {
+                output[outputPos++] = symbol;
+                if (outputPos === output.length) {
+                    save();
+                    this.#flushOutput();
+                    outputPos = this.#output_pos;
+                }
+                continue;
+            }
+            if (symbol === 256) {
+                isBlockEnded = true;
+                break;
+            }
+
+            const lengthCode = symbol - 257;
+            if (lengthCode >= 29) fail('invalid literal/length code');
+            let length = LENGTH_BASE[lengthCode];
+            let extra = LENGTH_EXTRA[lengthCode];
+            if (extra) {
+                while (bitcnt < extra && pos < end) {
+                    bitbuf |= data[pos++] << bitcnt;
+                    bitcnt += 8;
+                }
+                if (bitcnt < extra) fail('unexpected end of file');
+                length += bitbuf & ((1 << extra) - 1);
+                bitbuf >>>= extra;
+                bitcnt -= extra;
+            }
+
+            while (bitcnt < distanceBits && pos < end) {
+                bitbuf |= data[pos++] << bitcnt;
+                bitcnt += 8;
+            }
+            const distanceEntry = distanceTable[bitbuf & distanceMask];
+            const distanceLength = distanceEntry & 15;
+            if (!distanceLength) fail('invalid distance code');
+            if (distanceLength > bitcnt) fail('unexpected end of file');
+            bitbuf >>>= distanceLength;
+            bitcnt -= distanceLength;
+            const distanceCode = distanceEntry >> 4;
+            if (distanceCode >= 30) fail('invalid distance code');
+            let distance = DISTANCE_BASE[distanceCode];
+            extra = DISTANCE_EXTRA[distanceCode];
+            if (extra) {
+                while (bitcnt < extra && pos < end) {
+                    bitbuf |= data[pos++] << bitcnt;
+                    bitcnt += 8;
+                }
+                if (bitcnt < extra) fail('unexpected end of file');
+                distance += bitbuf & ((1 << extra) - 1);
+                bitbuf >>>= extra;
+                bitcnt -= extra;
+            }
+            if (distance > outputPos) fail('invalid distance too far back');
+
+            for (let i = 0; i < length; i++) {
+                output[outputPos] = output[outputPos - distance];
+                outputPos++;
+                if (outputPos === output.length) {
+                    save();
+                    this.#flushOutput();
+                    outputPos = this.#output_pos;
+                }
+            }
+        }
+
+        save();
+        if (isBlockEnded) this.#endBlock();
+        return isBlockEnded;
+    }
+}
+
+/**
+ * Detects if a file is compressed, from its extension or from its first bytes
+ * @param {string} filename
+ * @param {Uint8Array} head - The first bytes of the file
+ * @returns {string|null} 'gzip', 'brotli', or null if it is not compressed
+ */
+function detectCompression(filename, head) {
+    if (head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b) return 'gzip';
+    if (/\.gz(ip)?$/i.test(filename)) return 'gzip';
+    // Brotli streams have no magic bytes
+    if (/\.br$/i.test(filename)) return 'brotli';
+    return null;
+}
+
+/**
+ * Decompresses the start of a compressed file, ignoring that the data is cut
+ * @param {Buffer} buffer - The first bytes of the file
+ * @param {string} compression - 'gzip' or 'brotli'
+ * @returns {Buffer}
+ */
+function decompressHead(buffer, compression) {
+    if (!buffer.length) return buffer;
+    return compression === 'gzip'
+        ? zlib.gunzipSync(buffer, {
+              finishFlush: zlib.constants.Z_SYNC_FLUSH,
+          })
+        : zlib.brotliDecompressSync(buffer, {
+              finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH,
+          });
+}
+
+/**
+ * Finds the last checkpoint at or before a decompressed offset
+ * @param {Array<{ bit: number, offset: number, window: Buffer }>} checkpoints - In ascending order
+ * @param {number} offset
+ * @returns {{ bit: number, offset: number, window: Buffer }|null}
+ */
+function findCheckpoint(checkpoints, offset) {
+    let low = 0;
+    let high = checkpoints.length;
+    while (low < high) {
+        const middle = (low + high) >>> 1;
+        if (checkpoints[middle].offset <= offset) low = middle + 1;
+        else high = middle;
+    }
+    return low ? checkpoints[low - 1] : null;
+}
+
+/**
+ * Decompresses a file with a GzipInflater
+ * @param {import('node:stream').Readable} input - The compressed data
+ * @param {GzipInflater} inflater
+ * @returns {AsyncGenerator<Buffer, void, unknown>}
+ */
+async function* inflate(input, inflater) {
+    for await (const chunk of input) yield* inflater.push(chunk);
+    yield* inflater.end();
+}
+
+/**
+ * Creates a stream of a range of the decompressed data of a file.
+ * Gzip files are decompressed from a checkpoint, if there is one before the range.
+ * @param {string} filename
+ * @param {string} compression - 'gzip' or 'brotli'
+ * @param {Object} [param2={}]
+ * @param {number} [param2.start=0] - The first decompressed byte of the range
+ * @param {number} [param2.end=Infinity] - The last decompressed byte of the range (inclusive)
+ * @param {Array<Object>|null} [param2.checkpoints=null] - The checkpoints of a gzip file
+ * @param {Object|null} [param2.recorder=null] - Records the checkpoints of a gzip file while it is read
+ * from the start: an object with an 'interval' (the minimum number of bytes between them), that
+ * receives the 'checkpoints' array, and the 'input' stream of compressed data (to follow its progress)
+ * @param {string|null} [param2.encoding=null] - If set, the stream returns strings
+ * @returns {import('node:stream').Readable}
+ */
+function createDecompressedStream(
+    filename,
+    compression,
+    {
+        start = 0,
+        end = Infinity,
+        checkpoints = null,
+        recorder = null,
+        encoding = null,
+    } = {}
+) {
+    const checkpoint =
+        compression === 'gzip' && checkpoints
+            ? findCheckpoint(checkpoints, start)
+            : null;
+
+    const input = fs.createReadStream(filename, {
+        start: checkpoint ? Math.floor(checkpoint.bit / 8) : 0,
+    });
+    if (recorder && !checkpoint) recorder.input = input;
+
+    let source;
+    if (checkpoint || (compression === 'gzip' && recorder)) {
+        const inflater = new GzipInflater({
+            checkpoint,
+            interval: checkpoint ? null : recorder.interval,
+        });
+        if (!checkpoint) recorder.checkpoints = inflater.checkpoints;
+        source = inflate(input, inflater);
+    } else
+        source = pipeline(
+            input,
+            compression === 'gzip'
+                ? zlib.createGunzip()
+                : zlib.createBrotliDecompress(),
+            () => {}
+        );
+
+    const first = start - (checkpoint ? checkpoint.offset : 0);
+    const last = end - (checkpoint ? checkpoint.offset : 0);
+
+    const stream = Readable.from(
+        (async function* sliceDecompressedData() {
+            let position = 0;
+            for await (const chunk of source) {
+                const chunkStart = position;
+                position += chunk.length;
+                if (position <= first) continue;
+                yield chunk.subarray(
+                    Math.max(0, first - chunkStart),
+                    Math.min(chunk.length, last + 1 - chunkStart)
+                );
+                if (position > last) break;
+            }
+        })(),
+        { objectMode: false }
+    );
+    if (encoding) stream.setEncoding(encoding);
+    return stream;
+}
+
+module.exports = {
+    COMPRESSION_FORMATS,
+    GzipInflater,
+    detectCompression,
+    decompressHead,
+    findCheckpoint,
+    createDecompressedStream,
+};
@@ -0,0 +1,221 @@
+const fs = require('node:fs');
+const { once } = require('node:events');
+const { StringDecoder } = require('node:string_decoder');
+
+/**
+ * Checks if a value is a plain object (not an array, a date or a class instance)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    if (typeof value !== 'object' || value === null) return false;
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Flattens nested objects into a single object, joining the keys of each level.
+ * Arrays, dates and empty objects are kept as values.
+ * @param {Object} object
+ * @param {string} [separator='.']
+ * @returns {Object}
+ * @example
+ *  flattenObject({ id: 1, user: { name: 'Ana', address: { city: 'Rio' } } });
+ *  // { id: 1, 'user.name': 'Ana', 'user.address.city': 'Rio' }
+ */
+function flattenObject(object, separator = '.') {
+    const result = {};
+    const visit = (value, prefix) => {
+        for (const [key, item] of Object.entries(value)) {
+            const name = prefix === null ? key : prefix + separator + key;
+            if (isPlainObject(item) && Object.keys(item).length)
+                visit(item, name);
+            else result[name] = item;
+        }
+    };
+    visit(object, null);
+    return result;
+}
+
+/**
+ * Rebuilds nested objects from keys joined by 'flattenObject()'
+ * @param {Object} object
+ * @param {string} [separator='.']
+ * @returns {Object}
+ * @example
+ *  unflattenObject({ id: 1, 'user.name': 'Ana' }); // { id: 1, user: { name: 'Ana' } }
+ */
+function unflattenObject(object, separator = '.') {
+    const result = {};
+    for (const [name, value] of Object.entries(object)) {
+        const keys = name.split(separator);
+        let target = result;
+        for (const key of keys.slice(0, -1)) {
+            // A value in a parent key (like 'a' with 'a.b') is kept under its own name
+            if (!isPlainObject(target[key])) {
+                if (key in target) {
+                    target = null;
+                    break;
+                }
+                target[key] = {};
+            }
+            target = target[key];
+        }
+        if (target && !(keys[keys.length - 1] in target))
+            target[keys[keys.length - 1]] = value;
+        else result[name] = value;
+    }
+    return result;
+}
+
+/**
+ * Reads the values of an NDJSON stream (one JSON value per line, blank lines are ignored)
+ * @param {AsyncIterable<Buffer|string>} stream
+ * @returns {AsyncGenerator<*, void, unknown>}
+ */
+async function* readNDJSON(stream) {
+    const decoder = new StringDecoder('utf-8');
+    let buffer = '';
+    let number = 0;
+
+    const parse = (text) => {
+        number++;
+        try {
+            return JSON.parse(text);
+        } catch (err) {
+            throw new Error(`Invalid JSON in line ${number}: ${err.message}`);
+        }
+    };
+
+    for await (const chunk of stream) {
+        buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            if (line.trim()) yield parse(line);
+            else number++;
+        }
+    }
+    buffer += decoder.end();
+    if (buffer.trim()) yield parse(buffer);
+}
+
+/**
+ * Reads the items of a JSON array from a stream, one at a time,
+ * without holding the whole array in memory
+ * @param {AsyncIterable<Buffer|string>} stream
+ * @returns {AsyncGenerator<*, void, unknown>}
+ */
+async function* readJSONArray(stream) {
+    const decoder = new StringDecoder('utf-8');
+    let depth = 0;
+    let isInsideString = false;
+    let isEscaped = false;
+    let isStarted = false;
+    let isEnded = false;
+    let item = '';
+    let count = 0;
+
+    const parse = (text) => {
+        count++;
+        try {
+            return JSON.parse(text);
+        } catch (err) {
+            throw new Error(
+                `Invalid JSON in array item ${count}: ${err.message}`
+            );
+        }
+    };
+
+    for await (const chunk of stream) {
+        const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        let start = 0;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (!isStarted) {
+                if (/\s/.test(char) || char === '\uFEFF') continue;
+                if (char !== '[')
+                    throw new Error(`Invalid JSON: expected an array.`);
+                isStarted = true;
+                start = i + 1;
+                continue;
+            }
+            if (isEnded) {
+                if (!/\s/.test(char))
+                    throw new Error(
+                        `Invalid JSON: unexpected text after the array.`
+                    );
+                continue;
+            }
+
+            if (isInsideString) {
+                if (isEscaped) isEscaped = false;
+                else if (char === '\\') isEscaped = true;
+                else if (char === '"') isInsideString = false;
+                continue;
+            }
+
+            if (char === '"') isInsideString = true;
+            else if (char === '[' || char === '{') depth++;
+            else if ((char === ']' || char === '}') && depth > 0) depth--;
+            else if (depth === 0 && (char === ',' || char === ']')) {
+                item += text.slice(start, i);
+                start = i + 1;
+                if (item.trim()) yield parse(item);
+                // Only an empty array ('[]') ends without an item, and not after a comma ('[1,]')
+                else if (char === ',' || count > 0)
+                    throw new Error(`Invalid JSON: empty array item.`);
+                item = '';
+                if (char === ']') isEnded = true;
+            }
+        }
+        if (isStarted && !isEnded) item += text.slice(start);
+    }
+
+    if (!isEnded) throw new Error(`Invalid JSON: unterminated array.`);
+}
+
+/**
+ * Writes text to a stream, waiting for it to drain if its buffer is full
+ * @param {import('node:stream').Writable} stream
+ * @param {string} text
+ * @returns {Promise<void>}
+ */
+async function writeText(stream, text) {
+    if (!stream.write(text)) await once(stream, 'drain');
+}
+
+/**
+ * Ends a stream, and waits for all data to be written
+ * @param {import('node:stream').Writable} stream
+ * @returns {Promise<void>}
+ */
+async function endStream(stream) {
+    const finished = once(stream, 'finish');
+    stream.end();
+    await finished;
+}
+
+/**
+ * Opens a file path as a stream (streams are returned as they are)
+ * @param {string|import('node:stream').Readable|import('node:stream').Writable} target
+ * @param {string} mode - 'read' or 'write'
+ * @returns {import('node:stream').Readable|import('node:stream').Writable}
+ */
+function toStream(target, mode) {
+    if (typeof target !== 'string') return target;
+    return mode === 'read'
+        ? fs.createReadStream(target)
+        : fs.createWriteStream(target);
+}
+
+module.exports = {
+    flattenObject,
+    unflattenObject,
+    readNDJSON,
+    readJSONArray,
+    writeText,
+    endStream,
+    toStream,
+};
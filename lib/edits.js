@@ -0,0 +1,216 @@
+const fs = require('node:fs');
+
+const JOURNAL_FILE_MAGIC = 'CSVJOURNAL';
+const JOURNAL_FILE_VERSION = 1;
+
+/**
+ * The pending edits of a file, as a list of segments: ranges of lines of the
+ * file ('{ start, count }', with the line numbers of the file) and new records
+ * ('{ records }', with the text of each record, including its line terminator).
+ * Line numbers of each edit are the ones after the previous edits, as if they
+ * had been written to the file already.
+ *
+ * @class CSVLineEdits
+ *
+ * @constructor
+ * @param {number} lines - The number of lines of the file
+ * @param {Object} source - Describes the file, to tell if it changed before the edits are committed
+ */
+class CSVLineEdits {
+    #source;
+    #segments;
+    #lines;
+    #operations;
+
+    constructor(lines, source) {
+        this.#source = source;
+        this.#segments = lines ? [{ start: 1, count: lines }] : [];
+        this.#lines = lines;
+        this.#operations = 0;
+    }
+
+    /**
+     * The description of the file when the edits started
+     * @returns {Object}
+     */
+    get source() {
+        return this.#source;
+    }
+
+    /**
+     * The number of lines, after the edits
+     * @returns {number}
+     */
+    get lines() {
+        return this.#lines;
+    }
+
+    /**
+     * The number of edits
+     * @returns {number}
+     */
+    get operations() {
+        return this.#operations;
+    }
+
+    /**
+     * The segments of the edited file, in order
+     * @returns {Array<{ start: number, count: number }|{ records: Array<string> }>}
+     */
+    get segments() {
+        return this.#segments;
+    }
+
+    /**
+     * Finds a line, after the edits
+     * @param {number} index - The line number, from 1 to <CSVLineEdits.lines>
+     * @returns {{ line: number }|{ record: string }} The line number in the file,
+     * or the text of a new record
+     */
+    find(index) {
+        let first = 1;
+        for (const segment of this.#segments) {
+            const count = segment.records?.length ?? segment.count;
+            if (index < first + count)
+                return segment.records
+                    ? { record: segment.records[index - first] }
+                    : { line: segment.start + index - first };
+            first += count;
+        }
+        throw new RangeError(`Line ${index} is out of range.`);
+    }
+
+    /**
+     * Applies an edit
+     * @param {Object} operation
+     * @param {string} operation.type - 'update', 'insert' or 'delete'
+     * @param {number} operation.line - The line to update or delete, or the line that
+     * the records are inserted before (<CSVLineEdits.lines> + 1 to add them at the end)
+     * @param {Array<string>} [operation.records] - The new records (a single one, to update a line)
+     * @returns {CSVLineEdits}
+     */
+    apply({ type, line, records = [] }) {
+        const i = this.#split(line);
+        if (type === 'insert') {
+            this.#segments.splice(i, 0, { records: [...records] });
+            this.#lines += records.length;
+        } else {
+            this.#split(line + 1);
+            this.#segments.splice(
+                i,
+                1,
+                ...(type === 'update' ? [{ records: [records[0]] }] : [])
+            );
+            if (type === 'delete') this.#lines--;
+        }
+        this.#operations++;
+        return this;
+    }
+
+    /**
+     * Splits the segments before a line
+     * @param {number} index - The line number, from 1 to <CSVLineEdits.lines> + 1
+     * @returns {number} The position of the segment that starts with the line
+     * (the number of segments, for the line after the last one)
+     */
+    #split(index) {
+        let first = 1;
+        for (let i = 0; i < this.#segments.length; i++) {
+            const segment = this.#segments[i];
+            const count = segment.records?.length ?? segment.count;
+            if (index === first) return i;
+            if (index < first + count) {
+                const offset = index - first;
+                const [head, tail] = segment.records
+                    ? [
+                          { records: segment.records.slice(0, offset) },
+                          { records: segment.records.slice(offset) },
+                      ]
+                    : [
+                          { start: segment.start, count: offset },
+                          {
+                              start: segment.start + offset,
+                              count: segment.count - offset,
+                          },
+                      ];
+                this.#segments.splice(i, 1, head, tail);
+                return i + 1;
+            }
+            first += count;
+        }
+        return this.#segments.length;
+    }
+}
+
+/**
+ * Starts a journal file, replacing any previous one
+ * @param {string} path
+ * @param {Object} source - Describes the edited file
+ * @returns {Promise<void>}
+ */
+async function createJournal(path, source) {
+    await appendJournalEntry(
+        path,
+        { magic: JOURNAL_FILE_MAGIC, version: JOURNAL_FILE_VERSION, source },
+        'w'
+    );
+}
+
+/**
+ * Adds an entry to a journal file, and waits for it to reach the disk
+ * @param {string} path
+ * @param {Object} entry
+ * @param {string} [flags='a']
+ * @returns {Promise<void>}
+ */
+async function appendJournalEntry(path, entry, flags = 'a') {
+    const handle = await fs.promises.open(path, flags);
+    try {
+        await handle.writeFile(JSON.stringify(entry) + '\n');
+        await handle.datasync();
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Reads a journal file. An incomplete last entry (written when the process
+ * stopped) is ignored.
+ * @param {string} path
+ * @returns {Promise<{ source: Object, operations: Array<Object> }|null>} The description
+ * of the edited file and the edits, or null if the file does not exist, or is not a journal
+ */
+async function readJournal(path) {
+    let text;
+    try {
+        text = await fs.promises.readFile(path, 'utf-8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+
+    const entries = [];
+    for (const line of text.split('\n')) {
+        if (!line) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch {
+            break;
+        }
+    }
+
+    const [header, ...operations] = entries;
+    if (
+        header?.magic !== JOURNAL_FILE_MAGIC ||
+        header.version !== JOURNAL_FILE_VERSION
+    )
+        return null;
+    return { source: header.source, operations };
+}
+
+module.exports = {
+    CSVLineEdits,
+    createJournal,
+    appendJournalEntry,
+    readJournal,
+};
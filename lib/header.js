@@ -0,0 +1,123 @@
+const DEDUPE_STRATEGIES = ['array', 'suffix'];
+
+// Each normalization also trims the name, and joins runs of whitespace into a single space
+const HEADER_NORMALIZATIONS = {
+    trim: (name) => name,
+    lowercase: (name) => name.toLowerCase(),
+    uppercase: (name) => name.toUpperCase(),
+    snake_case: (name) =>
+        name
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, '_')
+            .replace(/^_+|_+$/g, ''),
+};
+
+/**
+ * Normalizes the case and the whitespace of a column name
+ * @param {string} name
+ * @param {string|function(string, number): string} normalization - A key of
+ * HEADER_NORMALIZATIONS, or a function called with the name and its position
+ * @param {number} position
+ * @returns {string}
+ * @example
+ *  normalizeColumnName('  First   Name ', 'snake_case', 0); // 'first_name'
+ */
+function normalizeColumnName(name, normalization, position) {
+    if (typeof normalization === 'function')
+        return String(normalization(name, position));
+    return HEADER_NORMALIZATIONS[normalization](
+        name.trim().replace(/\s+/g, ' ')
+    );
+}
+
+/**
+ * Renames the columns that appear more than once in a header, adding a
+ * suffix with the number of the repetition ('name', 'name_1', 'name_2', ...).
+ * Suffixed names that are already in the header are skipped.
+ * @param {Array<string|null>} names
+ * @returns {Array<string|null>}
+ * @example
+ *  dedupeHeader(['id', 'tag', 'tag', 'tag_1']); // ['id', 'tag', 'tag_2', 'tag_1']
+ */
+function dedupeHeader(names) {
+    const taken = new Set(names);
+    const seen = new Set();
+    return names.map((name) => {
+        if (name === null) return name;
+        if (!seen.has(name)) {
+            seen.add(name);
+            return name;
+        }
+        let count = 1;
+        while (taken.has(`${name}_${count}`)) count++;
+        const unique = `${name}_${count}`;
+        taken.add(unique);
+        return unique;
+    });
+}
+
+/**
+ * Names the columns with an empty name (null) by their position, as the columns of files
+ * without a header row ('0', '1', ...). Positions that are already names in the header
+ * get a suffix ('2_1', '2_2', ...).
+ * @param {Array<string|null>} names
+ * @returns {Array<string>}
+ * @example
+ *  nameEmptyColumns(['id', null, '1']); // ['id', '1_1', '1']
+ */
+function nameEmptyColumns(names) {
+    const taken = new Set(names);
+    return names.map((name, i) => {
+        if (name !== null) return name;
+        let unique = String(i);
+        for (let count = 1; taken.has(unique); count++)
+            unique = `${i}_${count}`;
+        taken.add(unique);
+        return unique;
+    });
+}
+
+/**
+ * Applies the header options of a CSVFileParser to the column names read from a file:
+ * replaces them with the explicit names, if any, names the empty ones with
+ * <nameEmptyColumns()>, and then normalizes, dedupes and renames them, in that order
+ * (so the repeated names suffixed by the 'suffix' dedupe strategy can be renamed too).
+ * @param {Array<string|null>} names
+ * @param {Object} [param1={}]
+ * @param {Array<string>|null} [param1.names=null] - The explicit names of the columns
+ * @param {string|Function|null} [param1.normalize=null] - See <normalizeColumnName()>
+ * @param {Object<string, string>|null} [param1.rename=null] - Maps names to new names
+ * @param {string} [param1.dedupe='array'] - 'array' keeps repeated names (their values are
+ * joined in an array), and 'suffix' renames them with <dedupeHeader()>
+ * @returns {Array<string>}
+ */
+function processHeader(
+    names,
+    {
+        names: explicit = null,
+        normalize = null,
+        rename = null,
+        dedupe = 'array',
+    } = {}
+) {
+    let header = nameEmptyColumns(explicit ?? names);
+    if (normalize)
+        header = header.map((name, i) =>
+            normalizeColumnName(name, normalize, i)
+        );
+    if (dedupe === 'suffix') header = dedupeHeader(header);
+    if (rename)
+        header = header.map((name) =>
+            Object.hasOwn(rename, name) ? rename[name] : name
+        );
+    return header;
+}
+
+module.exports = {
+    DEDUPE_STRATEGIES,
+    HEADER_NORMALIZATIONS,
+    normalizeColumnName,
+    dedupeHeader,
+    nameEmptyColumns,
+    processHeader,
+};
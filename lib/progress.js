@@ -0,0 +1,333 @@
+const { performance } = require('node:perf_hooks');
+
+// The minimum time between two 'progress' events of an operation, in milliseconds
+const PROGRESS_EVENT_INTERVAL = 100;
+
+// The width of the bar when the width of the terminal is unknown
+const DEFAULT_BAR_WIDTH = 60;
+const MIN_BAR_WIDTH = 10;
+
+// Outside terminals, a line is logged every time the progress crosses a step
+const PLAIN_LOG_STEP = 10;
+
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+/**
+ * Formats a number of bytes, like '12.3 MB'
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    let unit = 0;
+    while (bytes >= 1024 && unit < BYTE_UNITS.length - 1) {
+        bytes /= 1024;
+        unit++;
+    }
+    return `${unit ? bytes.toFixed(1) : Math.round(bytes)} ${BYTE_UNITS[unit]}`;
+}
+
+/**
+ * Formats a duration, like '1h 02m', '3m 05s' or '12s'
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    const pad = (n) => String(n).padStart(2, '0');
+    if (seconds >= 3600)
+        return `${Math.floor(seconds / 3600)}h ${pad(Math.floor((seconds % 3600) / 60))}m`;
+    if (seconds >= 60)
+        return `${Math.floor(seconds / 60)}m ${pad(seconds % 60)}s`;
+    return `${seconds}s`;
+}
+
+/**
+ * Emits the 'progress' events of a long operation, at most every 100 milliseconds
+ * (and once more when it ends). Each event holds:
+ *  - 'operation': the name of the operation (like 'buildIndex' or 'iterator');
+ *  - 'bytes' and 'totalBytes': the bytes of the file read so far, and the bytes to read (or null, if unknown);
+ *  - 'lines' and 'totalLines': the lines read so far, and the lines to read (or null, if unknown);
+ *  - 'percent': from 0 to 100 (or null, if the totals are unknown);
+ *  - 'elapsed' and 'eta': the milliseconds since the start, and the estimated milliseconds
+ *    until the end (or null, if unknown);
+ *  - 'throughput' and 'linesPerSecond': the bytes and lines read per second;
+ *  - 'done': if the operation ended.
+ *
+ * @class ProgressTracker
+ *
+ * @constructor
+ * @param {import('node:events').EventEmitter} emitter
+ * @param {string} operation
+ * @param {Object} [param2={}]
+ * @param {number|null} [param2.totalBytes=null]
+ * @param {number|null} [param2.totalLines=null] - If set, the percentage is counted in lines instead of bytes
+ */
+class ProgressTracker {
+    #emitter;
+    #operation;
+    #total_bytes;
+    #total_lines;
+    #start;
+    #last;
+    #is_done;
+
+    constructor(
+        emitter,
+        operation,
+        { totalBytes = null, totalLines = null } = {}
+    ) {
+        this.#emitter = emitter;
+        this.#operation = operation;
+        this.#total_bytes = totalBytes;
+        this.#total_lines = totalLines;
+        this.#start = performance.now();
+        this.#last = this.#start;
+        this.#is_done = false;
+    }
+
+    /**
+     * Reports the progress, emitting an event if the last one is old enough
+     * @param {number} bytes
+     * @param {number} lines
+     */
+    update(bytes, lines) {
+        const now = performance.now();
+        if (now - this.#last < PROGRESS_EVENT_INTERVAL) return;
+        this.#last = now;
+        this.#emit(bytes, lines, now, false);
+    }
+
+    /**
+     * Reports the end of the operation (only the first call emits an event)
+     * @param {number} bytes
+     * @param {number} lines
+     */
+    end(bytes, lines) {
+        if (this.#is_done) return;
+        this.#is_done = true;
+        this.#emit(bytes, lines, performance.now(), true);
+    }
+
+    #emit(bytes, lines, now, done) {
+        const elapsed = now - this.#start;
+        const ratio =
+            this.#total_lines !== null
+                ? this.#total_lines
+                    ? lines / this.#total_lines
+                    : 1
+                : this.#total_bytes !== null
+                  ? this.#total_bytes
+                      ? bytes / this.#total_bytes
+                      : 1
+                  : null;
+        const seconds = elapsed / 1000;
+
+        this.#emitter.emit('progress', {
+            operation: this.#operation,
+            bytes,
+            totalBytes: this.#total_bytes,
+            lines,
+            totalLines: this.#total_lines,
+            percent: done
+                ? 100
+                : ratio === null
+                  ? null
+                  : Math.min(ratio, 1) * 100,
+            elapsed,
+            eta: done
+                ? 0
+                : ratio > 0
+                  ? Math.max(0, (elapsed * (1 - ratio)) / ratio)
+                  : null,
+            throughput: seconds > 0 ? bytes / seconds : 0,
+            linesPerSecond: seconds > 0 ? lines / seconds : 0,
+            done,
+        });
+    }
+}
+
+/**
+ * Implements a progress bar for the console. In terminals, the bar is redrawn in place
+ * and fits the width of the terminal. Elsewhere (like CI logs, or output redirected to
+ * a file) it logs a plain line at every 10% instead.
+ *
+ * It can be updated by hand, or render the 'progress' events of a CSVFileParser
+ * (see <ProgressBar.attach()>).
+ *
+ * @class ProgressBar
+ *
+ * @constructor
+ * @param {number|null} [total=null] The size of the progress bar (the number of times it can be updated
+ * before conclusion). If null, only the current value is shown.
+ * @param {Object} [param1={}]
+ * @param {string} [param1.unit_posfix=''] - The unit shown after the values
+ * @param {string} [param1.str_left='■'] - The char of each stepped segment
+ * @param {string} [param1.str_right=' '] - The char of each empty segment
+ * @param {import('node:stream').Writable} [param1.stream=process.stdout] - Where to write the bar
+ * @param {string} [param1.label=''] - A text shown before the bar
+ *
+ * @example <caption> A progress bar that updates every second: </caption>
+ *  let progress = new ProgressBar(10);
+ *  let s = setInterval(()=>{
+ *      if (progress.ended) clear();
+ *      progress.update();
+ *  }, 1000);
+ *  const clear = () => clearInterval(s);
+ *
+ * @example <caption> The progress of indexing a file, on the standard error: </caption>
+ *  const detach = ProgressBar.attach(csv, { stream: process.stderr });
+ *  await csv.buildIndex();
+ *  detach();
+ */
+class ProgressBar {
+    constructor(
+        total = null,
+        {
+            unit_posfix = '',
+            str_left = '■',
+            str_right = ' ',
+            stream = process.stdout,
+            label = '',
+        } = {}
+    ) {
+        this.str_left = str_left;
+        this.str_right = str_right;
+        this.unit_posfix = unit_posfix;
+        this.stream = stream;
+        this.label = label;
+        this.total = total;
+        this.current = 0;
+        this.details = '';
+        this.ended = false;
+        this.last_logged_step = -1;
+    }
+
+    /**
+     * If the bar is redrawn in place (the stream is a terminal)
+     * @returns {boolean}
+     */
+    get isTTY() {
+        return Boolean(this.stream.isTTY);
+    }
+
+    resize(newsize) {
+        this.reset();
+        this.total = newsize;
+    }
+
+    /**
+     * Updates the progress bar (moves one step right).
+     * @since 1.2.22
+     * @param  {number} current The position to jump the progress to. Only used if you want a non-linear progress movement.
+     * @return {ProgressBar}
+     */
+    update(current) {
+        if (this.ended) return this;
+        this.current = current ?? this.current + 1;
+        if (this.total !== null && this.current >= this.total)
+            this.ended = true;
+        this.#draw();
+        return this;
+    }
+
+    /**
+     * Updates the progress bar from a 'progress' event of a CSVFileParser
+     * @param {Object} event
+     * @return {ProgressBar}
+     */
+    render(event) {
+        if (this.ended) return this;
+        const isLines = event.totalLines !== null;
+        this.unit_posfix = isLines ? 'lines' : 'bytes';
+        this.total = isLines ? event.totalLines : event.totalBytes;
+        this.current = isLines ? event.lines : event.bytes;
+        this.details =
+            `${formatBytes(event.throughput)}/s` +
+            (event.eta !== null && !event.done
+                ? `, ETA ${formatDuration(event.eta)}`
+                : '');
+        if (event.done) {
+            this.ended = true;
+            if (this.total !== null) this.current = this.total;
+        }
+        this.#draw();
+        return this;
+    }
+
+    #draw() {
+        const ratio =
+            this.total === null
+                ? null
+                : this.total > 0
+                  ? Math.min(this.current / this.total, 1)
+                  : 1;
+        const percent = ratio === null ? null : Math.floor(ratio * 100);
+        const text =
+            (percent === null ? '' : `${percent}%  `) +
+            `(${this.current}${this.total === null ? '' : `/${this.total}`} ${this.unit_posfix})` +
+            (this.details ? `  ${this.details}` : '');
+
+        if (!this.isTTY) {
+            const step =
+                percent === null ? 0 : Math.floor(percent / PLAIN_LOG_STEP);
+            if (step === this.last_logged_step && !this.ended) return;
+            this.last_logged_step = step;
+            this.stream.write(`${this.label}${text}\n`);
+            return;
+        }
+
+        let line = this.label;
+        if (ratio !== null) {
+            const columns = this.stream.columns || 0;
+            const width = columns
+                ? Math.min(
+                      DEFAULT_BAR_WIDTH,
+                      columns - this.label.length - text.length - 4
+                  )
+                : DEFAULT_BAR_WIDTH;
+            // Without room for the bar, only the text is shown
+            if (width >= MIN_BAR_WIDTH) {
+                const steps = Math.floor(ratio * width);
+                line +=
+                    `[${this.str_left.repeat(steps)}` +
+                    `${this.str_right.repeat(width - steps)}] `;
+            }
+        }
+        // Clears the rest of the previous line
+        this.stream.write(`\r${line}${text}\x1b[K` + (this.ended ? '\n' : ''));
+    }
+
+    /**
+     * Clears the progress bar.
+     * @since 1.2.22
+     * @return {undefined}
+     */
+    reset() {
+        this.current = 0;
+        this.details = '';
+        this.ended = false;
+        this.last_logged_step = -1;
+    }
+
+    /**
+     * Renders the 'progress' events of an emitter (like a CSVFileParser) with a new bar
+     * for each operation
+     * @param {import('node:events').EventEmitter} emitter
+     * @param {Object} [param1={}] - The options of the constructor, and:
+     * @param {string|null} [param1.operation=null] - Only renders the events of an operation (like 'buildIndex')
+     * @returns {function(): void} A function that stops rendering the events
+     */
+    static attach(emitter, { operation = null, ...options } = {}) {
+        let bar = null;
+        const listener = (event) => {
+            if (operation !== null && event.operation !== operation) return;
+            bar ??= new this(null, options);
+            bar.render(event);
+            if (event.done) bar = null;
+        };
+        emitter.on('progress', listener);
+        return () => emitter.off('progress', listener);
+    }
+}
+
+module.exports = { ProgressBar, ProgressTracker };
@@ -0,0 +1,510 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const v8 = require('node:v8');
+const { once } = require('node:events');
+const { Readable } = require('node:stream');
+const { toIndexKey, compareIndexKeys } = require('./columnIndex');
+
+const FETCH_BATCH_SIZE = 1000;
+const SPILL_FRAME_HEADER_SIZE = 4;
+
+/**
+ * Compares the sort keys of two rows. Empty values are always sorted last.
+ * @param {Array<boolean|number|string|null>} a
+ * @param {Array<boolean|number|string|null>} b
+ * @param {Array<{ column: string, direction: number }>} order
+ * @returns {number}
+ */
+function compareSortKeys(a, b, order) {
+    for (let i = 0; i < order.length; i++) {
+        if (a[i] === b[i]) continue;
+        if (a[i] === null) return 1;
+        if (b[i] === null) return -1;
+        const result = compareIndexKeys(a[i], b[i]) * order[i].direction;
+        if (result) return result;
+    }
+    return 0;
+}
+
+/**
+ * Writes values to a temporary file, each one serialized with 'v8.serialize()'
+ * and preceded by its length
+ * @param {string} filename
+ * @param {Array<*>} values
+ * @returns {Promise<void>}
+ */
+async function writeSpillFile(filename, values) {
+    const stream = fs.createWriteStream(filename);
+    for (const value of values) {
+        const data = v8.serialize(value);
+        const frame = Buffer.allocUnsafe(SPILL_FRAME_HEADER_SIZE + data.length);
+        frame.writeUInt32LE(data.length, 0);
+        data.copy(frame, SPILL_FRAME_HEADER_SIZE);
+        if (!stream.write(frame)) await once(stream, 'drain');
+    }
+    const finished = once(stream, 'finish');
+    stream.end();
+    await finished;
+}
+
+/**
+ * Reads the values of a file written by 'writeSpillFile()'
+ * @param {string} filename
+ * @returns {AsyncGenerator<*, void, unknown>}
+ */
+async function* readSpillFile(filename) {
+    let buffer = Buffer.alloc(0);
+    for await (const chunk of fs.createReadStream(filename)) {
+        buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+        let start = 0;
+        while (buffer.length - start >= SPILL_FRAME_HEADER_SIZE) {
+            const length = buffer.readUInt32LE(start);
+            const end = start + SPILL_FRAME_HEADER_SIZE + length;
+            if (end > buffer.length) break;
+            yield v8.deserialize(
+                buffer.subarray(start + SPILL_FRAME_HEADER_SIZE, end)
+            );
+            start = end;
+        }
+        buffer = buffer.subarray(start);
+    }
+}
+
+/**
+ * Merges sorted async iterables into a single sorted sequence
+ * @param {Array<AsyncIterator<*>>} iterators - Iterators of values sorted by 'compare'
+ * @param {function(*, *): number} compare
+ * @returns {AsyncGenerator<*, void, unknown>}
+ */
+async function* mergeSorted(iterators, compare) {
+    // A binary min-heap of the current value of each iterator
+    const heap = [];
+    const push = (item) => {
+        let i = heap.push(item) - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (compare(heap[parent].value, heap[i].value) <= 0) break;
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    };
+    const pop = () => {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (
+                    left < heap.length &&
+                    compare(heap[left].value, heap[smallest].value) < 0
+                )
+                    smallest = left;
+                if (
+                    right < heap.length &&
+                    compare(heap[right].value, heap[smallest].value) < 0
+                )
+                    smallest = right;
+                if (smallest === i) break;
+                [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    };
+
+    for (const iterator of iterators) {
+        const { value, done } = await iterator.next();
+        if (!done) push({ value, iterator });
+    }
+    while (heap.length) {
+        const { value, iterator } = pop();
+        yield value;
+        const next = await iterator.next();
+        if (!next.done) push({ value: next.value, iterator });
+    }
+}
+
+/**
+ * A lazy query over the lines of a CSV file, created with <CSVFileParser.query()>.
+ * Each method returns the query itself, so they can be chained, and nothing is read
+ * until the query is iterated. Conditions on columns with a column index are
+ * looked up in it, instead of reading the whole file.
+ *
+ * Sorting keeps up to 'sortBufferSize' lines in memory. Larger results are sorted
+ * in runs that are written to temporary files, and merged while iterating.
+ *
+ * @class CSVQuery
+ *
+ * @constructor
+ * @param {Object} source - The access to the parser, provided by <CSVFileParser.query()>
+ * @param {function({ start: number, end: number }): AsyncGenerator<CSVObjectLine>} source.iterate
+ * @param {function(string, *): Array<number>|null} source.findLines - Finds the line numbers
+ * of a value in a column index (null if the column is not indexed)
+ * @param {function(Array<number>): Promise<Array<CSVObjectLine|null>>} source.fetchLines
+ * @param {function(CSVObjectLine): Object} source.serializeLine - Converts a line to a cloneable object
+ * @param {function(Object): CSVObjectLine} source.deserializeLine
+ * @param {Object} [param1={}]
+ * @param {number} [param1.sortBufferSize=100000] - The maximum number of lines sorted in memory
+ * @param {string} [param1.tmpdir=os.tmpdir()] - The directory for the temporary files of sorting
+ *
+ * @example
+ *  const rows = await csv
+ *      .query()
+ *      .where({ state: 'SP' })
+ *      .where((line) => line.fields.age >= 18)
+ *      .select(['name', 'age'])
+ *      .orderBy('age', 'desc')
+ *      .limit(100)
+ *      .toArray();
+ */
+class CSVQuery {
+    #source;
+    #sort_buffer_size;
+    #tmpdir;
+    #conditions;
+    #predicates;
+    #columns;
+    #order;
+    #start;
+    #end;
+    #offset;
+    #limit;
+
+    constructor(
+        source,
+        { sortBufferSize = 100000, tmpdir = os.tmpdir() } = {}
+    ) {
+        if (!Number.isInteger(sortBufferSize) || sortBufferSize < 1)
+            throw new Error(
+                `[${this.constructor.name}.constructor()] ` +
+                    `Invalid sort buffer size '${sortBufferSize}': expected an integer of 1 or more.`
+            );
+
+        this.#source = source;
+        this.#sort_buffer_size = sortBufferSize;
+        this.#tmpdir = tmpdir;
+        this.#conditions = [];
+        this.#predicates = [];
+        this.#columns = null;
+        this.#order = [];
+        this.#start = 1;
+        this.#end = Infinity;
+        this.#offset = 0;
+        this.#limit = Infinity;
+    }
+
+    /**
+     * Keeps only the lines that match a condition. Multiple calls must all match.
+     * @param {function(CSVObjectLine): boolean|Object<string, *>} condition - A function
+     * called with each line, or an object mapping columns to the value they must have
+     * (or to a function called with the value). Values of duplicate columns match if any of them does.
+     * @returns {CSVQuery}
+     * @example
+     *  query.where({ state: 'SP', age: (age) => age >= 18 });
+     */
+    where(condition) {
+        if (typeof condition === 'function') {
+            this.#predicates.push(condition);
+            return this;
+        }
+        if (typeof condition !== 'object' || condition === null)
+            throw new Error(
+                `[${this.constructor.name}.where()] ` +
+                    `Invalid condition '${condition}': expected a function or an object.`
+            );
+        for (const [column, value] of Object.entries(condition))
+            this.#conditions.push({ column, value });
+        return this;
+    }
+
+    /**
+     * Yields only some columns of each line, as plain objects, instead of CSVObjectLines
+     * @param {Array<string>} columns
+     * @returns {CSVQuery}
+     */
+    select(columns) {
+        if (!Array.isArray(columns))
+            throw new Error(
+                `[${this.constructor.name}.select()] ` +
+                    `Invalid columns '${columns}': expected an array of column names.`
+            );
+        this.#columns = columns;
+        return this;
+    }
+
+    /**
+     * Sorts the lines by a column. Multiple calls sort by each column in turn.
+     * Empty values are sorted last, and lines with equal values keep their order.
+     * @param {string} column
+     * @param {string} [direction='asc'] - 'asc' or 'desc'
+     * @returns {CSVQuery}
+     */
+    orderBy(column, direction = 'asc') {
+        if (direction !== 'asc' && direction !== 'desc')
+            throw new Error(
+                `[${this.constructor.name}.orderBy()] ` +
+                    `Invalid direction '${direction}': expected 'asc' or 'desc'.`
+            );
+        this.#order.push({ column, direction: direction === 'asc' ? 1 : -1 });
+        return this;
+    }
+
+    /**
+     * Reads only a range of line numbers (seeking directly to it, if the file is indexed)
+     * @param {number} start - The first line number (line numbers start at 1)
+     * @param {number} [end=Infinity] - The last line number (inclusive)
+     * @returns {CSVQuery}
+     */
+    range(start, end = Infinity) {
+        if (
+            !Number.isInteger(start) ||
+            start < 1 ||
+            !(Number.isInteger(end) || end === Infinity) ||
+            end < start
+        )
+            throw new Error(
+                `[${this.constructor.name}.range()] ` +
+                    `Invalid line range [${start}, ${end}]: expected ` +
+                    `an integer 'start' of 1 or more, and an 'end' of 'start' or more.`
+            );
+        this.#start = start;
+        this.#end = end;
+        return this;
+    }
+
+    /**
+     * Skips the first results
+     * @param {number} count
+     * @returns {CSVQuery}
+     */
+    offset(count) {
+        if (!Number.isInteger(count) || count < 0)
+            throw new Error(
+                `[${this.constructor.name}.offset()] ` +
+                    `Invalid offset '${count}': expected an integer of 0 or more.`
+            );
+        this.#offset = count;
+        return this;
+    }
+
+    /**
+     * Stops after a number of results
+     * @param {number} count
+     * @returns {CSVQuery}
+     */
+    limit(count) {
+        if (!Number.isInteger(count) || count < 0)
+            throw new Error(
+                `[${this.constructor.name}.limit()] ` +
+                    `Invalid limit '${count}': expected an integer of 0 or more.`
+            );
+        this.#limit = count;
+        return this;
+    }
+
+    /**
+     * Checks if a line matches all the conditions of the query
+     * @param {CSVObjectLine} line
+     * @param {Set<Object>} [skipped] - Conditions already matched by a column index
+     * @returns {Promise<boolean>}
+     */
+    async #matches(line, skipped) {
+        for (const condition of this.#conditions) {
+            if (skipped && skipped.has(condition)) continue;
+            const { column, value } = condition;
+            const field = line.fields[column];
+            const test =
+                typeof value === 'function'
+                    ? (item) => value(item)
+                    : (item) => toIndexKey(item) === toIndexKey(value);
+            if (Array.isArray(field) ? !field.some(test) : !test(field ?? null))
+                return false;
+        }
+        for (const predicate of this.#predicates)
+            if (!(await predicate(line))) return false;
+        return true;
+    }
+
+    /**
+     * Yields the lines that match the conditions, in the order of the file
+     * @returns {AsyncGenerator<CSVObjectLine, void, unknown>}
+     */
+    async *#filter() {
+        // Look up the first condition on a column with a column index
+        let indexed = null;
+        let lineNumbers = null;
+        for (const condition of this.#conditions) {
+            if (typeof condition.value === 'function') continue;
+            lineNumbers = this.#source.findLines(
+                condition.column,
+                condition.value
+            );
+            if (lineNumbers) {
+                indexed = condition;
+                break;
+            }
+        }
+
+        if (lineNumbers) {
+            const skipped = new Set([indexed]);
+            const selected = lineNumbers.filter(
+                (index) => index >= this.#start && index <= this.#end
+            );
+            for (let i = 0; i < selected.length; i += FETCH_BATCH_SIZE) {
+                const lines = await this.#source.fetchLines(
+                    selected.slice(i, i + FETCH_BATCH_SIZE)
+                );
+                for (const line of lines)
+                    if (line !== null && (await this.#matches(line, skipped)))
+                        yield line;
+            }
+            return;
+        }
+
+        for await (const line of this.#source.iterate({
+            start: this.#start,
+            end: this.#end,
+        }))
+            if (await this.#matches(line)) yield line;
+    }
+
+    /**
+     * Yields the lines that match the conditions, sorted
+     * @param {AsyncIterable<CSVObjectLine>} lines
+     * @returns {AsyncGenerator<CSVObjectLine, void, unknown>}
+     */
+    async *#sort(lines) {
+        const order = this.#order;
+        const getKeys = (line) =>
+            order.map(({ column }) => {
+                const value = line.fields[column];
+                return toIndexKey(Array.isArray(value) ? value[0] : value);
+            });
+        const compare = (a, b) =>
+            compareSortKeys(a.keys, b.keys, order) || a.index - b.index;
+
+        // With a small limit, only the first lines are kept in memory
+        const top = this.#offset + this.#limit;
+
+        let buffer = [];
+        let directory = null;
+        const runs = [];
+
+        try {
+            for await (const line of lines) {
+                buffer.push({ keys: getKeys(line), index: line.index, line });
+                if (buffer.length < this.#sort_buffer_size) continue;
+
+                buffer.sort(compare);
+                if (top <= this.#sort_buffer_size / 2) {
+                    buffer.length = top;
+                    continue;
+                }
+
+                // Write the sorted run to a temporary file
+                if (!directory)
+                    directory = await fs.promises.mkdtemp(
+                        path.join(this.#tmpdir, 'node-csv-sort-')
+                    );
+                const filename = path.join(directory, `${runs.length}.run`);
+                await writeSpillFile(
+                    filename,
+                    buffer.map((item) => ({
+                        ...item,
+                        line: this.#source.serializeLine(item.line),
+                    }))
+                );
+                runs.push(filename);
+                buffer = [];
+            }
+
+            buffer.sort(compare);
+            if (!runs.length) {
+                yield* buffer.map((item) => item.line);
+                return;
+            }
+
+            // Merge the runs in the files with the lines left in memory
+            const iterators = runs.map((filename) => this.#readRun(filename));
+            iterators.push(
+                (async function* () {
+                    yield* buffer;
+                })()
+            );
+            for await (const item of mergeSorted(iterators, compare))
+                yield item.line;
+        } finally {
+            if (directory)
+                await fs.promises.rm(directory, {
+                    recursive: true,
+                    force: true,
+                });
+        }
+    }
+
+    /**
+     * Reads a sorted run written to a temporary file
+     * @param {string} filename
+     * @returns {AsyncGenerator<{ keys: Array<*>, index: number, line: CSVObjectLine }, void, unknown>}
+     */
+    async *#readRun(filename) {
+        for await (const item of readSpillFile(filename))
+            yield { ...item, line: this.#source.deserializeLine(item.line) };
+    }
+
+    /**
+     * Runs the query, and yields each result
+     * @returns {AsyncGenerator<CSVObjectLine|Object, void, unknown>}
+     */
+    async *[Symbol.asyncIterator]() {
+        if (this.#limit === 0) return;
+
+        let lines = this.#filter();
+        if (this.#order.length) lines = this.#sort(lines);
+
+        let skipped = 0;
+        let count = 0;
+        for await (const line of lines) {
+            if (skipped < this.#offset) {
+                skipped++;
+                continue;
+            }
+
+            yield this.#columns
+                ? Object.fromEntries(
+                      this.#columns.map((column) => [
+                          column,
+                          line.fields[column] ?? null,
+                      ])
+                  )
+                : line;
+
+            if (++count >= this.#limit) return;
+        }
+    }
+
+    /**
+     * Runs the query, and collects the results
+     * @returns {Promise<Array<CSVObjectLine|Object>>}
+     */
+    async toArray() {
+        const results = [];
+        for await (const result of this) results.push(result);
+        return results;
+    }
+
+    /**
+     * Runs the query as a Readable stream, in object mode
+     * @returns {Readable}
+     */
+    stream() {
+        return Readable.from(this);
+    }
+}
+
+module.exports = { CSVQuery };
@@ -18,10 +18,4 @@ function gaussianMembership(x, mean, std) {
     return Math.exp(exponent);
 }
 
-// Exemplo de uso:
-const X = 75;
-const mean = 80;
-const std = 10;
-
-const result = gaussianMembership(X, mean, std);
-console.log('Pertencimento gaussiano:', result);
+module.exports = { gaussianMembership };
@@ -0,0 +1,195 @@
+const BOOLEAN_VALUES = new Map([
+    ['true', true],
+    ['false', false],
+    ['yes', true],
+    ['no', false],
+    ['y', true],
+    ['n', false],
+    ['t', true],
+    ['f', false],
+    ['1', true],
+    ['0', false],
+]);
+
+const ISO_DATE_PATTERN =
+    /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Converts a cell string to a value of a column type.
+ * Each converter throws if the string is not a valid value of the type.
+ */
+const CONVERTERS = {
+    string: (value) => value,
+    number: (value) => {
+        const result = Number(value.trim());
+        if (value.trim() === '' || !Number.isFinite(result))
+            throw new Error('not a number');
+        return result;
+    },
+    integer: (value) => {
+        const result = Number(value.trim());
+        if (value.trim() === '' || !Number.isSafeInteger(result))
+            throw new Error('not an integer');
+        return result;
+    },
+    boolean: (value) => {
+        const result = BOOLEAN_VALUES.get(value.trim().toLowerCase());
+        if (result === undefined) throw new Error('not a boolean');
+        return result;
+    },
+    date: (value) => {
+        const result = new Date(value.trim());
+        if (Number.isNaN(result.getTime())) throw new Error('not a date');
+        return result;
+    },
+    json: (value) => JSON.parse(value),
+};
+
+const TYPES = [...Object.keys(CONVERTERS), 'enum'];
+
+/**
+ * Creates the coercion function of a single column of a schema.
+ * @param {string} column - The column name (used in error messages)
+ * @param {string|Function|Object} rule - A type name, a custom conversion function,
+ * or an object with the column rules
+ * @param {string|Function} rule.type - One of 'string', 'number', 'integer', 'boolean',
+ * 'date', 'json', 'enum', or a custom conversion function '(value, column) => any'
+ * @param {*} [rule.default] - The value to use when the cell is empty
+ * @param {boolean} [rule.nullable=true] - If set to false, empty cells without a default are invalid
+ * @param {Array<string>} [rule.values] - The allowed values, for 'enum' columns
+ * @returns {function(string|null): *} A function that converts a cell, and throws if it is invalid
+ * (the error has the 'column', 'value' and 'rule' that failed)
+ */
+function compileColumnRule(column, rule) {
+    const {
+        type = 'string',
+        nullable = true,
+        values = null,
+        ...options
+    } = typeof rule === 'object' && rule !== null ? rule : { type: rule };
+
+    if (typeof type !== 'function' && !TYPES.includes(type))
+        throw new Error(
+            `Invalid type '${type}' for column '${column}': expected a function ` +
+                `or one of ${TYPES.map((t) => `'${t}'`).join(', ')}.`
+        );
+    if (type === 'enum' && !Array.isArray(values))
+        throw new Error(
+            `Invalid rule for column '${column}': ` +
+                `'enum' columns require an array of 'values'.`
+        );
+
+    const hasDefault = Object.prototype.hasOwnProperty.call(options, 'default');
+    const typeName = typeof type === 'function' ? 'custom' : type;
+
+    // Errors carry the failing column, value and rule, for validation reports
+    const createError = (message, value, rule) =>
+        Object.assign(new Error(message), { column, value, rule });
+
+    const convert =
+        typeof type === 'function'
+            ? (value) => type(value, column)
+            : type === 'enum'
+              ? (value) => {
+                    if (!values.includes(value))
+                        throw new Error(
+                            `expected one of ${values
+                                .map((v) => `'${v}'`)
+                                .join(', ')}`
+                        );
+                    return value;
+                }
+              : CONVERTERS[type];
+
+    return (value) => {
+        if (value === null || value === undefined) {
+            if (hasDefault) return options.default;
+            if (nullable) return null;
+            throw createError(
+                `Invalid value for column '${column}': ` +
+                    `empty cell in a non-nullable column.`,
+                null,
+                'nullable'
+            );
+        }
+        try {
+            return convert(value);
+        } catch (err) {
+            throw createError(
+                `Invalid value '${value}' for column '${column}': ` +
+                    `cannot convert to '${typeName}' (${err.message}).`,
+                value,
+                typeName
+            );
+        }
+    };
+}
+
+/**
+ * Compiles a schema definition into a map of column coercion functions.
+ * @param {Object<string, string|Function|Object>} schema
+ * @returns {Map<string, function(string|null): *>}
+ * @example
+ *  const columns = compileSchema({
+ *      age: 'integer',
+ *      price: { type: 'number', default: 0 },
+ *      status: { type: 'enum', values: ['active', 'inactive'], nullable: false },
+ *      tags: (value) => value.split('|'),
+ *  });
+ *  columns.get('age')('42'); // 42
+ */
+function compileSchema(schema) {
+    const columns = new Map();
+    for (const [column, rule] of Object.entries(schema))
+        columns.set(column, compileColumnRule(column, rule));
+    return columns;
+}
+
+/**
+ * Guesses the type of a column from a sample of its values.
+ * @param {Array<string|null>} values
+ * @returns {{ type: string, nullable: boolean }}
+ */
+function inferColumnRule(values) {
+    const cells = values.filter((value) => value !== null && value !== '');
+    const nullable = cells.length < values.length;
+
+    const matches = (test) =>
+        cells.length > 0 &&
+        cells.every((value) => {
+            try {
+                return test(value);
+            } catch {
+                return false;
+            }
+        });
+
+    // Codes with leading zeros (zip codes, IDs, etc.) would lose them as numbers
+    if (cells.some((value) => /^\s*[-+]?0\d/.test(value)))
+        return { type: 'string', nullable };
+
+    // Values like '1' or '2024' are kept as numbers, not booleans or dates
+    let type = 'string';
+    if (
+        matches(
+            (value) =>
+                /^\s*[-+]?\d+\s*$/.test(value) &&
+                CONVERTERS.integer(value) !== null
+        )
+    )
+        type = 'integer';
+    else if (matches((value) => CONVERTERS.number(value) !== null))
+        type = 'number';
+    else if (matches((value) => /^(true|false|yes|no)$/i.test(value.trim())))
+        type = 'boolean';
+    else if (matches((value) => ISO_DATE_PATTERN.test(value.trim())))
+        type = 'date';
+    else if (
+        matches((value) => /^\s*[[{]/.test(value) && JSON.parse(value) !== null)
+    )
+        type = 'json';
+
+    return { type, nullable };
+}
+
+module.exports = { compileSchema, inferColumnRule };
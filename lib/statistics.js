@@ -0,0 +1,398 @@
+const { toIndexKey, compareIndexKeys } = require('./columnIndex');
+
+const NUMBER_PATTERN = /^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/;
+const HYPERLOGLOG_PRECISION = 14;
+const QUANTILE_SKETCH_CAPACITY = 512;
+const EXACT_DISTINCT_LIMIT = 1024;
+const AGGREGATES = ['count', 'sum', 'avg', 'min', 'max'];
+
+/**
+ * Reads a field value as a number: numbers, and strings that hold a number.
+ * @param {*} value
+ * @returns {number|null} The number, or null if the value is not numeric
+ */
+function toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'bigint') return Number(value);
+    if (typeof value === 'string' && NUMBER_PATTERN.test(value))
+        return Number(value);
+    return null;
+}
+
+/**
+ * Hashes a string to 32 bits (FNV-1a, with the MurmurHash3 finalizer to spread the bits)
+ * @param {string} text
+ * @returns {number}
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+/**
+ * Estimates the number of distinct values in a stream, with a HyperLogLog sketch.
+ * Values are counted exactly while there are few of them.
+ *
+ * @class DistinctCounter
+ */
+class DistinctCounter {
+    #registers;
+    #exact;
+
+    constructor() {
+        this.#registers = new Uint8Array(1 << HYPERLOGLOG_PRECISION);
+        this.#exact = new Set();
+    }
+
+    /**
+     * @param {boolean|number|string} key
+     */
+    add(key) {
+        const text = `${typeof key}:${key}`;
+        if (this.#exact) {
+            this.#exact.add(text);
+            if (this.#exact.size > EXACT_DISTINCT_LIMIT) this.#exact = null;
+        }
+
+        const hash = hashString(text);
+        const register = hash >>> (32 - HYPERLOGLOG_PRECISION);
+        const rest = (hash << HYPERLOGLOG_PRECISION) >>> 0;
+        const rank =
+            rest === 0 ? 33 - HYPERLOGLOG_PRECISION : Math.clz32(rest) + 1;
+        if (rank > this.#registers[register]) this.#registers[register] = rank;
+    }
+
+    /**
+     * @returns {number}
+     */
+    get value() {
+        if (this.#exact) return this.#exact.size;
+
+        const m = this.#registers.length;
+        let sum = 0;
+        let zeros = 0;
+        for (const rank of this.#registers) {
+            sum += 2 ** -rank;
+            if (rank === 0) zeros++;
+        }
+        const estimate = ((0.7213 / (1 + 1.079 / m)) * m * m) / sum;
+
+        // Small cardinalities are better estimated by counting empty registers
+        if (estimate <= 2.5 * m && zeros > 0)
+            return Math.round(m * Math.log(m / zeros));
+        return Math.round(estimate);
+    }
+}
+
+/**
+ * Estimates quantiles of a stream of numbers in bounded memory. When a level of
+ * the sketch is full, it is sorted and every other number moves up a level,
+ * where it counts twice (as in the KLL sketch, with fixed-size levels).
+ * The result is exact while there are few numbers.
+ *
+ * @class QuantileSketch
+ */
+class QuantileSketch {
+    #levels;
+    #is_odd;
+
+    constructor() {
+        this.#levels = [[]];
+        this.#is_odd = false;
+    }
+
+    /**
+     * @param {number} x
+     */
+    add(x) {
+        this.#levels[0].push(x);
+        if (this.#levels[0].length >= QUANTILE_SKETCH_CAPACITY)
+            this.#compact(0);
+    }
+
+    /**
+     * Moves every other number of a level to the next one
+     * @param {number} level
+     */
+    #compact(level) {
+        const numbers = this.#levels[level].sort((a, b) => a - b);
+        this.#levels[level + 1] ??= [];
+        const next = this.#levels[level + 1];
+
+        // Alternate the kept half, so the errors of each compaction cancel out
+        this.#is_odd = !this.#is_odd;
+        for (let i = this.#is_odd ? 1 : 0; i < numbers.length; i += 2)
+            next.push(numbers[i]);
+
+        this.#levels[level] = [];
+        if (next.length >= QUANTILE_SKETCH_CAPACITY) this.#compact(level + 1);
+    }
+
+    /**
+     * @param {Array<number>} quantiles - Numbers between 0 and 1
+     * @returns {Array<number|null>} The estimates, in the order of 'quantiles'
+     */
+    query(quantiles) {
+        const items = [];
+        this.#levels.forEach((numbers, level) => {
+            for (const number of numbers) items.push([number, 2 ** level]);
+        });
+        if (!items.length) return quantiles.map(() => null);
+        items.sort((a, b) => a[0] - b[0]);
+
+        const total = items.reduce((sum, [, weight]) => sum + weight, 0);
+        return quantiles.map((p) => {
+            const target = p * total;
+            let cumulative = 0;
+            for (const [number, weight] of items) {
+                cumulative += weight;
+                if (cumulative >= target) return number;
+            }
+            return items[items.length - 1][0];
+        });
+    }
+}
+
+/**
+ * Collects the statistics of the values of a column, one value at a time,
+ * in bounded memory.
+ *
+ * Numeric statistics (mean, standard deviation and quantiles) use the values that
+ * are numbers, or strings holding a number. The minimum and maximum are numeric if
+ * all the values are, and compare the values as text otherwise (dates by their time).
+ *
+ * @class ColumnStatistics
+ *
+ * @constructor
+ * @param {Object} [param0={}]
+ * @param {Array<number>} [param0.quantiles=[0.25, 0.5, 0.75]] - The quantiles to estimate
+ *
+ * @example
+ *  const stats = new ColumnStatistics();
+ *  for (const value of ['3', '1', null, '2']) stats.add(value);
+ *  stats.toJSON(); // { count: 3, nulls: 1, distinct: 3, min: 1, max: 3, mean: 2, ... }
+ */
+class ColumnStatistics {
+    #count;
+    #nulls;
+    #distinct;
+    #numbers;
+    #mean;
+    #squares;
+    #min_number;
+    #max_number;
+    #min;
+    #max;
+    #quantiles;
+    #sketch;
+
+    constructor({ quantiles = [0.25, 0.5, 0.75] } = {}) {
+        if (
+            !Array.isArray(quantiles) ||
+            !quantiles.every((p) => typeof p === 'number' && p >= 0 && p <= 1)
+        )
+            throw new Error(
+                `Invalid quantiles '${quantiles}': expected an array of numbers between 0 and 1.`
+            );
+
+        this.#count = 0;
+        this.#nulls = 0;
+        this.#distinct = new DistinctCounter();
+        this.#numbers = 0;
+        this.#mean = 0;
+        this.#squares = 0;
+        this.#min_number = Infinity;
+        this.#max_number = -Infinity;
+        this.#min = null;
+        this.#max = null;
+        this.#quantiles = quantiles;
+        this.#sketch = new QuantileSketch();
+    }
+
+    /**
+     * Adds a value of the column (the values of duplicate columns are added one by one)
+     * @param {*} value
+     * @returns {ColumnStatistics}
+     */
+    add(value) {
+        if (Array.isArray(value)) {
+            for (const item of value) this.add(item);
+            return this;
+        }
+
+        const key = toIndexKey(value);
+        if (key === null) {
+            this.#nulls++;
+            return this;
+        }
+
+        this.#count++;
+        this.#distinct.add(key);
+
+        if (this.#min === null || compareIndexKeys(key, this.#min.key) < 0)
+            this.#min = { key, value };
+        if (this.#max === null || compareIndexKeys(key, this.#max.key) > 0)
+            this.#max = { key, value };
+
+        const number = value instanceof Date ? null : toNumber(value);
+        if (number === null) return this;
+
+        // Welford's algorithm, for a numerically stable variance
+        this.#numbers++;
+        const delta = number - this.#mean;
+        this.#mean += delta / this.#numbers;
+        this.#squares += delta * (number - this.#mean);
+
+        if (number < this.#min_number) this.#min_number = number;
+        if (number > this.#max_number) this.#max_number = number;
+        this.#sketch.add(number);
+
+        return this;
+    }
+
+    /**
+     * @returns {{ count: number, nulls: number, distinct: number, min: *, max: *,
+     * mean: number|null, std: number|null, quantiles: Object<string, number|null> }}
+     * The statistics ('std' is the sample standard deviation)
+     */
+    toJSON() {
+        const isNumeric = this.#numbers > 0 && this.#numbers === this.#count;
+        const hasNumbers = this.#numbers > 0;
+        const quantiles = this.#sketch.query(this.#quantiles);
+        return {
+            count: this.#count,
+            nulls: this.#nulls,
+            distinct: this.#distinct.value,
+            min: isNumeric ? this.#min_number : (this.#min?.value ?? null),
+            max: isNumeric ? this.#max_number : (this.#max?.value ?? null),
+            mean: hasNumbers ? this.#mean : null,
+            std: hasNumbers
+                ? this.#numbers > 1
+                    ? Math.sqrt(this.#squares / (this.#numbers - 1))
+                    : 0
+                : null,
+            quantiles: Object.fromEntries(
+                this.#quantiles.map((p, i) => [String(p), quantiles[i]])
+            ),
+        };
+    }
+}
+
+/**
+ * Groups the lines of a CSV file by the value of a column, and aggregates each group,
+ * created with <CSVFileParser.groupBy()>. Only the aggregates of each group are kept
+ * in memory, so memory grows with the number of groups, not of lines.
+ *
+ * @class CSVGroupBy
+ *
+ * @constructor
+ * @param {string} column
+ * @param {function(): AsyncIterable<CSVObjectLine>} iterate - Iterates the lines of the file
+ */
+class CSVGroupBy {
+    #column;
+    #iterate;
+
+    constructor(column, iterate) {
+        this.#column = column;
+        this.#iterate = iterate;
+    }
+
+    /**
+     * Reads the file once, and aggregates the lines of each group.
+     * Sums, averages, minimums and maximums use only the numeric values of the columns.
+     * @param {Object} aggregates
+     * @param {boolean} [aggregates.count] - Counts the lines of each group
+     * @param {string|Array<string>} [aggregates.sum] - The columns to sum
+     * @param {string|Array<string>} [aggregates.avg] - The columns to average
+     * @param {string|Array<string>} [aggregates.min] - The columns to find the minimum of
+     * @param {string|Array<string>} [aggregates.max] - The columns to find the maximum of
+     * @returns {Promise<Array<Object>>} One object per group, in the order they appear in
+     * the file, with the group value and an object per aggregate, mapping columns to results
+     * @example
+     *  await csv.groupBy('state').aggregate({ count: true, sum: 'income', avg: ['income', 'age'] });
+     *  // [{ state: 'SP', count: 120, sum: { income: 5400 }, avg: { income: 45, age: 31.5 } }, ...]
+     */
+    async aggregate(aggregates) {
+        const specs = [];
+        for (const [name, columns] of Object.entries(aggregates || {})) {
+            if (!AGGREGATES.includes(name))
+                throw new Error(
+                    `[${this.constructor.name}.aggregate()] ` +
+                        `Invalid aggregate '${name}': expected one of ` +
+                        `${AGGREGATES.map((a) => `'${a}'`).join(', ')}.`
+                );
+            if (name === 'count') continue;
+            for (const column of [].concat(columns))
+                specs.push({ name, column });
+        }
+        const isCounted = Boolean(aggregates?.count);
+
+        const groups = new Map();
+        for await (const line of this.#iterate()) {
+            let value = line.fields[this.#column] ?? null;
+            if (Array.isArray(value)) value = value[0];
+
+            const key = toIndexKey(value);
+            let group = groups.get(key);
+            if (!group) {
+                group = {
+                    value,
+                    count: 0,
+                    values: specs.map(() => ({
+                        count: 0,
+                        sum: 0,
+                        min: null,
+                        max: null,
+                    })),
+                };
+                groups.set(key, group);
+            }
+
+            group.count++;
+            specs.forEach(({ column }, i) => {
+                const field = line.fields[column];
+                for (const item of Array.isArray(field) ? field : [field]) {
+                    const number = toNumber(item);
+                    if (number === null) continue;
+                    const accumulator = group.values[i];
+                    accumulator.count++;
+                    accumulator.sum += number;
+                    if (accumulator.min === null || number < accumulator.min)
+                        accumulator.min = number;
+                    if (accumulator.max === null || number > accumulator.max)
+                        accumulator.max = number;
+                }
+            });
+        }
+
+        return [...groups.values()].map((group) => {
+            const result = { [this.#column]: group.value };
+            if (isCounted) result.count = group.count;
+            specs.forEach(({ name, column }, i) => {
+                const accumulator = group.values[i];
+                result[name] ??= {};
+                result[name][column] =
+                    name === 'avg'
+                        ? accumulator.count
+                            ? accumulator.sum / accumulator.count
+                            : null
+                        : name === 'sum'
+                          ? accumulator.sum
+                          : accumulator[name];
+            });
+            return result;
+        });
+    }
+}
+
+module.exports = { ColumnStatistics, CSVGroupBy, toNumber };
@@ -0,0 +1,223 @@
+const { gaussianMembership } = require('./rangeNormalization');
+const biasedNoiseFloatGenerator = require('./biasedNoiseFloatGenerator');
+const { ColumnStatistics, toNumber } = require('./statistics');
+
+/**
+ * Creates a random number generator that always returns the same sequence
+ * for the same seed (mulberry32)
+ * @param {number} seed - A 32-bit integer
+ * @returns {function(): number} A function returning numbers in [0, 1), like 'Math.random'
+ * @example
+ *  const random = createSeededRandom(42);
+ *  random(); // 0.6011037519201636, on every run
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Column transforms compute a derived value from the value of a column, and are
+ * used with <CSVFileParser.transform()>. A transform is an object with:
+ *  - 'name': the default suffix of the derived field ('<column>_<name>'), unless 'as' is set;
+ *  - 'needsPass': if it must see the values of the column before the first line is transformed;
+ *  - 'observe(value)': called with each value of the column, in that pass;
+ *  - 'finish()': called after that pass;
+ *  - 'apply(value, line)': returns the derived value.
+ * Each transform keeps the state of a single column, so create one per column.
+ */
+
+/**
+ * Creates a transform from the statistics of a column, computing them
+ * in a first pass if some of them are missing
+ * @param {string} name
+ * @param {string|undefined} as
+ * @param {Object<string, number|undefined>} parameters - The known statistics ('mean', 'std', 'min' or 'max')
+ * @param {function(Object<string, number>, number): number} compute - Computes the derived value of a number
+ * @returns {Object} The transform
+ */
+function createStatisticTransform(name, as, parameters, compute) {
+    const values = { ...parameters };
+    const needsPass = Object.values(values).some((value) => value == null);
+    const statistics = needsPass
+        ? new ColumnStatistics({ quantiles: [] })
+        : null;
+
+    return {
+        name,
+        as,
+        needsPass,
+        // Only numbers are observed, so the minimum and the maximum are numeric too
+        observe(value) {
+            const number = toNumber(value);
+            if (number !== null) statistics.add(number);
+        },
+        finish() {
+            const summary = statistics.toJSON();
+            for (const key of Object.keys(values)) values[key] ??= summary[key];
+        },
+        apply(value) {
+            const number = toNumber(value);
+            if (number === null) return null;
+            return compute(values, number);
+        },
+    };
+}
+
+/**
+ * Normalization transforms, for numeric columns. Missing parameters are computed
+ * from the whole column, in a first pass through the file. Non-numeric values become null.
+ */
+const normalize = {
+    /**
+     * The membership of each value in a gaussian centered on the mean: a number between 0 and 1
+     * (see 'gaussianMembership()', in 'lib/rangeNormalization.js')
+     * @param {Object} [param0={}]
+     * @param {number} [param0.mean] - The mean of the column
+     * @param {number} [param0.std] - The standard deviation of the column
+     * @param {string} [param0.as] - The name of the derived field (defaults to '<column>_gaussian')
+     * @returns {Object} The transform
+     */
+    gaussian({ mean, std, as } = {}) {
+        return createStatisticTransform(
+            'gaussian',
+            as,
+            { mean, std },
+            ({ mean, std }, x) =>
+                std ? gaussianMembership(x, mean, std) : null
+        );
+    },
+
+    /**
+     * The position of each value between the minimum and the maximum, from 0 to 1
+     * @param {Object} [param0={}]
+     * @param {number} [param0.min] - The minimum of the column
+     * @param {number} [param0.max] - The maximum of the column
+     * @param {string} [param0.as] - The name of the derived field (defaults to '<column>_minmax')
+     * @returns {Object} The transform
+     */
+    minMax({ min, max, as } = {}) {
+        return createStatisticTransform(
+            'minmax',
+            as,
+            { min, max },
+            ({ min, max }, x) => (max !== min ? (x - min) / (max - min) : null)
+        );
+    },
+
+    /**
+     * The number of standard deviations between each value and the mean
+     * @param {Object} [param0={}]
+     * @param {number} [param0.mean] - The mean of the column
+     * @param {number} [param0.std] - The standard deviation of the column
+     * @param {string} [param0.as] - The name of the derived field (defaults to '<column>_zscore')
+     * @returns {Object} The transform
+     */
+    zScore({ mean, std, as } = {}) {
+        return createStatisticTransform(
+            'zscore',
+            as,
+            { mean, std },
+            ({ mean, std }, x) => (std ? (x - mean) / std : null)
+        );
+    },
+};
+
+/**
+ * Noise transforms, to publish numeric columns without their exact values
+ */
+const noise = {
+    /**
+     * Replaces each value by the mean of a random sample of the column, shifted up or
+     * down by a random percentage (see 'lib/biasedNoiseFloatGenerator.js'). The samples
+     * are drawn from a pool of values of the column, collected in a first pass.
+     * Empty and non-numeric cells stay null.
+     * @param {Object} [param0={}]
+     * @param {number} [param0.sampleSize=10] - The number of values averaged for each line
+     * @param {Array<number>} [param0.range=[0.05, 0.15]] - The lowest and highest noise, as a fraction of the mean
+     * @param {number|null} [param0.seed=null] - A seed for the random numbers, for reproducible results.
+     * Each line gets its own generator, derived from the seed and the line index, so the noise of a line
+     * does not depend on which lines were read before it, or how many times
+     * @param {function(): number|null} [param0.random=null] - A random number generator, shared by every line,
+     * instead of a seed (defaults to 'Math.random', if there is no seed)
+     * @param {number} [param0.poolSize=10000] - The maximum number of values kept from the column
+     * @param {string} [param0.as] - The name of the derived field (defaults to '<column>_noise')
+     * @returns {Object} The transform
+     */
+    biased({
+        sampleSize = 10,
+        range = [0.05, 0.15],
+        seed = null,
+        random = null,
+        poolSize = 10000,
+        as,
+    } = {}) {
+        for (const [name, value] of [
+            ['sample size', sampleSize],
+            ['pool size', poolSize],
+        ])
+            if (!Number.isInteger(value) || value < 1)
+                throw new Error(
+                    `Invalid noise ${name} '${value}': expected an integer, greater than 0.`
+                );
+        if (
+            !Array.isArray(range) ||
+            range.length !== 2 ||
+            !(range[0] >= 0 && range[1] >= range[0])
+        )
+            throw new Error(
+                `Invalid noise range '${range}': expected [min, max], with 0 <= min <= max.`
+            );
+
+        // A uniform sample of the column (reservoir sampling)
+        const pool = [];
+        let count = 0;
+        const poolRandom =
+            random ?? (seed === null ? Math.random : createSeededRandom(seed));
+
+        return {
+            name: 'noise',
+            as,
+            needsPass: true,
+            observe(value) {
+                const number = toNumber(value);
+                if (number === null) return;
+                count++;
+                if (pool.length < poolSize) pool.push(number);
+                else {
+                    const i = Math.floor(poolRandom() * count);
+                    if (i < poolSize) pool[i] = number;
+                }
+            },
+            finish() {
+                if (pool.length < sampleSize)
+                    throw new Error(
+                        `Cannot add noise: the column has ${pool.length} numeric values, ` +
+                            `less than the sample size of ${sampleSize}.`
+                    );
+            },
+            apply(value, line) {
+                if (toNumber(value) === null) return null;
+                return biasedNoiseFloatGenerator(pool, {
+                    sampleSize,
+                    range,
+                    random:
+                        random ??
+                        (seed === null
+                            ? Math.random
+                            : createSeededRandom(
+                                  seed ^ Math.imul(line.index + 1, 0x9e3779b1)
+                              )),
+                });
+            },
+        };
+    },
+};
+
+module.exports = { normalize, noise, createSeededRandom };
@@ -0,0 +1,113 @@
+const fs = require('node:fs');
+const { parentPort, workerData } = require('node:worker_threads');
+const CSVFileParser = require('../lib');
+const { createDecompressedStream } = require('./compression');
+const { CSVRecordSplitter } = CSVFileParser;
+
+/**
+ * Splits a byte range of a CSV file into records, and returns their lengths.
+ * The range must start at a record boundary, or inside a quoted field if 'isInsideQuotes'
+ * is set. The last record is incomplete if the range ends inside a quoted field.
+ * @param {Object} param0
+ * @param {string} param0.filename
+ * @param {number} param0.start - The first byte of the range
+ * @param {number} param0.end - The byte after the last one of the range
+ * @param {string} param0.encoding
+ * @param {Object} param0.dialect - The options for the CSVRecordSplitter
+ * @param {boolean} [param0.isInsideQuotes=false]
+ * @returns {Promise<{ lengths: Float64Array, remainder: number, isInsideQuotes: boolean }>}
+ * The byte lengths of the complete records, the byte length of the text after them,
+ * and if the range ends inside a quoted field
+ */
+async function scanRecords({
+    filename,
+    start,
+    end,
+    encoding,
+    dialect,
+    isInsideQuotes = false,
+}) {
+    const splitter = new CSVRecordSplitter({ ...dialect, isInsideQuotes });
+    const lengths = [];
+
+    const input = fs.createReadStream(filename, {
+        encoding,
+        start,
+        end: end - 1,
+    });
+    for await (const chunk of input)
+        for (const { raw } of splitter.push(chunk))
+            lengths.push(Buffer.byteLength(raw, encoding));
+
+    const isEndInsideQuotes = splitter.isInsideQuotes;
+    const [rest] = splitter.flush();
+
+    return {
+        lengths: Float64Array.from(lengths),
+        remainder: rest ? Buffer.byteLength(rest.raw, encoding) : 0,
+        isInsideQuotes: isEndInsideQuotes,
+    };
+}
+
+/**
+ * Parses a byte range of a CSV file, from a record boundary after the header,
+ * and calls a function with each line.
+ * @param {Object} param0
+ * @param {string} param0.filename
+ * @param {string|null} param0.compression - The compression of the file
+ * @param {Object|null} param0.checkpoint - The closest gzip checkpoint before the range
+ * @param {number} param0.start - The first byte of the range (in the decompressed data, if compressed)
+ * @param {number} param0.end - The byte after the last one of the range
+ * @param {number} param0.index - The line number of the record before the range
+ * @param {Array<string>} param0.header
+ * @param {Object} param0.options - The options for the CSVFileParser
+ * @param {string} param0.source - The source code of the function to call
+ * @returns {Promise<{ results: Array<*>, errors: Array<Object>, errorCount: number }>}
+ * The results of the function for each line, and the validation errors found
+ */
+async function mapRecords({
+    filename,
+    compression,
+    checkpoint,
+    start,
+    end,
+    index,
+    header,
+    options,
+    source,
+}) {
+    const fn = new Function(`return (${source});`)();
+    const parser = new CSVFileParser(filename, options);
+    const results = [];
+
+    const input = compression
+        ? createDecompressedStream(filename, compression, {
+              start,
+              end: end - 1,
+              checkpoints: checkpoint ? [checkpoint] : null,
+          })
+        : fs.createReadStream(filename, { start, end: end - 1 });
+    const lines = input.pipe(
+        parser.createParseStream({ header, index, offset: start })
+    );
+    for await (const line of lines) results.push(await fn(line));
+
+    // Errors are sent as plain objects, as structured cloning drops their properties
+    const errors = parser.errors.map((error) => ({
+        ...error,
+        message: error.message,
+    }));
+
+    return { results, errors, errorCount: parser.errorCount };
+}
+
+const TASKS = { scan: scanRecords, map: mapRecords };
+
+(async function () {
+    const { task, ...data } = workerData;
+    const result = await TASKS[task](data);
+    parentPort.postMessage(
+        result,
+        result.lengths ? [result.lengths.buffer] : []
+    );
+})();
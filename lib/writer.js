@@ -0,0 +1,350 @@
+const fs = require('node:fs');
+const { once } = require('node:events');
+
+const QUOTING_MODES = ['minimal', 'all', 'non-numeric'];
+const LINE_TERMINATORS = ['\n', '\r\n', '\r'];
+
+/**
+ * Converts a value to the text of a CSV cell.
+ * Dates are written in ISO 8601 format, and objects and arrays as JSON.
+ * @param {*} value
+ * @returns {string|null} The cell text, or null for empty cells
+ */
+function formatCSVValue(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'string') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Joins values as a CSV record, quoting and escaping them as needed.
+ * Empty strings are quoted, so they are read back as '' instead of null.
+ * @param {Array<*>} values
+ * @param {Object} [param1={}]
+ * @param {string} [param1.delimiter=',']
+ * @param {string} [param1.quote='"']
+ * @param {string} [param1.escape=quote] - The char used to escape quotes (doubles them, by default)
+ * @param {string} [param1.quoting='minimal'] - When to quote cells: 'minimal' (only when needed),
+ * 'all' (every non-empty cell) or 'non-numeric' (every non-empty cell that is not a number)
+ * @returns {string} The record, without the line terminator
+ * @example
+ *  formatCSVRecord([1, 'Doe, John', 'say "hi"', null]);
+ *  // '1,"Doe, John","say ""hi""",'
+ */
+function formatCSVRecord(
+    values,
+    { delimiter = ',', quote = '"', escape = quote, quoting = 'minimal' } = {}
+) {
+    return values
+        .map((value) => {
+            const text = formatCSVValue(value);
+            if (text === null) return '';
+
+            const isNumeric =
+                typeof value === 'number' || typeof value === 'bigint';
+            const mustQuote =
+                quoting === 'all' ||
+                (quoting === 'non-numeric' && !isNumeric) ||
+                text === '' ||
+                text.includes(delimiter) ||
+                text.includes(quote) ||
+                (escape !== quote && text.includes(escape)) ||
+                /[\r\n]|^\s|\s$/.test(text);
+            if (!mustQuote) return text;
+
+            let escaped = '';
+            for (const char of text)
+                escaped +=
+                    char === quote || (char === escape && escape !== quote)
+                        ? escape + char
+                        : char;
+
+            return quote + escaped + quote;
+        })
+        .join(delimiter);
+}
+
+/**
+ * Converts rows (arrays, objects shaped like 'CSVObjectLine.fields', or CSVObjectLines)
+ * to CSV text. Used by CSVFileWriter and CSVFileWriter.stringify().
+ *
+ * Columns that appear more than once in the header take their values, in order,
+ * from the array in the field of that name, as built by the parser. Values in the
+ * '_unnamed' field are written after the named columns.
+ *
+ * @class CSVRecordFormatter
+ */
+class CSVRecordFormatter {
+    #options;
+    #header;
+    #duplicates;
+    #has_header_row;
+    #is_header_written;
+
+    constructor({
+        delimiter = ',',
+        quote = '"',
+        escape = quote,
+        lineTerminator = '\n',
+        quoting = 'minimal',
+        header = true,
+    } = {}) {
+        this.#options = { delimiter, quote, escape, quoting, lineTerminator };
+        this.#header = null;
+        this.#duplicates = new Set();
+        this.#has_header_row = header !== false;
+        this.#is_header_written = false;
+
+        if (Array.isArray(header)) this.#setHeader(header);
+    }
+
+    get header() {
+        return this.#header;
+    }
+
+    #setHeader(header) {
+        this.#header = header;
+        const seen = new Set();
+        for (const column of header) {
+            if (seen.has(column)) this.#duplicates.add(column);
+            seen.add(column);
+        }
+    }
+
+    /**
+     * Lists the values of an object row, in the order of the header
+     * @param {Object} row
+     * @returns {Array<*>}
+     */
+    #getValues(row) {
+        const used = new Map();
+        const values = this.#header.map((column) => {
+            const value = row[column];
+            if (!this.#duplicates.has(column) || !Array.isArray(value))
+                return value;
+            const i = used.get(column) || 0;
+            used.set(column, i + 1);
+            return value[i];
+        });
+        if (Array.isArray(row._unnamed)) values.push(...row._unnamed);
+        return values;
+    }
+
+    /**
+     * Formats a row as CSV text (preceded by the header, if it is the first row)
+     * @param {Array<*>|Object} row
+     * @returns {string}
+     */
+    format(row) {
+        const { lineTerminator } = this.#options;
+
+        // CSVObjectLine instances are written from their fields
+        if (
+            row &&
+            !Array.isArray(row) &&
+            Array.isArray(row.cells) &&
+            row.fields
+        )
+            row = row.fields;
+
+        let text = '';
+
+        // The header of object rows defaults to the keys of the first one
+        if (!this.#header && !Array.isArray(row))
+            this.#setHeader(
+                Object.keys(row).filter((key) => key !== '_unnamed')
+            );
+
+        if (!this.#is_header_written) {
+            this.#is_header_written = true;
+            if (this.#header && this.#has_header_row)
+                text +=
+                    formatCSVRecord(this.#header, {
+                        ...this.#options,
+                        quoting: 'minimal',
+                    }) + lineTerminator;
+        }
+
+        const values = Array.isArray(row) ? row : this.#getValues(row);
+
+        return text + formatCSVRecord(values, this.#options) + lineTerminator;
+    }
+}
+
+/**
+ * Writes rows as CSV to a file or a writable stream, waiting for the stream
+ * to drain when its buffer is full.
+ *
+ * @class CSVFileWriter
+ *
+ * @constructor
+ * @param {string|import('node:stream').Writable} destination - A file path, or a writable stream
+ * @param {Object} [param1={}]
+ * @param {string} [param1.delimiter=','] - The string separating cells
+ * @param {string} [param1.quote='"'] - The char used to enclose fields
+ * @param {string} [param1.escape=quote] - The char used to escape quotes inside quoted fields.
+ * If not specified, quotes are escaped by doubling them (RFC 4180)
+ * @param {string} [param1.lineTerminator='\n'] - The string ending each record ('\n', '\r\n' or '\r')
+ * @param {string} [param1.quoting='minimal'] - When to quote cells: 'minimal' (only when needed),
+ * 'all' (every non-empty cell) or 'non-numeric' (every non-empty cell that is not a number)
+ * @param {Array<string>|boolean} [param1.header=true] - The header row to write (and the order of the
+ * columns of object rows). If not an array, it is taken from the keys of the first object row.
+ * If set to false, no header row is written.
+ * @param {boolean} [param1.bom=false] - If set to true, writes a byte order mark at the start
+ * @param {string} [param1.encoding='utf-8'] - The encoding of the output ('utf-8', 'latin1' or 'utf16le')
+ *
+ * @example
+ *  const writer = new CSVFileWriter('output.csv', { delimiter: ';', header: csv.header });
+ *  for await (const line of csv.iterator()) {
+ *      await writer.write(line.fields);
+ *  }
+ *  await writer.end();
+ *
+ *  // Or, convert rows to a string:
+ *  CSVFileWriter.stringify([{ id: 1, name: 'Doe, John' }]);
+ *  // 'id,name\n1,"Doe, John"\n'
+ */
+class CSVFileWriter {
+    #stream;
+    #formatter;
+    #encoding;
+    #bom;
+    #is_started;
+    #is_ended;
+
+    constructor(
+        destination,
+        {
+            delimiter = ',',
+            quote = '"',
+            escape = quote,
+            lineTerminator = '\n',
+            quoting = 'minimal',
+            header = true,
+            bom = false,
+            encoding = 'utf-8',
+        } = {}
+    ) {
+        if (!QUOTING_MODES.includes(quoting))
+            throw new Error(
+                `[${this.constructor.name}.constructor()] ` +
+                    `Invalid quoting mode '${quoting}': expected one of ` +
+                    `${QUOTING_MODES.map((m) => `'${m}'`).join(', ')}.`
+            );
+        if (!LINE_TERMINATORS.includes(lineTerminator))
+            throw new Error(
+                `[${this.constructor.name}.constructor()] ` +
+                    `Invalid line terminator ${JSON.stringify(lineTerminator)}: ` +
+                    `expected one of ${LINE_TERMINATORS.map((t) =>
+                        JSON.stringify(t)
+                    ).join(', ')}.`
+            );
+
+        this.#stream =
+            typeof destination === 'string'
+                ? fs.createWriteStream(destination)
+                : destination;
+        this.#formatter = new CSVRecordFormatter({
+            delimiter,
+            quote,
+            escape,
+            lineTerminator,
+            quoting,
+            header,
+        });
+        this.#encoding = encoding;
+        this.#bom = Boolean(bom);
+        this.#is_started = false;
+        this.#is_ended = false;
+    }
+
+    get header() {
+        return this.#formatter.header;
+    }
+
+    /**
+     * Writes text to the stream, waiting for it to drain if its buffer is full
+     * @param {string} text
+     * @returns {Promise<void>}
+     */
+    async #push(text) {
+        if (!this.#stream.write(text, this.#encoding))
+            await once(this.#stream, 'drain');
+    }
+
+    /**
+     * Writes a row. Resolves when the stream is ready to receive more data.
+     * @param {Array<*>|Object|CSVObjectLine} row - An array of values, an object
+     * shaped like 'CSVObjectLine.fields', or a CSVObjectLine
+     * @returns {Promise<CSVFileWriter>}
+     */
+    async write(row) {
+        if (this.#is_ended)
+            throw new Error(
+                `[${this.constructor.name}.write()] ` +
+                    `Cannot write row: the writer was already ended.`
+            );
+
+        let text = '';
+        if (!this.#is_started) {
+            this.#is_started = true;
+            if (this.#bom) text += '\uFEFF';
+        }
+
+        try {
+            text += this.#formatter.format(row);
+        } catch (err) {
+            throw new Error(
+                `[${this.constructor.name}.write()] ${err.message}`
+            );
+        }
+
+        await this.#push(text);
+
+        return this;
+    }
+
+    /**
+     * Writes every row of an iterable (or async iterable, like <CSVFileParser.iterator()>)
+     * @param {Iterable<*>|AsyncIterable<*>} rows
+     * @returns {Promise<CSVFileWriter>}
+     */
+    async writeRows(rows) {
+        for await (const row of rows) await this.write(row);
+        return this;
+    }
+
+    /**
+     * Ends the stream. Resolves when all data was written.
+     * @returns {Promise<CSVFileWriter>}
+     */
+    async end() {
+        if (this.#is_ended) return this;
+        this.#is_ended = true;
+
+        if (!this.#is_started && this.#bom) await this.#push('\uFEFF');
+
+        const finished = once(this.#stream, 'finish');
+        this.#stream.end();
+        await finished;
+
+        return this;
+    }
+
+    /**
+     * Converts rows to a CSV string
+     * @param {Iterable<Array<*>|Object>} rows
+     * @param {Object} [options={}] - The same options of the constructor (except 'encoding')
+     * @returns {string}
+     */
+    static stringify(rows, { bom = false, ...options } = {}) {
+        const formatter = new CSVRecordFormatter(options);
+        let text = bom ? '\uFEFF' : '';
+        for (const row of rows) text += formatter.format(row);
+        return text;
+    }
+}
+
+module.exports = { CSVFileWriter, formatCSVRecord };
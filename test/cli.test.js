@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { createTemporaryDirectory } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'bin', 'node-csv.js');
+
+function run(args, input = '') {
+    return spawnSync(process.execPath, [CLI, ...args], {
+        input,
+        encoding: 'utf-8',
+    });
+}
+
+const { writeTemporary } = createTemporaryDirectory('cli');
+
+const MALFORMED = 'a,b\n1,2\n3\n4,5\n';
+
+test('count reports malformed lines of files, as of the standard input', () => {
+    const file = writeTemporary(MALFORMED);
+    for (const args of [['count', file], ['count']]) {
+        const result = run(args, MALFORMED);
+        assert.strictEqual(result.status, 65);
+        assert.strictEqual(result.stdout, '3\n');
+        assert.match(result.stderr, /found 1 malformed line/);
+    }
+});
+
+test('count stops on the first malformed line in strict mode', () => {
+    const file = writeTemporary(MALFORMED);
+    const result = run(['count', file, '--validation', 'strict']);
+    assert.strictEqual(result.status, 65);
+    assert.strictEqual(result.stdout, '');
+    assert.match(result.stderr, /Line 2 .*expected 2 cells, found 1/);
+});
+
+test('count leaves malformed lines out in skip mode', () => {
+    const file = writeTemporary(MALFORMED);
+    const result = run(['count', file, '--validation', 'skip']);
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(result.stdout, '2\n');
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const CSVFileParser = require('..');
+const { createTemporaryDirectory } = require('./helpers');
+
+const { writeTemporary } = createTemporaryDirectory('column-index');
+
+function createNames(count) {
+    let text = 'id,name\n';
+    for (let i = 1; i <= count; i++)
+        text += `${i},n${String(i).padStart(6, '0')}\n`;
+    return text;
+}
+
+async function openIndexed(file, options = {}) {
+    const csv = new CSVFileParser(file, { ...options, open: true });
+    await csv.buildIndex();
+    await csv.createColumnIndex('name', { sidecar: true });
+    return csv;
+}
+
+test('finds lines by the values of an indexed column', async () => {
+    const file = writeTemporary(createNames(100));
+    const csv = await openIndexed(file);
+    const lines = await csv.findBy('name', 'n000042');
+    assert.deepStrictEqual(
+        lines.map((line) => line.index),
+        [42]
+    );
+    csv.close();
+
+    // The saved column index is loaded, as the file did not change
+    const reopened = await openIndexed(file);
+    assert.strictEqual((await reopened.findBy('name', 'n000042'))[0].index, 42);
+    reopened.close();
+});
+
+test('rejects a saved column index when a change in the middle keeps the size', async () => {
+    const file = writeTemporary(createNames(20000));
+    (await openIndexed(file)).close();
+
+    fs.writeFileSync(
+        file,
+        fs.readFileSync(file, 'utf-8').replace('n010000', 'n0X0000')
+    );
+    const time = new Date(Date.now() + 10000);
+    fs.utimesSync(file, time, time);
+
+    const reopened = await openIndexed(file);
+    assert.deepStrictEqual(await reopened.findBy('name', 'n010000'), []);
+    const [line] = await reopened.findBy('name', 'n0X0000');
+    assert.strictEqual(line.index, 10000);
+    reopened.close();
+});
+
+test('rejects a saved column index built with other header options', async () => {
+    const file = writeTemporary('a,b\n1,x\n2,y\n');
+    const csv = new CSVFileParser(file, {
+        open: true,
+        rename: { a: 'b', b: 'a' },
+    });
+    await csv.buildIndex();
+    await csv.createColumnIndex('a', { sidecar: true });
+    assert.strictEqual((await csv.findBy('a', 'x'))[0].fields.b, '1');
+    csv.close();
+
+    const reopened = new CSVFileParser(file, { open: true });
+    await reopened.buildIndex();
+    await reopened.createColumnIndex('a', { sidecar: true });
+    assert.deepStrictEqual(await reopened.findBy('a', 'x'), []);
+    assert.strictEqual((await reopened.findBy('a', '1'))[0].fields.b, 'x');
+    reopened.close();
+});
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+const CSVFileParser = require('..');
+const { createTemporaryDirectory, collect } = require('./helpers');
+
+const { writeTemporary } = createTemporaryDirectory('compression');
+
+// Text that compresses into several deflate blocks, with quoted line breaks and UTF-8 names
+function createText(count) {
+    let text = 'id,name,note\n';
+    let state = 11;
+    for (let i = 1; i <= count; i++) {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        text += `${i},João ${state.toString(36)},"${i % 7 ? 'n' : 'a\nb'}${state % 1000}"\n`;
+    }
+    return text;
+}
+
+const text = createText(20000);
+const plain = writeTemporary(text);
+
+async function openIndexed(file, options = {}) {
+    const csv = new CSVFileParser(file, options);
+    await csv.open();
+    await csv.buildIndex();
+    return csv;
+}
+
+async function assertSameLines(csv, expected) {
+    assert.strictEqual(csv.lines, expected.lines);
+    for (const index of [1, 2, 6999, 7000, 13331, 19999, 20000])
+        assert.deepStrictEqual(
+            (await csv.getLine(index)).cells,
+            (await expected.getLine(index)).cells,
+            `line ${index}`
+        );
+    const lines = await csv.getLines(9990, 30);
+    assert.deepStrictEqual(
+        lines.map((line) => line.cells),
+        (await expected.getLines(9990, 30)).map((line) => line.cells)
+    );
+}
+
+test('indexes a gzip file, and reads its lines as the plain file, with any checkpoint interval', async () => {
+    const expected = await openIndexed(plain);
+    const file = writeTemporary(zlib.gzipSync(text), 'data.csv.gz');
+    for (const checkpointInterval of [1, 4096, 65536, 1024 * 1024 * 16]) {
+        const csv = await openIndexed(file, { checkpointInterval });
+        assert.strictEqual(csv.compression, 'gzip');
+        await assertSameLines(csv, expected);
+        csv.close();
+    }
+    expected.close();
+});
+
+test('reads a gzip file with several members', async () => {
+    const expected = await openIndexed(plain);
+    const middle = text.indexOf('\n', text.length / 2) + 1;
+    const file = writeTemporary(
+        Buffer.concat([
+            zlib.gzipSync(text.slice(0, middle)),
+            zlib.gzipSync(text.slice(middle)),
+        ]),
+        'members.csv.gz'
+    );
+    const csv = await openIndexed(file, { checkpointInterval: 4096 });
+    await assertSameLines(csv, expected);
+    assert.strictEqual((await collect(csv.iterator())).length, 20000);
+    csv.close();
+    expected.close();
+});
+
+test(
+    'rejects a truncated or corrupt gzip file, without hanging',
+    { timeout: 20000 },
+    async () => {
+        const compressed = zlib.gzipSync(text);
+        const corrupt = Buffer.from(compressed);
+        // Past the head of the file read by open(), so the error comes from the index and the lines
+        const position = Math.floor(corrupt.length * 0.6);
+        corrupt.fill(0xff, position, position + 100);
+        const files = [
+            [
+                writeTemporary(
+                    compressed.subarray(0, compressed.length / 2),
+                    'truncated.csv.gz'
+                ),
+                /unexpected end of file/,
+            ],
+            [writeTemporary(corrupt, 'corrupt.csv.gz'), /invalid|incorrect/],
+        ];
+        for (const [file, message] of files) {
+            const csv = new CSVFileParser(file);
+            await csv.open();
+            await assert.rejects(csv.buildIndex(), message);
+            await assert.rejects(collect(csv.iterator()), message);
+            csv.close();
+        }
+    }
+);
+
+test('reads and indexes a brotli file', async () => {
+    const expected = await openIndexed(plain);
+    const file = writeTemporary(zlib.brotliCompressSync(text), 'data.csv.br');
+    const csv = await openIndexed(file);
+    assert.strictEqual(csv.compression, 'brotli');
+    await assertSameLines(csv, expected);
+    const lines = await collect(csv.iterator());
+    assert.strictEqual(lines.length, 20000);
+    assert.strictEqual(
+        lines[6].fields.note,
+        `a\nb${lines[6].fields.note.slice(3)}`
+    );
+    csv.close();
+    expected.close();
+});
@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CSVFileParser = require('..');
+const { createTemporaryDirectory, collect } = require('./helpers');
+
+const { writeTemporary, openTemporary } = createTemporaryDirectory('dialect');
+
+async function readFields(csv) {
+    await csv.buildIndex();
+    const lines = await collect(csv.iterator());
+    return lines.map(({ fields: { _unnamed, ...fields } }) => fields);
+}
+
+test('sniffs the dialect of a file, and reads it with the sniffed options', async () => {
+    for (const [text, dialect, fields] of [
+        [
+            'name;city;note\r\nAna;"São Paulo";"a;b"\r\nBob;Rio;"x ""y"""\r\n',
+            {
+                delimiter: ';',
+                quote: '"',
+                lineTerminator: '\r\n',
+                header: true,
+            },
+            [
+                { name: 'Ana', city: 'São Paulo', note: 'a;b' },
+                { name: 'Bob', city: 'Rio', note: 'x "y"' },
+            ],
+        ],
+        [
+            'a\tb\tc\n1\t2\t3\n4\t5\t6\n',
+            { delimiter: '\t', lineTerminator: '\n', header: true },
+            [
+                { a: '1', b: '2', c: '3' },
+                { a: '4', b: '5', c: '6' },
+            ],
+        ],
+        [
+            'a|b\n1|2\n3|4\n',
+            { delimiter: '|', header: true },
+            [
+                { a: '1', b: '2' },
+                { a: '3', b: '4' },
+            ],
+        ],
+        [
+            '1,2,3\n4,5,6\n7,8,9\n',
+            { delimiter: ',', header: false },
+            [
+                { 0: '1', 1: '2', 2: '3' },
+                { 0: '4', 1: '5', 2: '6' },
+                { 0: '7', 1: '8', 2: '9' },
+            ],
+        ],
+        [
+            "id,text\n1,'it\\'s, ok'\n2,'plain'\n",
+            { quote: "'", escape: '\\' },
+            [
+                { id: '1', text: "it's, ok" },
+                { id: '2', text: 'plain' },
+            ],
+        ],
+    ]) {
+        const file = writeTemporary(text);
+        const sniffed = await CSVFileParser.sniff(file);
+        for (const [option, value] of Object.entries(dialect))
+            assert.strictEqual(sniffed[option], value, `${option} of ${text}`);
+
+        const csv = new CSVFileParser(file, { ...sniffed, open: true });
+        assert.deepStrictEqual(await readFields(csv), fields);
+        csv.close();
+    }
+});
+
+test('detects the line terminator when opening a file', async () => {
+    const csv = await openTemporary('a,b\r\n1,2\r\n3,4\r\n');
+    assert.strictEqual(csv.dialect.lineTerminator, '\r\n');
+    assert.deepStrictEqual(await readFields(csv), [
+        { a: '1', b: '2' },
+        { a: '3', b: '4' },
+    ]);
+    csv.close();
+});
+
+test('reads files with the given dialect options', async () => {
+    const csv = await openTemporary("'a';'b'\r'1';'x;y'\r'2';'it\\'s'\r", {
+        delimiter: ';',
+        quote: "'",
+        escape: '\\',
+        lineTerminator: '\r',
+    });
+    assert.deepStrictEqual(await readFields(csv), [
+        { a: '1', b: 'x;y' },
+        { a: '2', b: "it's" },
+    ]);
+    csv.close();
+
+    const headless = await openTemporary('1,2\n3,4\n', { header: false });
+    assert.deepStrictEqual(await readFields(headless), [
+        { 0: '1', 1: '2' },
+        { 0: '3', 1: '4' },
+    ]);
+    headless.close();
+});
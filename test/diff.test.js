@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CSVFileParser = require('..');
+const { createTemporaryDirectory, collect } = require('./helpers');
+
+const { openTemporary } = createTemporaryDirectory('diff');
+
+test('diff reports a change of columns once, and compares the shared columns', async () => {
+    const a = await openTemporary('id,name,email\n1,Ann,a@x\n2,Bob,b@x\n');
+    const b = await openTemporary('id,name,phone\n1,Ann,555\n2,Rob,556\n');
+    const differences = [];
+    for await (const {
+        type,
+        key,
+        changes,
+        added,
+        removed,
+    } of CSVFileParser.diff(a, b, { key: 'id' }))
+        differences.push({ type, key, changes, added, removed });
+    assert.deepStrictEqual(differences, [
+        {
+            type: 'columns',
+            key: null,
+            changes: [],
+            added: ['phone'],
+            removed: ['email'],
+        },
+        {
+            type: 'changed',
+            key: '2',
+            changes: [{ column: 'name', before: 'Bob', after: 'Rob' }],
+            added: undefined,
+            removed: undefined,
+        },
+    ]);
+    await a.close();
+    await b.close();
+});
+
+test('diff matches the lines of a repeated key in the order of the files', async () => {
+    const a = await openTemporary('id,n\n1,a\n2,b\n1,c\n1,d\n');
+    const b = await openTemporary('id,n\n1,a\n1,x\n2,b\n');
+    const differences = await collect(CSVFileParser.diff(a, b, { key: 'id' }));
+    assert.deepStrictEqual(
+        differences.map(({ type, before, after }) => [
+            type,
+            before?.index ?? null,
+            after?.index ?? null,
+        ]),
+        [
+            ['changed', 3, 2],
+            ['removed', 4, null],
+        ]
+    );
+    await a.close();
+    await b.close();
+});
+
+test(
+    'diff reads lines with the same key in linear time',
+    { timeout: 20000 },
+    async () => {
+        const text = 'id,n\n' + '1,a\n'.repeat(40000);
+        const a = await openTemporary(text);
+        const b = await openTemporary(text + '1,b\n');
+        const differences = await collect(
+            CSVFileParser.diff(a, b, { key: 'id' })
+        );
+        assert.deepStrictEqual(
+            differences.map(({ type, after }) => [type, after.index]),
+            [['added', 40001]]
+        );
+        await a.close();
+        await b.close();
+    }
+);
@@ -0,0 +1,18 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createTemporaryDirectory } = require('./helpers');
+
+const { openTemporary } = createTemporaryDirectory('edit');
+
+test('rejects edits of a file with only its first lines indexed', async () => {
+    const csv = await openTemporary('a,b\n1,2\n3,4\n5,6\n');
+    await csv.buildIndex({ max: 2 });
+    await assert.rejects(csv.updateLine(1, { a: '7' }), {
+        message: /only the first lines are indexed/,
+    });
+    await csv.buildIndex();
+    await csv.updateLine(1, { a: '7' });
+    await csv.commit();
+    assert.strictEqual((await csv.getLine(1)).fields.a, '7');
+    await csv.close();
+});
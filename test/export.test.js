@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const CSVFileParser = require('..');
+const { createTemporaryDirectory } = require('./helpers');
+
+const { dir, writeTemporary, openTemporary } =
+    createTemporaryDirectory('export');
+
+test('JSON.stringify does not export the lines of a parser', async () => {
+    const csv = await openTemporary('a,b\n1,2\n');
+    assert.strictEqual(csv.toJSON, undefined);
+    assert.doesNotThrow(() => JSON.stringify({ csv }));
+    await csv.close();
+});
+
+test('exportJSON indents objects and their properties by the same space', async () => {
+    const csv = await openTemporary('a,b\n1,2\n3,4\n');
+    const output = path.join(dir, 'output.json');
+    assert.strictEqual(await csv.exportJSON(output, { space: 4 }), 2);
+    const text = fs.readFileSync(output, 'utf-8');
+    assert.strictEqual(
+        text,
+        '[\n' +
+            '    {\n        "a": "1",\n        "b": "2"\n    },\n' +
+            '    {\n        "a": "3",\n        "b": "4"\n    }\n' +
+            ']\n'
+    );
+    assert.deepStrictEqual(JSON.parse(text), [
+        { a: '1', b: '2' },
+        { a: '3', b: '4' },
+    ]);
+    await csv.close();
+});
+
+test('fromJSON rejects empty items, including after a trailing comma', async () => {
+    const destination = path.join(dir, 'imported.csv');
+    for (const text of ['[{"a":1},]', '[,]', '[{"a":1},,{"a":2}]'])
+        await assert.rejects(
+            CSVFileParser.fromJSON(
+                writeTemporary(text, 'data.json'),
+                destination
+            ),
+            { message: /empty array item/ }
+        );
+    assert.strictEqual(
+        await CSVFileParser.fromJSON(
+            writeTemporary('[{"a":1}, {"a":2}]', 'data.json'),
+            destination
+        ),
+        2
+    );
+    assert.strictEqual(fs.readFileSync(destination, 'utf-8'), 'a\n1\n2\n');
+});
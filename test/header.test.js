@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { nameEmptyColumns } = require('../lib/header');
+const { createTemporaryDirectory, collect } = require('./helpers');
+
+const { openTemporary } = createTemporaryDirectory('header');
+
+test('names the columns with an empty header by their position', async () => {
+    const csv = await openTemporary(',a,,b\n1,2,3,4\n5,6,7,8,9\n');
+    await csv.buildIndex();
+    const lines = await collect(csv.iterator());
+    assert.deepStrictEqual(
+        lines.map((line) => line.fields),
+        [
+            { _unnamed: [], 0: '1', a: '2', 2: '3', b: '4' },
+            { _unnamed: ['9'], 0: '5', a: '6', 2: '7', b: '8' },
+        ]
+    );
+    assert.deepStrictEqual(await csv.query().select(['0', '2']).toArray(), [
+        { 0: '1', 2: '3' },
+        { 0: '5', 2: '7' },
+    ]);
+    await csv.close();
+});
+
+test('names empty columns apart from the columns named by a position', () => {
+    assert.deepStrictEqual(nameEmptyColumns(['id', null, '1', null]), [
+        'id',
+        '1_1',
+        '1',
+        '3',
+    ]);
+});
+
+test('renames the columns after suffixing repeated names', async () => {
+    const csv = await openTemporary('age,age,name\n1,2,a\n', {
+        dedupe: 'suffix',
+        rename: { age_1: 'age2', name: 'first_name' },
+    });
+    await csv.buildIndex();
+    assert.deepStrictEqual((await csv.getLine(1)).fields, {
+        _unnamed: [],
+        age: '1',
+        age2: '2',
+        first_name: 'a',
+    });
+    csv.close();
+});
@@ -0,0 +1,44 @@
+const { after } = require('node:test');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const CSVFileParser = require('..');
+
+/**
+ * Creates a temporary directory for the files of a test file, removed after its tests
+ * @param {string} name - A name for the directory, after 'node-csv-'
+ * @returns {{ dir: string, writeTemporary: function(string|Buffer, string=): string, openTemporary: function(string, Object=, string=): Promise<CSVFileParser> }}
+ * 'writeTemporary(text, [filename])' writes a file (with a new name, by default) and returns its path,
+ * and 'openTemporary(text, [options], [filename])' writes a file and opens a CSVFileParser of it
+ */
+function createTemporaryDirectory(name) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `node-csv-${name}-`));
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    let count = 0;
+    const writeTemporary = (text, filename = `data-${++count}.csv`) => {
+        const file = path.join(dir, filename);
+        fs.writeFileSync(file, text);
+        return file;
+    };
+    const openTemporary = async (text, options = {}, filename) => {
+        const csv = new CSVFileParser(writeTemporary(text, filename), options);
+        await csv.open();
+        return csv;
+    };
+
+    return { dir, writeTemporary, openTemporary };
+}
+
+/**
+ * Reads every line of a file, or of a query
+ * @param {AsyncIterable<*>} lines
+ * @returns {Promise<Array<*>>}
+ */
+async function collect(lines) {
+    const result = [];
+    for await (const line of lines) result.push(line);
+    return result;
+}
+
+module.exports = { createTemporaryDirectory, collect };
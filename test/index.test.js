@@ -0,0 +1,151 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const CSVFileParser = require('..');
+const { createTemporaryDirectory } = require('./helpers');
+
+const { writeTemporary } = createTemporaryDirectory('index');
+
+function createLines(count) {
+    let text = 'id,value\n';
+    for (let i = 1; i <= count; i++) text += `${i},v\n`;
+    return text;
+}
+
+test('rejects a saved index when a change in the middle keeps the size', async () => {
+    const file = writeTemporary(createLines(50000));
+    const csv = new CSVFileParser(file, { open: true });
+    await csv.buildIndex();
+    await csv.saveIndex();
+    csv.close();
+
+    const text = fs
+        .readFileSync(file, 'utf-8')
+        .replace('\n20000,v\n20001,v\n', '\n20000,vv\n20001,\n');
+    fs.writeFileSync(file, text);
+    const time = new Date(Date.now() + 10000);
+    fs.utimesSync(file, time, time);
+
+    const reopened = new CSVFileParser(file, { open: true });
+    assert.strictEqual(await reopened.loadIndex(), false);
+    await reopened.buildIndex();
+    assert.deepStrictEqual((await reopened.getLine(20002)).fields, {
+        _unnamed: [],
+        id: '20002',
+        value: 'v',
+    });
+    reopened.close();
+});
+
+test('loads a saved index of a file that was only touched', async () => {
+    const file = writeTemporary(createLines(1000));
+    const csv = new CSVFileParser(file, { open: true });
+    await csv.buildIndex();
+    await csv.saveIndex();
+    csv.close();
+
+    const time = new Date(Date.now() + 10000);
+    fs.utimesSync(file, time, time);
+
+    const reopened = new CSVFileParser(file, { open: true });
+    assert.strictEqual(await reopened.loadIndex(), true);
+    assert.strictEqual(reopened.lines, 1000);
+    reopened.close();
+});
+
+test('indexes the records appended after a saved index', async () => {
+    const file = writeTemporary(createLines(100));
+    const csv = new CSVFileParser(file, { open: true });
+    await csv.buildIndex();
+    await csv.saveIndex();
+    csv.close();
+
+    fs.appendFileSync(file, '101,w\n102,w\n');
+
+    const reopened = new CSVFileParser(file, { open: true });
+    assert.strictEqual(await reopened.loadIndex(), true);
+    assert.strictEqual(reopened.lines, 102);
+    assert.strictEqual((await reopened.getLine(102)).fields.id, '102');
+    reopened.close();
+});
+
+test('rejects a saved index of the first lines of a file', async () => {
+    const file = writeTemporary(createLines(50000));
+    const csv = new CSVFileParser(file, { open: true });
+    await csv.buildIndex({ max: 10 });
+    assert.strictEqual(csv.lines, 10);
+    await csv.saveIndex();
+    csv.close();
+
+    const reopened = new CSVFileParser(file, { open: true });
+    assert.strictEqual(await reopened.loadIndex(), false);
+    reopened.close();
+});
+
+test('ignores the sidecar index when building the index of the first lines', async () => {
+    const file = writeTemporary(createLines(1000));
+    const csv = new CSVFileParser(file, { open: true });
+    await csv.buildIndex({ sidecar: true });
+    assert.strictEqual(csv.lines, 1000);
+
+    await csv.buildIndex({ max: 10, sidecar: true });
+    assert.strictEqual(csv.lines, 10);
+    csv.close();
+
+    // The saved index is still the index of the whole file
+    const reopened = new CSVFileParser(file, { open: true });
+    assert.strictEqual(await reopened.loadIndex(), true);
+    assert.strictEqual(reopened.lines, 1000);
+    reopened.close();
+});
+
+test('indexes the records appended after a saved index without records', async () => {
+    for (const [text, appended, header, lines] of [
+        ['id,value\n', '1,a\n2,b\n', true, 2],
+        ['id,value', '\n1,a\n2,b\n', true, 2],
+        ['', 'id,value\n1,a\n2,b\n', true, 2],
+        ['', 'id,value\n1,a\n2,b\n', false, 3],
+    ]) {
+        const file = writeTemporary(text);
+        const csv = new CSVFileParser(file, { open: true, header });
+        await csv.buildIndex();
+        assert.strictEqual(csv.lines, 0);
+        await csv.saveIndex();
+        csv.close();
+
+        fs.appendFileSync(file, appended);
+
+        const reopened = new CSVFileParser(file, { open: true, header });
+        assert.strictEqual(await reopened.loadIndex(), true);
+        assert.strictEqual(reopened.lines, lines);
+        assert.deepStrictEqual((await reopened.getLine(lines)).cells, [
+            '2',
+            'b',
+        ]);
+        assert.strictEqual(reopened.columns, 2);
+        reopened.close();
+    }
+});
+
+test('saves the sidecar index again after indexing the appended records', async () => {
+    const file = writeTemporary(createLines(100));
+    const readSavedSize = () => {
+        const data = fs.readFileSync(`${file}.csvidx`);
+        const metadata = JSON.parse(
+            data.toString('utf-8', 12, 12 + data.readUInt32LE(8))
+        );
+        return metadata.fingerprint.size;
+    };
+
+    const csv = new CSVFileParser(file, { open: true });
+    await csv.buildIndex({ sidecar: true });
+    csv.close();
+
+    fs.appendFileSync(file, '101,w\n');
+
+    const reopened = new CSVFileParser(file, { open: true });
+    await reopened.buildIndex({ sidecar: true });
+    assert.strictEqual(reopened.lines, 101);
+    assert.strictEqual(readSavedSize(), fs.statSync(file).size);
+    reopened.close();
+});
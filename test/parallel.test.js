@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CSVFileParser = require('..');
+const { createTemporaryDirectory } = require('./helpers');
+
+const { writeTemporary } = createTemporaryDirectory('parallel');
+
+// Most bytes are inside quoted fields with line breaks, which hold text that looks like records,
+// so the chunks of the workers start inside quoted fields
+function createQuotedLines(count) {
+    const padding = 'y'.repeat(1000);
+    let text = 'id,note\n';
+    for (let i = 1; i <= count; i++)
+        text += `${i},"${padding}\n${i + 1},"",fake""\nlast"\n`;
+    return text;
+}
+
+test('indexes a file in parallel as sequentially, with chunks inside quoted fields', async () => {
+    const file = writeTemporary(createQuotedLines(5000));
+    const sequential = new CSVFileParser(file, { open: true });
+    await sequential.buildIndex();
+    const parallel = new CSVFileParser(file, { open: true });
+    await parallel.buildIndex({ workers: 4 });
+
+    assert.strictEqual(parallel.lines, 5000);
+    assert.strictEqual(parallel.lines, sequential.lines);
+    assert.strictEqual(parallel.size, sequential.size);
+    for (const index of [1, 1249, 1250, 1251, 2500, 3750, 4999, 5000]) {
+        const line = await parallel.getLine(index);
+        assert.deepStrictEqual(
+            line.cells,
+            (await sequential.getLine(index)).cells
+        );
+        assert.strictEqual(line.fields.id, String(index));
+    }
+    sequential.close();
+    parallel.close();
+});
+
+test('maps the lines in worker threads, in the order of the file', async () => {
+    const file = writeTemporary(createQuotedLines(5000));
+    const csv = new CSVFileParser(file, { open: true });
+    await csv.buildIndex({ workers: 4 });
+    const ids = await csv.parallelMap((line) => Number(line.fields.id) * 2, {
+        workers: 4,
+    });
+    assert.strictEqual(ids.length, 5000);
+    assert.ok(ids.every((id, i) => id === (i + 1) * 2));
+    csv.close();
+});
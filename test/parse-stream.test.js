@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('node:stream');
+const { pipeline } = require('node:stream/promises');
+const CSVFileParser = require('..');
+const { collect } = require('./helpers');
+
+const TEXT =
+    'id,name,note\r\n1,Zoë,"a, ""b"""\r\n2,Ana,"line\r\nbreak"\r\n3,✓,\r\n';
+
+function fields(lines) {
+    return lines.map(({ fields: { _unnamed, ...fields } }) => fields);
+}
+
+test('parses text split at any byte, as the file parser does', async () => {
+    const bytes = Buffer.from(TEXT);
+    const chunks = [...bytes].map((byte) => Buffer.from([byte]));
+    const stream = CSVFileParser.createParseStream({ lineTerminator: '\r\n' });
+    let header = null;
+    stream.on('header', (names) => (header = names));
+
+    const lines = await collect(Readable.from(chunks).pipe(stream));
+    assert.deepStrictEqual(header, ['id', 'name', 'note']);
+    assert.deepStrictEqual(
+        lines.map((line) => line.index),
+        [1, 2, 3]
+    );
+    assert.deepStrictEqual(fields(lines), [
+        { id: '1', name: 'Zoë', note: 'a, "b"' },
+        { id: '2', name: 'Ana', note: 'line\r\nbreak' },
+        { id: '3', name: '✓', note: null },
+    ]);
+});
+
+test('emits an error for malformed records in strict validation mode', async () => {
+    const stream = CSVFileParser.createParseStream({ validation: 'strict' });
+    await assert.rejects(
+        pipeline(Readable.from(['a,b\n1,2\n3\n']), stream, async (lines) => {
+            for await (const line of lines);
+        }),
+        { message: /expected 2 cells, found 1/ }
+    );
+});
+
+test('stops transforming text while its lines are not read', async () => {
+    const stream = CSVFileParser.createParseStream();
+    const padding = 'x'.repeat(1000);
+    stream.write('id,padding\n');
+    let isFull = false;
+    for (let i = 1; i <= 100; i++)
+        isFull = !stream.write(`${i},${padding}\n`) || isFull;
+    stream.end();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.ok(isFull);
+    assert.ok(stream.readableLength <= stream.readableHighWaterMark);
+    assert.ok(stream.writableLength > 0);
+
+    const lines = await collect(stream);
+    assert.strictEqual(lines.length, 100);
+    assert.strictEqual(lines[99].fields.id, '100');
+});
@@ -0,0 +1,132 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { createTemporaryDirectory, collect } = require('./helpers');
+
+const { dir, openTemporary } = createTemporaryDirectory('query');
+
+const PEOPLE =
+    'name,state,age\n' +
+    'Ana,SP,31\nBob,RJ,17\nCid,SP,45\nDan,MG,\nEva,SP,17\nFlo,RJ,52\n';
+
+async function openPeople() {
+    const csv = await openTemporary(PEOPLE, { schema: { age: 'integer' } });
+    await csv.buildIndex();
+    return csv;
+}
+
+test('filters, sorts, projects and limits the lines', async () => {
+    const csv = await openPeople();
+    assert.deepStrictEqual(
+        await csv
+            .query()
+            .where({ state: 'SP' })
+            .where((line) => line.fields.age >= 18)
+            .select(['name', 'age'])
+            .orderBy('age', 'desc')
+            .toArray(),
+        [
+            { name: 'Cid', age: 45 },
+            { name: 'Ana', age: 31 },
+        ]
+    );
+    assert.deepStrictEqual(
+        await csv
+            .query()
+            .where({ state: (state) => state !== 'MG' })
+            .orderBy('age')
+            .orderBy('name', 'desc')
+            .offset(1)
+            .limit(3)
+            .select(['name'])
+            .toArray(),
+        [{ name: 'Bob' }, { name: 'Ana' }, { name: 'Cid' }]
+    );
+    // Empty values are sorted last, in both directions
+    const names = async (direction) =>
+        (
+            await csv
+                .query()
+                .orderBy('age', direction)
+                .select(['name'])
+                .toArray()
+        ).map(({ name }) => name);
+    assert.deepStrictEqual(await names('asc'), [
+        'Bob',
+        'Eva',
+        'Ana',
+        'Cid',
+        'Flo',
+        'Dan',
+    ]);
+    assert.deepStrictEqual(await names('desc'), [
+        'Flo',
+        'Cid',
+        'Ana',
+        'Bob',
+        'Eva',
+        'Dan',
+    ]);
+    csv.close();
+});
+
+test('finds the lines of indexed columns as without an index', async () => {
+    const csv = await openPeople();
+    const query = () =>
+        csv.query().where({ state: 'RJ' }).range(2).select(['name']).toArray();
+    const expected = await query();
+    await csv.createColumnIndex('state');
+    assert.deepStrictEqual(await query(), expected);
+    assert.deepStrictEqual(expected, [{ name: 'Bob' }, { name: 'Flo' }]);
+    csv.close();
+});
+
+test('sorts more lines than the sort buffer in runs spilled to temporary files', async () => {
+    const count = 1000;
+    let text = 'id,group\n';
+    for (let i = 1; i <= count; i++) text += `${i},${(i * 7919) % 13}\n`;
+    const csv = await openTemporary(text, { schema: { group: 'integer' } });
+    await csv.buildIndex();
+
+    const tmpdir = path.join(dir, 'sort');
+    fs.mkdirSync(tmpdir);
+    const spills = () => fs.readdirSync(tmpdir);
+
+    const lines = [];
+    let runs = 0;
+    for await (const line of csv
+        .query({ sortBufferSize: 64, tmpdir })
+        .orderBy('group')) {
+        if (!lines.length)
+            runs = fs.readdirSync(path.join(tmpdir, spills()[0])).length;
+        lines.push(line);
+    }
+    assert.strictEqual(runs, Math.floor(count / 64));
+    assert.deepStrictEqual(spills(), []);
+
+    // Lines with the same key keep the order of the file
+    const sorted = lines.map((line) => [line.fields.group, line.index]);
+    const expected = sorted.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    assert.strictEqual(lines.length, count);
+    assert.deepStrictEqual(sorted, expected);
+
+    // Leaving the loop early removes the temporary files too
+    for await (const line of csv
+        .query({ sortBufferSize: 64, tmpdir })
+        .orderBy('group', 'desc')) {
+        assert.strictEqual(line.fields.group, 12);
+        break;
+    }
+    assert.deepStrictEqual(spills(), []);
+    csv.close();
+});
+
+test('reads the results of a query as a stream', async () => {
+    const csv = await openPeople();
+    const rows = await collect(
+        csv.query().where({ state: 'MG' }).select(['name', 'age']).stream()
+    );
+    assert.deepStrictEqual(rows, [{ name: 'Dan', age: null }]);
+    csv.close();
+});
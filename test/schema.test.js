@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { inferColumnRule } = require('../lib/schema');
+const { createTemporaryDirectory } = require('./helpers');
+
+const { openTemporary } = createTemporaryDirectory('schema');
+
+test('infers numeric columns, unless a value has leading zeros', () => {
+    assert.strictEqual(inferColumnRule(['0', '12', '-3']).type, 'integer');
+    assert.strictEqual(inferColumnRule(['0.5', '12']).type, 'number');
+    assert.strictEqual(inferColumnRule(['01234', '56789']).type, 'string');
+    assert.strictEqual(inferColumnRule(['12', '-007']).type, 'string');
+});
+
+test('keeps the leading zeros of codes with the inferred schema', async () => {
+    const csv = await openTemporary('zip,count\n01234,1\n56789,2\n');
+    const schema = await csv.inferSchema();
+    assert.deepStrictEqual(schema, {
+        zip: { type: 'string', nullable: false },
+        count: { type: 'integer', nullable: false },
+    });
+    csv.setSchema(schema);
+    await csv.buildIndex();
+    assert.deepStrictEqual((await csv.getLine(1)).fields, {
+        _unnamed: [],
+        zip: '01234',
+        count: 1,
+    });
+    csv.close();
+});
@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ColumnStatistics } = require('../lib/statistics');
+const { createTemporaryDirectory } = require('./helpers');
+
+const { openTemporary } = createTemporaryDirectory('statistics');
+
+/**
+ * The numbers from 1 to 'count', in a shuffled order that is the same on every run
+ * @param {number} count
+ * @returns {Array<number>}
+ */
+function shuffledNumbers(count) {
+    const numbers = Array.from({ length: count }, (_, i) => i + 1);
+    let state = 7;
+    for (let i = count - 1; i > 0; i--) {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        const j = state % (i + 1);
+        [numbers[i], numbers[j]] = [numbers[j], numbers[i]];
+    }
+    return numbers;
+}
+
+test('collects exact statistics of a few values', () => {
+    const statistics = new ColumnStatistics();
+    for (const value of ['3', '1', null, '2', '4']) statistics.add(value);
+    assert.deepStrictEqual(statistics.toJSON(), {
+        count: 4,
+        nulls: 1,
+        distinct: 4,
+        min: 1,
+        max: 4,
+        mean: 2.5,
+        std: 1.2909944487358056,
+        quantiles: { 0.25: 1, 0.5: 2, 0.75: 3 },
+    });
+});
+
+test('estimates the number of distinct values of many values', () => {
+    const count = 200000;
+    const unique = new ColumnStatistics({ quantiles: [] });
+    const repeated = new ColumnStatistics({ quantiles: [] });
+    for (let i = 0; i < count; i++) {
+        unique.add(`k${i}`);
+        repeated.add(`k${i % 5000}`);
+    }
+    assert.ok(Math.abs(unique.toJSON().distinct - count) < count * 0.03);
+    assert.ok(Math.abs(repeated.toJSON().distinct - 5000) < 5000 * 0.03);
+});
+
+test('estimates quantiles of many numbers, and computes the others exactly', () => {
+    const count = 200000;
+    const quantiles = [0.01, 0.25, 0.5, 0.75, 0.99];
+    const statistics = new ColumnStatistics({ quantiles });
+    for (const number of shuffledNumbers(count)) statistics.add(String(number));
+
+    const summary = statistics.toJSON();
+    assert.strictEqual(summary.count, count);
+    assert.strictEqual(summary.min, 1);
+    assert.strictEqual(summary.max, count);
+    assert.ok(Math.abs(summary.mean - (count + 1) / 2) < 1e-6);
+    for (const p of quantiles)
+        assert.ok(
+            Math.abs(summary.quantiles[p] - p * count) < count * 0.01,
+            `quantile ${p}: ${summary.quantiles[p]}`
+        );
+});
+
+test('describes the columns of a file, and aggregates its groups', async () => {
+    const csv = await openTemporary(
+        'state,age,name\nSP,30,Ana\nRJ,,Bob\nSP,50,Cid\nMG,20,Dan\nRJ,40,Eva\n'
+    );
+    const { age, name } = await csv.describe({
+        columns: ['age', 'name'],
+        quantiles: [0.5],
+    });
+    const { std, ...exact } = age;
+    assert.deepStrictEqual(exact, {
+        count: 4,
+        nulls: 1,
+        distinct: 4,
+        min: 20,
+        max: 50,
+        mean: 35,
+        quantiles: { 0.5: 30 },
+    });
+    assert.ok(Math.abs(std - Math.sqrt(500 / 3)) < 1e-9);
+    assert.strictEqual(name.min, 'Ana');
+    assert.strictEqual(name.max, 'Eva');
+    assert.strictEqual(name.mean, null);
+
+    assert.deepStrictEqual(
+        await csv
+            .groupBy('state')
+            .aggregate({ count: true, sum: 'age', avg: 'age', max: 'age' }),
+        [
+            {
+                state: 'SP',
+                count: 2,
+                sum: { age: 80 },
+                avg: { age: 40 },
+                max: { age: 50 },
+            },
+            {
+                state: 'RJ',
+                count: 2,
+                sum: { age: 40 },
+                avg: { age: 40 },
+                max: { age: 40 },
+            },
+            {
+                state: 'MG',
+                count: 1,
+                sum: { age: 20 },
+                avg: { age: 20 },
+                max: { age: 20 },
+            },
+        ]
+    );
+    csv.close();
+});
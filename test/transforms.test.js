@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CSVFileParser = require('..');
+const { createTemporaryDirectory, collect } = require('./helpers');
+
+const { normalize, noise } = CSVFileParser;
+
+const { openTemporary } = createTemporaryDirectory('transforms');
+
+async function openIndexed(text) {
+    const csv = await openTemporary(text);
+    await csv.buildIndex();
+    return csv;
+}
+
+async function readColumn(csv, column) {
+    const lines = await collect(csv.iterator());
+    return lines.map((line) => line.fields[column]);
+}
+
+test('minMax ignores non-numeric values when computing the minimum and the maximum', async () => {
+    const csv = await openIndexed('x\n1\n2\nabc\n3\n4\n5\n6\n7\n8\n9\n10\n');
+    await csv.transform({ x: normalize.minMax() });
+    const values = await readColumn(csv, 'x_minmax');
+    assert.strictEqual(values[2], null);
+    assert.strictEqual(values[0], 0);
+    assert.strictEqual(values.at(-1), 1);
+    assert.ok(values.every((value) => value === null || value >= 0));
+    await csv.close();
+});
+
+test('seeded noise of a line does not depend on the lines read before it', async () => {
+    const numbers = Array.from({ length: 50 }, (_, i) => i + 1);
+    const csv = await openIndexed(`x\n${numbers.join('\n')}\n`);
+    await csv.transform({ x: noise.biased({ seed: 42 }) });
+    const values = await readColumn(csv, 'x_noise');
+    assert.deepStrictEqual(await readColumn(csv, 'x_noise'), values);
+    for (let i = 0; i < 2; i++) {
+        const line = await csv.getLine(10);
+        assert.strictEqual(line.fields.x_noise, values[line.index - 1]);
+    }
+    assert.strictEqual(new Set(values).size, values.length);
+    await csv.close();
+});
+
+test('rejects noise sample and pool sizes that are not positive integers', () => {
+    for (const sampleSize of [0, -3, 1.5, 'abc'])
+        assert.throws(() => noise.biased({ sampleSize }), {
+            message: new RegExp(`^Invalid noise sample size '${sampleSize}'`),
+        });
+    for (const poolSize of [0, -1, 2.5, '10'])
+        assert.throws(() => noise.biased({ poolSize }), {
+            message: new RegExp(`^Invalid noise pool size '${poolSize}'`),
+        });
+});
@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { Writable } = require('node:stream');
+const CSVFileParser = require('..');
+const { createTemporaryDirectory, collect } = require('./helpers');
+
+const { CSVFileWriter } = CSVFileParser;
+const { dir } = createTemporaryDirectory('writer');
+
+const ROWS = [
+    { id: '1', name: 'Doe, John', note: 'say "hi"', tag: ['a', 'b'] },
+    { id: '2', name: 'Ana\nMaria', note: '', tag: ['c', null] },
+    { id: '3', name: 'Zoë ✓', note: null, tag: ['d;e', "it's"] },
+];
+
+test('writes rows that the parser reads back as they were', async () => {
+    let count = 0;
+    for (const options of [
+        {},
+        { delimiter: ';', lineTerminator: '\r\n', quoting: 'all' },
+        { delimiter: '\t', quoting: 'non-numeric', bom: true },
+        { quote: "'", escape: '\\', lineTerminator: '\r' },
+    ]) {
+        const file = path.join(dir, `round-trip-${++count}.csv`);
+        const writer = new CSVFileWriter(file, {
+            ...options,
+            header: ['id', 'name', 'tag', 'note', 'tag'],
+        });
+        await writer.writeRows(ROWS);
+        await writer.end();
+
+        const { bom, quoting, ...dialect } = options;
+        const csv = new CSVFileParser(file, { ...dialect, open: true });
+        await csv.buildIndex();
+        const lines = await collect(csv.iterator());
+        assert.deepStrictEqual(
+            lines.map(({ fields: { _unnamed, ...fields } }) => fields),
+            ROWS,
+            JSON.stringify(options)
+        );
+        csv.close();
+    }
+});
+
+test('quotes cells by the quoting mode', () => {
+    const rows = [{ id: 1, name: 'a', total: 2.5, note: '', empty: null }];
+    assert.strictEqual(
+        CSVFileWriter.stringify(rows),
+        'id,name,total,note,empty\n1,a,2.5,"",\n'
+    );
+    assert.strictEqual(
+        CSVFileWriter.stringify(rows, { quoting: 'all' }),
+        'id,name,total,note,empty\n"1","a","2.5","",\n'
+    );
+    assert.strictEqual(
+        CSVFileWriter.stringify(rows, { quoting: 'non-numeric' }),
+        'id,name,total,note,empty\n1,"a",2.5,"",\n'
+    );
+    assert.strictEqual(
+        CSVFileWriter.stringify(
+            [
+                [1, 'a'],
+                [2, 'b'],
+            ],
+            { header: false, lineTerminator: '\r\n' }
+        ),
+        '1,a\r\n2,b\r\n'
+    );
+});
+
+test('waits for the destination to drain before writing more rows', async () => {
+    const highWaterMark = 64;
+    const chunks = [];
+    const destination = new Writable({
+        highWaterMark,
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            setImmediate(callback);
+        },
+    });
+    const writer = new CSVFileWriter(destination);
+    for (let i = 0; i < 200; i++) {
+        await writer.write({ id: i, text: 'x'.repeat(40) });
+        assert.ok(destination.writableLength < highWaterMark);
+    }
+    await writer.end();
+    const lines = Buffer.concat(chunks).toString('utf-8').split('\n');
+    assert.strictEqual(lines.length, 202);
+    assert.strictEqual(lines[200], `199,${'x'.repeat(40)}`);
+});
+
+test('writes a byte order mark that the parser skips', async () => {
+    const file = path.join(dir, 'bom.csv');
+    const writer = new CSVFileWriter(file, { bom: true });
+    await writer.write({ id: 1 });
+    await writer.end();
+    assert.strictEqual(fs.readFileSync(file, 'utf-8'), '﻿id\n1\n');
+
+    const csv = new CSVFileParser(file, { open: true });
+    await csv.buildIndex();
+    const lines = await collect(csv.iterator());
+    assert.deepStrictEqual(
+        lines.map((line) => line.fields),
+        [{ _unnamed: [], id: '1' }]
+    );
+    csv.close();
+});